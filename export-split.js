@@ -1,5 +1,6 @@
 import { client } from './weaviate-setup.js';
 import fs from 'fs';
+import { classNames } from './src/config/namespace.js';
 
 // Simple CSV stringifier
 function toCSV(data, columns) {
@@ -28,19 +29,22 @@ function toCSV(data, columns) {
 
 async function exportSplitData() {
   console.log('Starting split export...');
+  const { topic: topicClass, message: messageClass } = classNames();
 
   try {
     // 1. Fetch all Topics
     console.log('Fetching topics...');
     const topicResult = await client.graphql
       .get()
-      .withClassName('Topic')
+      .withClassName(topicClass)
       .withFields(`
         name
         description
         keywords
         users
         messageCount
+        secondaryMessageCount
+        secondaryWeight
         createdAt
         updatedAt
         _additional { id }
@@ -48,7 +52,7 @@ async function exportSplitData() {
       .withLimit(1000) // Adjust if you have more topics
       .do();
 
-    const topics = topicResult.data?.Get?.Topic || [];
+    const topics = topicResult.data?.Get?.[topicClass] || [];
     console.log(`Found ${topics.length} topics.`);
 
     // Prepare Topics for CSV
@@ -59,6 +63,8 @@ async function exportSplitData() {
       keywords: t.keywords || [],
       users: t.users || [],
       message_count: t.messageCount,
+      secondary_message_count: t.secondaryMessageCount || 0,
+      weighted_message_count: (t.messageCount || 0) + (t.secondaryWeight || 0),
       created_at: t.createdAt,
       updated_at: t.updatedAt
     }));
@@ -70,6 +76,8 @@ async function exportSplitData() {
       'keywords',
       'users',
       'message_count',
+      'secondary_message_count',
+      'weighted_message_count',
       'created_at',
       'updated_at'
     ];
@@ -83,7 +91,7 @@ async function exportSplitData() {
     console.log('Fetching messages...');
     const messageResult = await client.graphql
       .get()
-      .withClassName('SlackMessage')
+      .withClassName(messageClass)
       .withFields(`
         timestamp
         text
@@ -94,7 +102,14 @@ async function exportSplitData() {
         threadTs
         processedAt
         topic {
-          ... on Topic {
+          ... on ${topicClass} {
+            _additional { id }
+          }
+        }
+        secondaryTopicWeights
+        secondaryTopics {
+          ... on ${topicClass} {
+            name
             _additional { id }
           }
         }
@@ -102,20 +117,27 @@ async function exportSplitData() {
       .withLimit(10000)
       .do();
 
-    const messages = messageResult.data?.Get?.SlackMessage || [];
+    const messages = messageResult.data?.Get?.[messageClass] || [];
     console.log(`Found ${messages.length} messages.`);
 
-    // Group messages by topic ID
+    // Group messages by primary topic ID; secondary memberships are listed separately
     const messagesByTopic = {};
+    const secondaryByTopic = {};
 
     messages.forEach(msg => {
       const topicId = msg.topic?.[0]?._additional?.id || 'Unassigned';
+      const weights = msg.secondaryTopicWeights ? JSON.parse(msg.secondaryTopicWeights) : {};
+      const secondaryTopics = (msg.secondaryTopics || []).map(t => ({
+        topic_id: t._additional.id,
+        topic_name: t.name,
+        weight: weights[t._additional.id] ?? null
+      }));
       
       if (!messagesByTopic[topicId]) {
         messagesByTopic[topicId] = [];
       }
 
-      messagesByTopic[topicId].push({
+      const row = {
         timestamp: msg.timestamp,
         text: msg.text,
         user_id: msg.user,
@@ -123,18 +145,29 @@ async function exportSplitData() {
         channel_id: msg.channelId,
         channel_name: msg.channelName,
         thread_ts: msg.threadTs,
-        processed_at: msg.processedAt
+        processed_at: msg.processedAt,
+        secondary_topics: secondaryTopics
+      };
+      messagesByTopic[topicId].push(row);
+
+      secondaryTopics.forEach(secondary => {
+        if (!secondaryByTopic[secondary.topic_id]) {
+          secondaryByTopic[secondary.topic_id] = [];
+        }
+        secondaryByTopic[secondary.topic_id].push({ ...row, primary_topic_id: topicId, weight: secondary.weight });
       });
     });
 
-    // Convert to array format [{ topicId, messages: [] }]
-    const groupedMessages = Object.keys(messagesByTopic).map(topicId => ({
+    // Convert to array format [{ topicId, messages: [], secondaryMessages: [] }]
+    const topicIds = [...new Set([...Object.keys(messagesByTopic), ...Object.keys(secondaryByTopic)])];
+    const groupedMessages = topicIds.map(topicId => ({
       topicId: topicId,
-      messages: messagesByTopic[topicId]
+      messages: messagesByTopic[topicId] || [],
+      secondaryMessages: secondaryByTopic[topicId] || []
     }));
 
     fs.writeFileSync('messages_export.json', JSON.stringify(groupedMessages, null, 2));
-    console.log('✅ exported messages_export.json (grouped by topic)');
+    console.log('✅ exported messages_export.json (grouped by primary topic, with secondary memberships)');
 
   } catch (error) {
     console.error('Export failed:', error);
@@ -2,69 +2,160 @@
  * Main categorizer module
  * Orchestrates the message categorization process
  */
-import { openai } from './services/openai.js';
-import { MODEL } from './config/constants.js';
+import { getLLMProvider } from './llm/index.js';
+import { EDIT_SIMILARITY_THRESHOLD } from './config/constants.js';
 import { SYSTEM_PROMPT } from './prompts/system-prompt.js';
-import { tools, executeToolCall, setCurrentContext } from './tools/index.js';
-import { conversationContext } from './context/conversation.js';
-import { createTopicInDB, storeMessageWithTopic, updateTopic } from './services/database.js';
+import { tools, executeToolCall } from './tools/index.js';
+import { getChannelContext } from './context/conversation.js';
+import { resolveSession } from './context/sessions.js';
+import { preClassify as fastPathClassify, resolveFastPathPolicy } from './fastpath/index.js';
+import { preprocessMessage, summarizeEntities, artifactText, hasMessageContent } from './preprocess/index.js';
+import {
+  createTopicInDB,
+  getTopicById,
+  storeMessageWithTopic,
+  updateTopic,
+  recordTopicBranch,
+  messageExists,
+  getStoredMessage,
+  updateStoredMessageText,
+  deleteStoredMessage,
+} from './services/database.js';
 import { truncate } from './utils/text.js';
+import { isSubstantiveEdit } from './utils/similarity.js';
 import { logToolResult } from './utils/logger.js';
 
 /**
- * Categorize a Slack message into a topic
+ * Categorize a Slack message into a primary topic and optional weighted secondary topics
  * @param {Object} message - Slack message object
  * @param {Object} channelInfo - Channel information
  * @param {Object} options - Options
- * @returns {Promise<Object|null>} Categorization result
+ * @param {boolean} options.verbose - Log progress (default: true)
+ * @param {number} options.maxIterations - Max agent iterations (default: 5)
+ * @param {boolean} options.forceRecategorize - Re-run categorization for an already stored message (default: false)
+ * @param {Object} options.llm - LLM provider (default: getLLMProvider())
+ * @param {Function} options.executeTool - Tool executor (name, args, context) (default: executeToolCall)
+ * @param {Function} options.preClassify - Fast path classifier (message, channelInfo, options) (default: fastpath preClassify)
+ * @param {boolean} options.persist - Write topics and the message to Weaviate (default: true).
+ *   When false, nothing is read from or written to the database outside of tool calls
+ *   and the fast path is disabled
+ * @param {Object|boolean} options.fastPath - Fast path policy override, false to always run the agent
+ *   (default: FAST_PATH_POLICY)
+ * @param {Object} options.preprocess - Mention lookups passed to preprocessMessage ({ resolveUser, resolveChannel })
+ * @returns {Promise<Object|null>} Categorization result, null if skipped
  */
-export async function categorizeMessage(message, channelInfo, options = {}) {
-  const { verbose = true, maxIterations = 5 } = options;
+export async function categorizeMessage(rawMessage, channelInfo, options = {}) {
+  const {
+    verbose = true,
+    maxIterations = 5,
+    forceRecategorize = false,
+    llm = getLLMProvider(),
+    executeTool = executeToolCall,
+    preClassify = fastPathClassify,
+    persist = true,
+    fastPath = {},
+    preprocess = {},
+  } = options;
   const startTime = Date.now();
 
-  if (!message.text || message.text.trim().length === 0) {
+  if (!hasMessageContent(rawMessage)) {
     if (verbose) console.log('  ⏭️  Skipping empty message');
     return null;
   }
 
-  // Set current context for tool calls
-  setCurrentContext(message, channelInfo);
+  // Mentions resolved, mrkdwn stripped, files/unfurls described: message.clean_text,
+  // message.entities, message.artifacts and message.enriched_text
+  const message = await preprocessMessage(rawMessage, preprocess);
+  if (!message.enriched_text && !message.text?.trim()) {
+    if (verbose) console.log('  ⏭️  Skipping message without text or artifacts');
+    return null;
+  }
+
+  // Replays, Slack retries and backfills must not categorize twice
+  if (persist && !forceRecategorize && await messageExists(channelInfo.id, message.ts)) {
+    if (verbose) console.log(`  ⏭️  Skipping already categorized message (ts: ${message.ts})`);
+    return null;
+  }
+
+  // Sessions split channel traffic at idle gaps longer than CONVERSATION_TIMEOUT_MINUTES
+  const channelContext = await getChannelContext(channelInfo.id);
+  const session = resolveSession(channelInfo.id, channelContext, message);
 
-  const isShortMessage = message.text.length < 15;
+  // Passed to every tool call so concurrent categorizations never share state
+  const toolContext = { message, channelInfo, session, llm };
+
+  const isShortMessage = message.enriched_text.length < 15;
   const isThreadReply = message.thread_ts && message.thread_ts !== message.ts;
 
+  // Thread replies and trivial acknowledgements usually need no LLM call
+  const preClassified = await preClassify(message, channelInfo, {
+    session,
+    channelContext,
+    policy: resolveFastPathPolicy(persist ? fastPath : false),
+  });
+
   if (verbose) {
     console.log(`\n${'═'.repeat(70)}`);
     console.log(`🤖 SMART CATEGORIZER (Modular Architecture)`);
     console.log(`${'═'.repeat(70)}`);
-    console.log(`   📝 Text: "${message.text.substring(0, 80)}${message.text.length > 80 ? '...' : ''}"`);
-    console.log(`   📏 Length: ${message.text.length} chars (${isShortMessage ? 'SHORT' : 'SUBSTANTIVE'})`);
+    console.log(`   📝 Text: "${message.clean_text.substring(0, 80)}${message.clean_text.length > 80 ? '...' : ''}"`);
+    if (message.artifacts.length > 0) {
+      console.log(`   📎 Artifacts: ${message.artifacts.length} (${[...new Set(message.artifacts.map(a => a.kind))].join(', ')})`);
+    }
+    console.log(`   📏 Length: ${message.enriched_text.length} chars (${isShortMessage ? 'SHORT' : 'SUBSTANTIVE'})`);
     console.log(`   👤 User: ${message.user}`);
     console.log(`   📺 Channel: ${channelInfo.name}`);
     console.log(`   🧵 Thread Reply: ${isThreadReply ? 'YES' : 'NO'}`);
+    console.log(`   🕐 Session: ${session.historical ? 'historical' : session.isNew ? `NEW${session.idleMinutes !== null ? ` (after ${session.idleMinutes} min idle)` : ''}` : session.id}`);
+    if (preClassified) {
+      console.log(`   ⚡ Fast path (${preClassified.rule}): ${preClassified.decision.topic_name}${preClassified.final ? '' : ' - LLM may override'}`);
+    }
     console.log(`${'─'.repeat(70)}`);
   }
-  
-  const userMessage = `## NEW MESSAGE TO CATEGORIZE
 
-**Message:** "${message.text}"
-**Length:** ${message.text.length} characters
-**User:** ${message.user}
+  const entities = summarizeEntities(message.entities);
+  const entityLines = [
+    entities.mentions && `**Mentions:** ${entities.mentions.join(', ')}`,
+    entities.links && `**Links:** ${entities.links.map(l => [l.label, l.service || l.domain, l.ref].filter(Boolean).join(' - ')).join('; ')}`,
+    message.artifacts.length > 0 && `**Attachments:**\n${artifactText(message.artifacts)}`,
+  ].filter(Boolean).map(line => `${line}\n`).join('');
+
+  let userMessage = `## NEW MESSAGE TO CATEGORIZE
+
+**Message:** "${message.clean_text || '(no text - shared content only)'}"
+**Length:** ${message.enriched_text.length} characters
+**User:** ${message.user_name || message.user}
 **Channel:** ${channelInfo.name}
 **Thread Reply:** ${isThreadReply ? 'YES' : 'NO'}
 **Message Type:** ${isShortMessage ? 'SHORT (likely confirmation/reaction)' : 'SUBSTANTIVE'}
-
+${entityLines}
 Follow the workflow:
 1. Call get_context first
 2. Call find_topics with relevant query
 3. Call categorize to make final decision`;
 
+  if (preClassified?.rule === 'thread_drift') {
+    const { drift } = preClassified;
+    const alternative = drift.bestAlternative
+      ? `\nClosest other topic: "${drift.bestAlternative.name}" (id: ${drift.bestAlternative.id}, confidence ${drift.bestAlternative.confidence.toFixed(2)}).`
+      : '';
+    userMessage += `
+
+**Thread Drift:** this reply is in a thread about "${preClassified.decision.topic_name}" (id: ${preClassified.decision.topic_id}) but matches it poorly (similarity ${drift.similarity.toFixed(2)}, confidence ${drift.confidence.toFixed(2)}).${alternative}
+Keep the parent's topic only if the reply still belongs to it; otherwise assign or create the topic the thread has moved to.`;
+  } else if (preClassified && !preClassified.final) {
+    userMessage += `
+
+**Suggested Topic:** "${preClassified.decision.topic_name}" (id: ${preClassified.decision.topic_id}) - the thread parent's topic.
+Assign it unless this reply clearly moves to a different subject.`;
+  }
+
   const messages = [
     { role: 'system', content: SYSTEM_PROMPT },
     { role: 'user', content: userMessage },
   ];
 
-  let decision = null;
+  let decision = preClassified?.final ? preClassified.decision : null;
   let iterations = 0;
 
   while (!decision && iterations < maxIterations) {
@@ -75,16 +166,15 @@ Follow the workflow:
     }
 
     try {
-      const response = await openai.chat.completions.create({
-        model: MODEL,
+      const response = await llm.chat({
         messages,
         tools,
-        tool_choice: 'auto',
+        toolChoice: 'auto',
         temperature: 0.1,
-        max_tokens: 800,
+        maxTokens: 800,
       });
 
-      const assistantMessage = response.choices[0].message;
+      const assistantMessage = response.message;
       messages.push(assistantMessage);
 
       if (verbose && assistantMessage.content) {
@@ -100,12 +190,15 @@ Follow the workflow:
             console.log(`      🔧 ${toolName}${args.query ? `: "${args.query.substring(0, 50)}..."` : ''}`);
           }
 
-          const result = await executeToolCall(toolName, args);
+          const result = await executeTool(toolName, args, toolContext);
 
           if (result.action === 'assign' || result.action === 'create') {
             decision = result;
             if (verbose) {
               console.log(`      ✅ Decision: ${result.action === 'assign' ? 'ASSIGN' : 'CREATE'} → ${result.action === 'assign' ? result.topic_name : result.name}`);
+              if (result.secondary_topics) {
+                console.log(`      🔗 Also: ${result.secondary_topics.map(t => `${t.topic_name} (${t.weight})`).join(', ')}`);
+              }
               if (result.action === 'assign') {
                 const hasImprovements = result.improved_name || result.improved_description;
                 console.log(`      📊 Improvements: ${hasImprovements ? 'YES' : 'NO'}${result.improved_name ? ` | New name: "${result.improved_name}"` : ''}${result.improved_description ? ' | +description' : ''}`);
@@ -123,7 +216,7 @@ Follow the workflow:
             });
           }
         }
-      } else if (response.choices[0].finish_reason === 'stop' && !decision) {
+      } else if (response.finishReason === 'stop' && !decision) {
         messages.push({
           role: 'user',
           content: 'You must make a final decision. Call the categorize tool now with action="assign" or action="create".',
@@ -136,12 +229,17 @@ Follow the workflow:
   }
 
   // Fallback if no decision made
+  if (!decision && preClassified) {
+    if (verbose) console.log(`   ⚠️  No LLM decision - keeping the fast path suggestion`);
+    decision = preClassified.decision;
+  }
+
   if (!decision) {
     if (verbose) console.log(`   ⚠️  Fallback mode activated`);
     
-    const channelContext = conversationContext[channelInfo.id];
-    
-    if (message.text.length < 15 && channelContext?.currentTopicId) {
+    // Short messages only inherit the topic of the conversation they belong to
+    const sameSession = !session.isNew && !session.historical;
+    if (isShortMessage && sameSession && channelContext?.currentTopicId) {
       decision = {
         action: 'assign',
         topic_id: channelContext.currentTopicId,
@@ -190,7 +288,7 @@ Follow the workflow:
         updates.description = decision.improved_description;
       }
       
-      await updateTopic(topicId, updates);
+      if (persist) await updateTopic(topicId, updates);
       
       if (verbose) {
         console.log(`      ✅ Topic updated in DB & vector embeddings regenerated`);
@@ -202,19 +300,42 @@ Follow the workflow:
     }
   } else {
     const userName = message.user_name || message.user_real_name || message.user;
-    topicId = await createTopicInDB(decision.name, decision.description, decision.keywords, {
-      users: userName ? [userName] : [],
-    });
+    topicId = persist
+      ? await createTopicInDB(decision.name, decision.description, decision.keywords, {
+        users: userName ? [userName] : [],
+      })
+      : null;
     topicName = decision.name;
     if (verbose) console.log(`      🆕 Created topic: ${topicId}`);
   }
 
-  const messageId = await storeMessageWithTopic(message, channelInfo, topicId, topicName, conversationContext);
+  // Secondary topics must exist and differ from the primary one
+  const secondaryTopics = [];
+  for (const secondary of decision.secondary_topics || []) {
+    if (secondary.topic_id === topicId) continue;
+    if (persist && !await getTopicById(secondary.topic_id)) {
+      if (verbose) console.log(`   ⚠️  Ignoring unknown secondary topic ${secondary.topic_id}`);
+      continue;
+    }
+    secondaryTopics.push({ id: secondary.topic_id, name: secondary.topic_name, weight: secondary.weight });
+  }
+
+  const messageId = persist
+    ? await storeMessageWithTopic(message, channelInfo, topicId, topicName, { session, secondaryTopics })
+    : null;
+
+  // A thread reply that left its parent's topic links the new topic back to it
+  const parentTopic = preClassified?.parentTopic;
+  const branchedFrom = parentTopic && topicId && topicId !== parentTopic.id ? parentTopic.id : null;
+  if (persist && branchedFrom) {
+    await recordTopicBranch(topicId, branchedFrom);
+    if (verbose) console.log(`   🌿 Thread branched from "${parentTopic.name}" into "${topicName}"`);
+  }
 
   const totalTime = Date.now() - startTime;
   if (verbose) {
     console.log(`\n${'═'.repeat(70)}`);
-    console.log(`   ✨ COMPLETE: ${topicName}`);
+    console.log(`   ✨ COMPLETE: ${topicName}${secondaryTopics.length > 0 ? ` (+ ${secondaryTopics.map(t => t.name).join(', ')})` : ''}`);
     console.log(`   📊 ${iterations} iterations | ${totalTime}ms | ${decision.action.toUpperCase()}`);
     console.log(`   💬 ${decision.reasoning}`);
     console.log(`${'═'.repeat(70)}\n`);
@@ -224,6 +345,10 @@ Follow the workflow:
     messageId,
     topicId,
     topicName,
+    secondaryTopics,
+    sessionId: session.id,
+    fastPath: preClassified?.final ? preClassified.rule : null,
+    branchedFrom,
     decision: decision.action,
     reasoning: decision.reasoning,
     processingTime: totalTime,
@@ -231,5 +356,66 @@ Follow the workflow:
   };
 }
 
+/**
+ * Handle an edited Slack message
+ * Small edits only rewrite the stored text; substantive edits are re-categorized,
+ * which moves the topic reference and topic counts if the topic changes.
+ * Slack also sends an edit when link unfurls arrive - those only refresh the stored artifacts
+ * @param {Object} rawMessage - Edited message object (new text)
+ * @param {Object} channelInfo - Channel information
+ * @param {Object} options - Options passed to categorizeMessage
+ * @returns {Promise<Object|null>} Result with an "edit" field, null if nothing changed
+ */
+export async function handleMessageChanged(rawMessage, channelInfo, options = {}) {
+  const { verbose = true, preprocess = {} } = options;
+  const message = await preprocessMessage(rawMessage, preprocess);
+  const existing = await getStoredMessage(channelInfo.id, message.ts);
+
+  // Never stored (e.g. it was empty before) - treat as a new message
+  if (!existing) {
+    const result = await categorizeMessage(message, channelInfo, options);
+    return result && { ...result, edit: 'new' };
+  }
+
+  const previousText = existing.properties.text || '';
+  const sameArtifacts = (existing.properties.artifactText || '') === artifactText(message.artifacts);
+  if (previousText === (message.text || '') && sameArtifacts) return null;
+
+  if (!message.enriched_text) {
+    const deleted = await handleMessageDeleted(channelInfo.id, message.ts, options);
+    return deleted && { ...deleted, edit: 'emptied' };
+  }
+
+  if (!isSubstantiveEdit(previousText, message.text || '', EDIT_SIMILARITY_THRESHOLD)) {
+    if (verbose) console.log(`  ✏️  Minor edit (ts: ${message.ts}) - text updated, topic kept`);
+    const messageId = await updateStoredMessageText(channelInfo.id, message);
+    return { messageId, topicId: existing.topicId, decision: 'keep', edit: 'minor' };
+  }
+
+  if (verbose) console.log(`  ✏️  Substantive edit (ts: ${message.ts}) - re-categorizing`);
+  const result = await categorizeMessage(message, channelInfo, { ...options, forceRecategorize: true });
+  return result && { ...result, previousTopicId: existing.topicId, edit: 'recategorized' };
+}
+
+/**
+ * Handle a deleted Slack message
+ * @param {string} channelId - Channel ID
+ * @param {string} timestamp - Deleted message timestamp
+ * @param {Object} options - Options
+ * @returns {Promise<Object|null>} { messageId, topicId }, null if it was never stored
+ */
+export async function handleMessageDeleted(channelId, timestamp, options = {}) {
+  const { verbose = true } = options;
+  const deleted = await deleteStoredMessage(channelId, timestamp);
+
+  if (verbose) {
+    console.log(deleted
+      ? `  🗑️  Deleted message (ts: ${timestamp}) and detached it from topic ${deleted.topicId}`
+      : `  ⏭️  Deleted message (ts: ${timestamp}) was never stored`);
+  }
+
+  return deleted;
+}
+
 // Alias for backwards compatibility
 export const categorizeMessageSmart = categorizeMessage;
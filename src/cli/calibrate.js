@@ -0,0 +1,88 @@
+/**
+ * Confidence calibration CLI
+ * Fits confidence weights and assign/review thresholds to labelled categorizations
+ * and writes them as a search config profile.
+ * Usage:
+ *   node src/cli/calibrate.js <labels.json|corrections.jsonl> [--max=N] [--out=<profile.json>] [--step=0.05] [--search-config=<file>]
+ */
+import dotenv from 'dotenv';
+import {
+  loadLabelledExamples,
+  calibrateSearchConfig,
+  saveCalibration,
+  renderReliabilityChart,
+  createRunId,
+  validateGridSteps,
+} from '../eval/index.js';
+import { loadSearchConfig, getSearchConfig, describeSearchConfig } from '../config/search.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const [datasetPath] = args.filter(arg => !arg.startsWith('--'));
+const flag = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+/**
+ * Print one side of the before/after comparison
+ * @param {string} title - Heading
+ * @param {Object} side - Summary from calibrateSearchConfig
+ */
+function printSide(title, side) {
+  const { actions } = side;
+  console.log(`\n${title}: ${describeSearchConfig(side.config)}`);
+  console.log(`   Agreement:      ${(side.agreement * 100).toFixed(1)}%`);
+  console.log(`   Top-1 accuracy: ${(side.top1Accuracy * 100).toFixed(1)}%`);
+  console.log(`   Actions:        assign ${actions.assign} (+${actions.assignWrong} wrong), review ${actions.review}, create ${actions.create} (+${actions.createWrong} wrong)`);
+  console.log(renderReliabilityChart(side.reliability).split('\n').map(line => `   ${line}`).join('\n'));
+}
+
+async function main() {
+  if (!datasetPath) {
+    throw new Error('Usage: calibrate <labels.json|corrections.jsonl> [--max=N] [--out=<profile.json>] [--step=0.05] [--search-config=<file>]');
+  }
+
+  const weightStep = parseFloat(flag('step') || '0.05');
+  validateGridSteps({ '--step': weightStep });
+
+  const dataset = await loadLabelledExamples(datasetPath, { max: parseInt(flag('max') || '0') });
+  const searchConfig = flag('search-config')
+    ? loadSearchConfig({ file: flag('search-config'), required: true })
+    : getSearchConfig();
+  console.log(`🎯 Calibrating on ${dataset.items.length} labelled messages (${dataset.goldTopics} topics) from ${datasetPath}`);
+  console.log(`🔧 Current: ${describeSearchConfig(searchConfig)}`);
+
+  const runId = createRunId();
+  const result = await calibrateSearchConfig(dataset, {
+    searchConfig,
+    weightStep,
+    onProgress: (index, total, sample) => {
+      if (index % 25 === 0 || index === total) console.log(`   [${index}/${total}] ${sample.candidates.length} candidates`);
+    },
+  });
+
+  const report = {
+    runId,
+    createdAt: new Date().toISOString(),
+    dataset: datasetPath,
+    examples: result.samples.length,
+    expectCreate: result.expectCreate,
+    before: result.before,
+    after: result.after,
+    profile: result.profile,
+    samples: result.samples,
+  };
+  const paths = await saveCalibration(report, flag('out') ? { profilePath: flag('out') } : {});
+
+  printSide('📏 Current', result.before);
+  printSide('✨ Calibrated', result.after);
+  console.log(`\n💾 Profile: ${paths.profile}`);
+  console.log(`   Report:  ${paths.markdown}`);
+  console.log(`   Try it:  npm run eval -- run <gold.json> --search-config=${paths.profile}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,72 @@
+/**
+ * Record/replay CLI for the categorizer
+ * Usage:
+ *   node src/cli/cassette.js record <messages.json> --out=cassettes/run.json [--max=N] [--force-recategorize]
+ *   node src/cli/cassette.js replay <cassette.json> [--live-llm] [--verbose]
+ */
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import { recordCassette, replayCassette } from '../harness/index.js';
+import { getLLMProvider } from '../llm/index.js';
+import { truncate } from '../utils/text.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const [command, inputPath] = args;
+const flag = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+async function record() {
+  const out = flag('out');
+  if (!inputPath || !out) throw new Error('Usage: record <messages.json> --out=<cassette.json> [--max=N]');
+
+  const slackData = JSON.parse(await fs.readFile(inputPath, 'utf-8'));
+  const max = parseInt(flag('max') || '0');
+  const messages = max ? slackData.messages.slice(0, max) : slackData.messages;
+
+  console.log(`🎙️  Recording ${messages.length} messages from "${slackData.channel.name}" → ${out}`);
+  const cassette = await recordCassette(messages, slackData.channel, {
+    file: out,
+    meta: { source: inputPath },
+    categorizeOptions: { forceRecategorize: args.includes('--force-recategorize') },
+  });
+  console.log(`\n✅ Recorded ${cassette.entries.length} entries`);
+}
+
+async function replay() {
+  if (!inputPath) throw new Error('Usage: replay <cassette.json> [--live-llm]');
+
+  const report = await replayCassette(inputPath, {
+    liveLlm: args.includes('--live-llm') ? getLLMProvider() : null,
+    verbose: args.includes('--verbose'),
+  });
+
+  if (report.fingerprintChanges.length > 0) {
+    console.log(`⚠️  Changed since recording: ${report.fingerprintChanges.join(', ')}`);
+  }
+
+  for (const entry of report.entries) {
+    console.log(`${entry.passed ? '✅' : '❌'} ${entry.ts}  "${truncate(entry.text, 60)}"`);
+    if (entry.error) console.log(`   💥 ${entry.error}`);
+    entry.differences.forEach(difference => console.log(`   ≠ ${difference}`));
+    entry.mismatches.forEach(mismatch => console.log(`   ~ ${mismatch}`));
+  }
+
+  const failed = report.entries.filter(entry => !entry.passed).length;
+  console.log(`\n${report.entries.length - failed}/${report.entries.length} entries match the recording`);
+  return report.passed;
+}
+
+const commands = { record, replay };
+
+if (!commands[command]) {
+  console.error('Usage: node src/cli/cassette.js <record|replay> ...');
+  process.exit(1);
+}
+
+commands[command]()
+  .then(passed => process.exit(passed === false ? 1 : 0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
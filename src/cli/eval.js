@@ -0,0 +1,155 @@
+/**
+ * Categorization accuracy evaluation CLI
+ * Usage:
+ *   node src/cli/eval.js run <gold.json> [--max=N] [--label=text] [--search-config=<file>] [--keep] [--compare=<runId>] [--no-compare] [--verbose]
+ *   node src/cli/eval.js list
+ *   node src/cli/eval.js show <runId>
+ *   node src/cli/eval.js diff <previousRunId> <currentRunId>
+ */
+import dotenv from 'dotenv';
+import {
+  loadGoldDataset,
+  runEvaluation,
+  saveRunReport,
+  loadRunReport,
+  loadPreviousRun,
+  listRunIds,
+  diffRuns,
+} from '../eval/index.js';
+import { loadSearchConfig, describeSearchConfig } from '../config/search.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const [command, ...positional] = args.filter(arg => !arg.startsWith('--'));
+const flag = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+/**
+ * Format a metric value for display
+ * @param {string} name - Metric name
+ * @param {number|null} value - Value
+ * @returns {string} Formatted value
+ */
+function formatValue(name, value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (name === 'usd') return `$${value.toFixed(4)}`;
+  if (name.endsWith('Ms')) return `${Math.round(value)}ms`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+/**
+ * Print the summary of a run report
+ * @param {Object} report - Run report
+ */
+function printReport(report) {
+  const { metrics, cost, latency } = report;
+  console.log(`\n📊 Run ${report.runId}${report.label ? ` (${report.label})` : ''} — ${report.provider}/${report.model}`);
+  console.log(`   Dataset: ${report.dataset} (${metrics.messages} messages, ${metrics.goldTopics} gold topics)`);
+  if (report.searchConfig) console.log(`   Search: ${describeSearchConfig(report.searchConfig)}`);
+  console.log(`   Pairwise precision: ${formatValue('', metrics.pairwisePrecision)}`);
+  console.log(`   Pairwise recall:    ${formatValue('', metrics.pairwiseRecall)}`);
+  console.log(`   Pairwise F1:        ${formatValue('', metrics.pairwiseF1)}`);
+  console.log(`   Adjusted Rand:      ${formatValue('', metrics.adjustedRandIndex)}`);
+  console.log(`   Topics:             ${metrics.predictedTopics} predicted (inflation ×${metrics.topicInflation.toFixed(2)})`);
+  console.log(`   Unassigned/errors:  ${metrics.unassigned}/${metrics.errors}`);
+  console.log(`   Cost:               ${cost.calls} calls, ${cost.promptTokens}+${cost.completionTokens} tokens, ${formatValue('usd', cost.usd)}`);
+  console.log(`   Latency:            mean ${latency.meanMs}ms, p50 ${latency.p50Ms}ms, p95 ${latency.p95Ms}ms`);
+}
+
+/**
+ * Print a run-to-run diff
+ * @param {Object} diff - Diff from diffRuns
+ */
+function printDiff(diff) {
+  console.log(`\n🔀 ${diff.previousRunId} → ${diff.currentRunId}`);
+  if (diff.fingerprintChanges.length > 0) {
+    console.log(`   Changed since previous run: ${diff.fingerprintChanges.join(', ')}`);
+  }
+
+  for (const row of [...diff.metrics, ...diff.cost, ...diff.latency]) {
+    const marker = row.better === null ? ' ' : row.better ? '▲' : '▼';
+    const sign = row.delta > 0 ? '+' : '';
+    console.log(`   ${marker} ${row.name.padEnd(20)} ${formatValue(row.name, row.before).padStart(10)} → ${formatValue(row.name, row.after).padStart(10)}  (${sign}${formatValue(row.name, row.delta)})`);
+  }
+
+  if (diff.regressed.length > 0) {
+    console.log(`\n   ❌ ${diff.regressed.length} messages lost their gold siblings:`);
+    diff.regressed.forEach(entry => console.log(`      ${entry.ts} [${entry.goldTopic}] ${entry.before.toFixed(2)} → ${entry.after.toFixed(2)}`));
+  }
+  if (diff.improved.length > 0) {
+    console.log(`\n   ✅ ${diff.improved.length} messages now grouped with their gold siblings`);
+  }
+}
+
+async function run() {
+  const [datasetPath] = positional;
+  if (!datasetPath) throw new Error('Usage: run <gold.json> [--max=N] [--label=text] [--keep]');
+
+  const dataset = await loadGoldDataset(datasetPath, { max: parseInt(flag('max') || '0') });
+  console.log(`🧪 Evaluating ${dataset.items.length} messages (${dataset.goldTopics} gold topics) from ${datasetPath}`);
+
+  // A/B: run with another search config profile, then compare against the baseline run
+  const searchConfig = flag('search-config') ? loadSearchConfig({ file: flag('search-config'), required: true }) : null;
+  if (searchConfig) console.log(`🔧 Search config: ${describeSearchConfig(searchConfig)}`);
+
+  const report = await runEvaluation(dataset, {
+    label: flag('label') || null,
+    searchConfig,
+    keep: args.includes('--keep'),
+    verbose: args.includes('--verbose'),
+    onProgress: (index, total, prediction) => {
+      const status = prediction.error ? `💥 ${prediction.error}` : `${prediction.decision || 'skipped'} → ${prediction.predictedTopicName || '-'}`;
+      console.log(`   [${index}/${total}] ${prediction.ts} ${status}`);
+    },
+  });
+
+  const filePath = await saveRunReport(report);
+  printReport(report);
+  console.log(`\n💾 Saved ${filePath}`);
+
+  if (args.includes('--no-compare')) return;
+  const previous = flag('compare')
+    ? await loadRunReport(flag('compare'))
+    : await loadPreviousRun(report.dataset, report.runId);
+  if (previous) printDiff(diffRuns(previous, report));
+}
+
+async function list() {
+  const runIds = await listRunIds();
+  if (runIds.length === 0) {
+    console.log('No evaluation runs yet');
+    return;
+  }
+
+  for (const runId of runIds) {
+    const report = await loadRunReport(runId);
+    const { metrics } = report;
+    console.log(`${runId}  F1 ${metrics.pairwiseF1.toFixed(3)}  ARI ${metrics.adjustedRandIndex.toFixed(3)}  ×${metrics.topicInflation.toFixed(2)}  ${report.model}${report.label ? `  ${report.label}` : ''}`);
+  }
+}
+
+async function show() {
+  const [runId] = positional;
+  if (!runId) throw new Error('Usage: show <runId>');
+  printReport(await loadRunReport(runId));
+}
+
+async function diff() {
+  const [previousRunId, currentRunId] = positional;
+  if (!previousRunId || !currentRunId) throw new Error('Usage: diff <previousRunId> <currentRunId>');
+  printDiff(diffRuns(await loadRunReport(previousRunId), await loadRunReport(currentRunId)));
+}
+
+const commands = { run, list, show, diff };
+
+if (!commands[command]) {
+  console.error('Usage: node src/cli/eval.js <run|list|show|diff> ...');
+  process.exit(1);
+}
+
+commands[command]()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,107 @@
+/**
+ * Glossary CLI
+ * Usage:
+ *   node src/cli/glossary.js list
+ *   node src/cli/glossary.js add <term> --expansion="..." [--alias="..."] [--topic-hint="..."]
+ *   node src/cli/glossary.js proposals
+ *   node src/cli/glossary.js accept <term> [--expansion="..."]
+ *   node src/cli/glossary.js reject <term>
+ */
+import dotenv from 'dotenv';
+import { getGlossary, addGlossaryTerm } from '../config/glossary.js';
+import { loadGlossaryProposals, acceptGlossaryProposal, recordGlossaryDecision, glossaryKey } from '../maintenance/index.js';
+import { truncate } from '../utils/text.js';
+
+dotenv.config();
+
+/**
+ * Split CLI args into the term (positionals joined, so "SM Pro" needs no quotes) and --flags
+ * @param {Array<string>} args - Raw args
+ * @returns {Object} { term, flags }
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const flags = {};
+  for (const arg of args) {
+    if (arg.startsWith('--')) {
+      const [key, ...rest] = arg.slice(2).split('=');
+      flags[key] = rest.length > 0 ? rest.join('=') : true;
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { term: positionals.join(' '), flags };
+}
+
+const commands = {
+  async list() {
+    const { file, terms } = getGlossary();
+    if (terms.length === 0) {
+      console.log(`📖 Glossary is empty (${file})`);
+      return;
+    }
+    console.log(`📖 ${terms.length} terms (${file})`);
+    terms.forEach((entry) => {
+      const aliases = entry.aliases.length > 0 ? ` (also ${entry.aliases.join(', ')})` : '';
+      const hints = entry.topicHints.length > 0 ? `  → ${entry.topicHints.join(', ')}` : '';
+      console.log(`   ${entry.term}${aliases}: ${entry.expansions.join(' | ') || '-'}${hints}`);
+    });
+  },
+
+  async add({ term, flags }) {
+    if (!term || typeof flags.expansion !== 'string') {
+      throw new Error('Usage: add <term> --expansion="..." [--alias="..."] [--topic-hint="..."]');
+    }
+    const entry = { term, expansions: [flags.expansion] };
+    if (typeof flags.alias === 'string') entry.aliases = [flags.alias];
+    if (typeof flags['topic-hint'] === 'string') entry.topicHints = [flags['topic-hint']];
+
+    const { file } = addGlossaryTerm(entry);
+    console.log(`✅ Added "${term}" → "${flags.expansion}" to ${file}`);
+  },
+
+  async proposals() {
+    const pending = [...(await loadGlossaryProposals()).values()].filter(group => !group.decision);
+    if (pending.length === 0) {
+      console.log('📭 No pending glossary proposals');
+      return;
+    }
+
+    pending.sort((a, b) => b.proposals.length - a.proposals.length);
+    pending.forEach((group) => {
+      const expansions = [...new Set(group.proposals.map(p => p.expansion))];
+      console.log(`\n📖 ${group.term} → ${expansions.join(' | ')}  (${group.proposals.length}x)`);
+      const latest = group.proposals[group.proposals.length - 1];
+      if (latest.reason) console.log(`   Reason:  ${latest.reason}`);
+      if (latest.example) console.log(`   Example: "${truncate(latest.example, 100)}"`);
+    });
+    console.log('\nAccept with: npm run glossary -- accept <term> [--expansion="..."]');
+  },
+
+  async accept({ term, flags }) {
+    if (!term) throw new Error('Usage: accept <term> [--expansion="..."]');
+    const entry = await acceptGlossaryProposal(term, typeof flags.expansion === 'string' ? { expansion: flags.expansion } : {});
+    console.log(`✅ Added "${entry.term}" → "${entry.expansions.join(' | ')}" to the glossary`);
+  },
+
+  async reject({ term }) {
+    if (!term) throw new Error('Usage: reject <term>');
+    const group = (await loadGlossaryProposals()).get(glossaryKey(term));
+    await recordGlossaryDecision(group?.term || term, 'rejected');
+    console.log(`🚫 "${term}" rejected - it will not be proposed again`);
+  },
+};
+
+async function main() {
+  const [command = 'list', ...rest] = process.argv.slice(2);
+  const handler = commands[command];
+  if (!handler) throw new Error(`Unknown command: ${command}`);
+  await handler(parseArgs(rest));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,107 @@
+/**
+ * Job queue CLI
+ * Usage:
+ *   node src/cli/queue.js stats
+ *   node src/cli/queue.js list [pending|processing|done|dead]
+ *   node src/cli/queue.js show <jobId>
+ *   node src/cli/queue.js replay <jobId>|--all
+ *   node src/cli/queue.js work [--watch]
+ *   node src/cli/queue.js purge-done
+ */
+import dotenv from 'dotenv';
+import { openJobQueue, createQueueWorker, createJobHandlers, JOB_STATUS } from '../queue/index.js';
+import { truncate } from '../utils/text.js';
+
+dotenv.config();
+
+/**
+ * Print a one-line job summary
+ * @param {Object} job - Job
+ */
+function printJob(job) {
+  const text = job.payload.message?.text || job.payload.event?.text || '';
+  console.log(`${job.id}  ${job.status.padEnd(10)} ${job.type.padEnd(18)} attempts=${job.attempts}/${job.maxAttempts}  "${truncate(text, 50)}"`);
+  if (job.lastError) {
+    console.log(`   └─ ${job.lastError.message}`);
+  }
+}
+
+async function main() {
+  const [command = 'stats', arg] = process.argv.slice(2);
+  const queue = await openJobQueue();
+
+  switch (command) {
+    case 'stats': {
+      console.log(`📦 Queue: ${queue.filePath}`);
+      for (const [status, count] of Object.entries(queue.stats())) {
+        console.log(`   ${status.padEnd(10)} ${count}`);
+      }
+      break;
+    }
+
+    case 'list': {
+      const jobs = queue.list(arg || null);
+      jobs.forEach(printJob);
+      console.log(`\n${jobs.length} job(s)`);
+      break;
+    }
+
+    case 'dead': {
+      const jobs = queue.list(JOB_STATUS.DEAD);
+      jobs.forEach(printJob);
+      console.log(`\n${jobs.length} dead job(s)`);
+      break;
+    }
+
+    case 'show': {
+      const job = queue.get(arg);
+      if (!job) throw new Error(`Job not found: ${arg}`);
+      console.log(JSON.stringify(job, null, 2));
+      break;
+    }
+
+    case 'replay': {
+      if (!arg) throw new Error('Usage: replay <jobId>|--all');
+      const ids = arg === '--all' ? queue.list(JOB_STATUS.DEAD).map(job => job.id) : [arg];
+      if (ids.length === 0) {
+        console.log('No dead jobs');
+        break;
+      }
+      for (const id of ids) {
+        await queue.replay(id);
+        console.log(`🔁 Requeued ${id}`);
+      }
+      break;
+    }
+
+    case 'work': {
+      const worker = createQueueWorker(queue, createJobHandlers());
+      if (arg === '--watch') {
+        console.log('👷 Worker started (Ctrl+C to stop)');
+        worker.start();
+        await new Promise(resolve => process.on('SIGINT', resolve));
+        await worker.stop();
+      } else {
+        const processed = await worker.runUntilEmpty();
+        console.log(`\n👷 Processed ${processed.length} job(s)`);
+      }
+      break;
+    }
+
+    case 'purge-done': {
+      const removed = await queue.purgeDone();
+      console.log(`🧹 Removed ${removed} finished job(s)`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
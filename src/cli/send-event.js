@@ -0,0 +1,43 @@
+/**
+ * Send a locally signed Slack event fixture to the webhook server
+ * Usage: node src/cli/send-event.js <fixture.json> [--url=...] [--retry=1]
+ */
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import { computeSlackSignature } from '../server/signature.js';
+import { EVENTS_PATH } from '../server/slack-events.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const fixturePath = args.find(arg => arg.endsWith('.json'));
+const url = args.find(arg => arg.startsWith('--url='))?.split('=')[1]
+  || `http://localhost:${process.env.PORT || 3000}${EVENTS_PATH}`;
+const retryNum = args.find(arg => arg.startsWith('--retry='))?.split('=')[1];
+
+if (!fixturePath) {
+  console.error('Usage: node src/cli/send-event.js <fixture.json> [--url=...] [--retry=N]');
+  process.exit(1);
+}
+
+if (!process.env.SLACK_SIGNING_SECRET) {
+  console.error('SLACK_SIGNING_SECRET is not set');
+  process.exit(1);
+}
+
+const rawBody = JSON.stringify(JSON.parse(await fs.readFile(fixturePath, 'utf-8')));
+const timestamp = Math.floor(Date.now() / 1000).toString();
+
+const headers = {
+  'Content-Type': 'application/json',
+  'X-Slack-Request-Timestamp': timestamp,
+  'X-Slack-Signature': computeSlackSignature(process.env.SLACK_SIGNING_SECRET, timestamp, rawBody),
+};
+if (retryNum) {
+  headers['X-Slack-Retry-Num'] = retryNum;
+  headers['X-Slack-Retry-Reason'] = 'http_timeout';
+}
+
+const response = await fetch(url, { method: 'POST', headers, body: rawBody });
+console.log(`${response.status} ${response.statusText}`);
+console.log(await response.text());
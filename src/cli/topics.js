@@ -0,0 +1,249 @@
+/**
+ * Topic maintenance CLI
+ * Usage:
+ *   node src/cli/topics.js list
+ *   node src/cli/topics.js merge <targetId> <sourceId> [sourceId...] [--reason="..."] [--yes]
+ *   node src/cli/topics.js history
+ *   node src/cli/topics.js duplicates [--min=0.75] [--limit=20] [--watch=<minutes>]
+ *   node src/cli/topics.js review [--min=0.75]
+ *   node src/cli/topics.js reject <topicIdA> <topicIdB>
+ *   node src/cli/topics.js split <topicId> [--clusters=N] [--dry-run] [--yes]
+ */
+import readline from 'readline';
+import dotenv from 'dotenv';
+import { getAllTopics, getTopicById, mergeTopics } from '../services/database.js';
+import { MERGE_HISTORY_FILE } from '../config/constants.js';
+import {
+  findDuplicateTopics,
+  recordPairDecision,
+  writeCandidatesReport,
+  proposeTopicSplit,
+  applyTopicSplit,
+} from '../maintenance/index.js';
+import { readJsonl } from '../utils/jsonl.js';
+import { truncate } from '../utils/text.js';
+
+dotenv.config();
+
+/**
+ * Ask a question and return the trimmed, lowercased answer
+ * @param {string} question - Question text
+ * @returns {Promise<string>} Answer
+ */
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(`${question} `, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase());
+    });
+  });
+}
+
+/**
+ * Ask a yes/no question
+ * @param {string} question - Question text
+ * @returns {Promise<boolean>} True if the answer was yes
+ */
+async function confirm(question) {
+  return (await ask(`${question} [y/N]`)) === 'y';
+}
+
+/**
+ * Print a merge candidate with its similarity breakdown
+ * @param {Object} candidate - Candidate from findDuplicateTopics()
+ * @param {number} index - Position in the list
+ */
+function printCandidate(candidate, index) {
+  const { breakdown } = candidate;
+  console.log(`\n${index + 1}. score ${candidate.score}  (vector ${breakdown.vectorSimilarity} | name ${breakdown.nameSimilarity} | keywords ${breakdown.keywordOverlap})`);
+  console.log(`   keep:  ${candidate.target.name} (${candidate.target.messageCount} msgs, ${candidate.target.id})`);
+  console.log(`   merge: ${candidate.source.name} (${candidate.source.messageCount} msgs, ${candidate.source.id})`);
+}
+
+/**
+ * Parse a numeric CLI flag
+ * @param {string|boolean|undefined} value - Flag value
+ * @param {number} fallback - Default
+ * @returns {number} Parsed value
+ */
+function numberFlag(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Split CLI args into positionals and --flags
+ * @param {Array<string>} args - Raw args
+ * @returns {Object} { positionals, flags }
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const flags = {};
+  for (const arg of args) {
+    if (arg.startsWith('--')) {
+      const [key, ...rest] = arg.slice(2).split('=');
+      flags[key] = rest.length > 0 ? rest.join('=') : true;
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { positionals, flags };
+}
+
+const commands = {
+  async list() {
+    const topics = await getAllTopics();
+    topics.sort((a, b) => b.messageCount - a.messageCount);
+    topics.forEach((topic) => {
+      const secondary = topic.secondaryMessageCount ? `  (+${topic.secondaryMessageCount} secondary)` : '';
+      console.log(`${topic._additional.id}  ${String(topic.messageCount).padStart(4)}  ${topic.name}${secondary}`);
+    });
+    console.log(`\n${topics.length} topic(s)`);
+  },
+
+  async merge({ positionals, flags }) {
+    const [targetId, ...sourceIds] = positionals;
+    if (!targetId || sourceIds.length === 0) {
+      throw new Error('Usage: merge <targetId> <sourceId> [sourceId...] [--reason="..."] [--yes]');
+    }
+
+    const target = await getTopicById(targetId);
+    if (!target) throw new Error(`Topic not found: ${targetId}`);
+
+    console.log(`🎯 Target: ${target.name} (${target.messageCount} messages)`);
+    for (const sourceId of sourceIds) {
+      const source = await getTopicById(sourceId);
+      if (!source) throw new Error(`Topic not found: ${sourceId}`);
+      console.log(`   ← ${source.name} (${source.messageCount} messages)`);
+    }
+
+    if (!flags.yes && !(await confirm('\nMerge these topics? Sources will be deleted.'))) {
+      console.log('Aborted.');
+      return;
+    }
+
+    const entry = await mergeTopics(sourceIds, targetId, { reason: flags.reason || null });
+    console.log(`\n✅ Merged ${entry.sources.length} topic(s) into "${entry.target.name}"`);
+    console.log(`   Moved messages: ${entry.movedMessages}`);
+    if (entry.movedMemberships > 0) console.log(`   Moved secondary memberships: ${entry.movedMemberships}`);
+    if (entry.movedBranchLinks > 0) console.log(`   Re-pointed branch links: ${entry.movedBranchLinks}`);
+    console.log(`   Message count: ${entry.resultMessageCount}`);
+  },
+
+  async history() {
+    const entries = await readJsonl(MERGE_HISTORY_FILE);
+    if (entries.length === 0) {
+      console.log('No merges recorded.');
+      return;
+    }
+    for (const entry of entries) {
+      console.log(`${entry.mergedAt}  → ${entry.target.name} (${entry.target.id})`);
+      entry.sources.forEach(source => console.log(`   ← ${source.name} (${source.id}, ${source.messageCount} messages)`));
+      if (entry.reason) console.log(`   💬 ${truncate(entry.reason, 100)}`);
+    }
+  },
+
+  async duplicates({ flags }) {
+    const run = async () => {
+      const candidates = await findDuplicateTopics({
+        minScore: numberFlag(flags.min, undefined),
+        limit: numberFlag(flags.limit, 20),
+      });
+      await writeCandidatesReport(candidates);
+
+      console.log(`\n🔎 ${candidates.length} merge candidate(s) - ${new Date().toLocaleString()}`);
+      candidates.forEach(printCandidate);
+    };
+
+    await run();
+
+    if (flags.watch) {
+      const minutes = numberFlag(flags.watch, 60);
+      console.log(`\n⏱️  Re-running every ${minutes} minute(s) (Ctrl+C to stop)`);
+      setInterval(() => run().catch(error => console.error(`❌ ${error.message}`)), minutes * 60 * 1000);
+      await new Promise(() => {});
+    }
+  },
+
+  async review({ flags }) {
+    const candidates = await findDuplicateTopics({ minScore: numberFlag(flags.min, undefined) });
+    const merged = new Set();
+
+    for (const [index, candidate] of candidates.entries()) {
+      if (merged.has(candidate.source.id) || merged.has(candidate.target.id)) continue;
+
+      printCandidate(candidate, index);
+      const answer = await ask('   [a]ccept / [r]eject / [s]kip / [q]uit?');
+      const details = { names: [candidate.target.name, candidate.source.name], score: candidate.score };
+
+      if (answer === 'q') break;
+      if (answer === 'a') {
+        await mergeTopics([candidate.source.id], candidate.target.id, {
+          reason: `Duplicate review (score ${candidate.score})`,
+        });
+        await recordPairDecision(candidate.target.id, candidate.source.id, 'accepted', details);
+        merged.add(candidate.source.id);
+        console.log('   ✅ Merged');
+      } else if (answer === 'r') {
+        await recordPairDecision(candidate.target.id, candidate.source.id, 'rejected', details);
+        console.log('   🚫 Rejected - will not be proposed again');
+      }
+    }
+  },
+
+  async reject({ positionals }) {
+    const [idA, idB] = positionals;
+    if (!idA || !idB) throw new Error('Usage: reject <topicIdA> <topicIdB>');
+    await recordPairDecision(idA, idB, 'rejected');
+    console.log('🚫 Pair rejected - it will not be proposed again');
+  },
+
+  async split({ positionals, flags }) {
+    const [topicId] = positionals;
+    if (!topicId) throw new Error('Usage: split <topicId> [--clusters=N] [--dry-run] [--yes]');
+
+    const clusters = numberFlag(flags.clusters, null);
+    if (flags.clusters !== undefined && !(Number.isInteger(clusters) && clusters >= 2)) {
+      throw new Error(`Invalid --clusters: ${flags.clusters} (a split needs at least 2)`);
+    }
+
+    const proposal = await proposeTopicSplit(topicId, { clusters });
+
+    console.log(`\n✂️  Proposed split of "${proposal.topic.name}" (${proposal.topic.messageCount} messages):`);
+    proposal.clusters.forEach((cluster, index) => {
+      console.log(`\n${index + 1}. ${cluster.name} (${cluster.messages.length} messages)`);
+      console.log(`   ${cluster.description}`);
+      console.log(`   Keywords: ${cluster.keywords.join(', ') || 'N/A'}`);
+      cluster.messages.slice(0, 3).forEach(m => console.log(`   - "${truncate(m.text, 80)}"`));
+    });
+
+    if (flags['dry-run']) {
+      console.log('\n(dry run - nothing changed)');
+      return;
+    }
+
+    if (!flags.yes && !(await confirm(`\nCreate ${proposal.clusters.length} topics and delete the original?`))) {
+      console.log('Aborted.');
+      return;
+    }
+
+    const entry = await applyTopicSplit(proposal);
+    console.log(`\n✅ Split "${entry.original.name}" into ${entry.created.length} topics`);
+    if (entry.movedBranchLinks > 0) console.log(`   Re-pointed branch links: ${entry.movedBranchLinks}`);
+  },
+};
+
+async function main() {
+  const [command = 'list', ...rest] = process.argv.slice(2);
+  const handler = commands[command];
+  if (!handler) throw new Error(`Unknown command: ${command}`);
+  await handler(parseArgs(rest));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
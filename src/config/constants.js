@@ -2,12 +2,91 @@
  * Application constants and configuration
  */
 
-export const CONVERSATION_TIMEOUT_MINUTES = 10;
+export const CONVERSATION_TIMEOUT_MINUTES = 10; // Idle time before a channel's conversation context expires
+export const CONTEXT_RECENT_MESSAGES = 20; // Recent messages kept per channel
 export const TEXT_PREVIEW_LENGTH = 150;
 export const MAX_TOPICS_LIMIT = 50;
 export const RRF_K = 60; // Reciprocal Rank Fusion constant
+export const EDIT_SIMILARITY_THRESHOLD = 0.8; // Edits less similar than this are re-categorized
 
-export const MODEL = 'gpt-4o';
+export const MODEL = 'gpt-4o'; // Default chat model for the openai provider
+export const EMBEDDING_MODEL = 'text-embedding-3-small'; // Must match the Weaviate text2vec-openai model
+export const EMBEDDING_DIMENSIONS = 1536; // Vector length of EMBEDDING_MODEL, and so of message vectors and centroids
+
+// Named vectors of the Topic class
+export const TOPIC_VECTORS = {
+  description: 'description', // Vectorized combinedSearchText (name, description, keywords, users)
+  centroid: 'centroid', // Running mean of the member messages' vectors
+};
+
+// Namespace for deterministic SlackMessage IDs (UUIDv5 of "channelId:ts")
+export const MESSAGE_ID_NAMESPACE = '6f1c7a4e-3b5d-5e8f-9a2b-4c6d8e0f1a3b';
+
+// Local state (job queue, histories) lives here
+export const DATA_DIR = process.env.DATA_DIR || '.data';
+
+export const MERGE_HISTORY_FILE = `${DATA_DIR}/merge-history.jsonl`;
+export const SPLIT_HISTORY_FILE = `${DATA_DIR}/split-history.jsonl`;
+export const DUPLICATE_DECISIONS_FILE = `${DATA_DIR}/duplicate-decisions.jsonl`;
+export const DUPLICATE_CANDIDATES_FILE = `${DATA_DIR}/duplicate-candidates.json`;
+export const EVAL_RUNS_DIR = `${DATA_DIR}/eval`;
+export const CALIBRATION_DIR = `${DATA_DIR}/calibration`;
+export const GLOSSARY_PROPOSALS_FILE = `${DATA_DIR}/glossary-proposals.jsonl`;
+export const CONTEXT_STORE_FILE = `${DATA_DIR}/conversation-context.json`;
+
+// Multi-label categorization: secondary topics per message and the weight below which one is dropped
+// (the primary topic counts as 1)
+export const MAX_SECONDARY_TOPICS = 2;
+export const MIN_SECONDARY_TOPIC_WEIGHT = 0.2;
+
+// Duplicate topic detection: weighted pair score and minimum score to propose a merge
+export const DUPLICATE_WEIGHTS = { vector: 0.6, name: 0.25, keywords: 0.15 };
+export const DUPLICATE_MIN_SCORE = 0.75;
+
+// Job queue retry policy
+export const QUEUE_MAX_ATTEMPTS = 5;
+export const QUEUE_BASE_DELAY_MS = 2000;
+export const QUEUE_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Jobs processed in parallel (jobs from the same channel always run in order)
+export const QUEUE_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY || '4');
+
+// Deterministic pre-classification before the agent loop
+export const FAST_PATH_POLICY = {
+  threadReplies: true, // Thread replies inherit the parent message's topic
+  acknowledgements: true, // Trivial acks ("ok", "حله", emoji-only) inherit the current session's topic
+  llmOverride: false, // Let the LLM review substantive thread replies (parent topic is suggested, not forced)
+  threadDrift: true, // Send thread replies that no longer match the parent's topic to the LLM
+  maxAcknowledgementLength: 20,
+};
+
+// A thread reply has drifted when it matches its parent's topic worse than both thresholds
+export const THREAD_DRIFT = {
+  minLength: 40, // Shorter replies are never checked
+  minSimilarity: 0.82, // Vector certainty between the reply and the parent topic
+  minConfidence: 0.3, // calculateConfidence of the parent topic for the reply
+};
+
+// Search pipeline defaults, overridable by SEARCH_CONFIG_FILE, SEARCH_* env vars and per channel (see ./search.js)
+export const SEARCH_CONFIG_FILE = process.env.SEARCH_CONFIG_FILE || 'search-config.json';
+export const SEARCH_CONFIG_DEFAULTS = {
+  hybridAlpha: 0.5, // Balance between BM25 (0) and vector (1) in hybrid search
+  rrfMultiplier: 40, // RRF score × this (capped at 1) is the confidence RRF factor
+  weights: { rrf: 0.5, keywords: 0.25, name: 0.15, recency: 0.05, volume: 0.05 }, // calculateConfidence factor weights, sum to 1
+  thresholds: { assign: 0.8, review: 0.5 }, // generateRecommendation cutoffs
+  activityHalfLifeHours: 72, // Topic recency and activity halve every N hours without messages
+};
+
+// Decayed topic activity (≈ recent messages) at which the volume factor reaches 1
+export const ACTIVITY_VOLUME_SATURATION = 10;
+
+// USD per 1M tokens, used by the evaluation suite to estimate run cost
+export const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+};
 
 export const TOPIC_FIELDS = `
   name
@@ -19,60 +98,67 @@ export const TOPIC_FIELDS = `
   _additional { id }
 `;
 
-export const MESSAGE_WITH_TOPIC_FIELDS = `
+/**
+ * Message fields including the linked topic
+ * @param {string} topicClass - Topic class name (namespaced)
+ * @returns {string} GraphQL fields
+ */
+export const messageWithTopicFields = (topicClass = 'Topic') => `
   text
   user
   userName
   timestamp
+  sessionId
   topic {
-    ... on Topic {
+    ... on ${topicClass} {
       name
       users
       _additional { id }
     }
   }
 `;
+/**
+ * Per-language stop words and abbreviations (<lang>.json, merged over src/config/languages)
+ */
+export const LANGUAGE_DIR = process.env.LANGUAGE_DIR || null;
 
 /**
- * Common abbreviations for text normalization
+ * Workspace glossary of team acronyms and product names (see src/config/glossary.js)
  */
-export const ABBREVIATIONS = {
-  'db': 'database',
-  'k8s': 'kubernetes',
-  'auth': 'authentication',
-  'api': 'application programming interface',
-  'ui': 'user interface',
-  'ux': 'user experience',
-  'fe': 'frontend',
-  'be': 'backend',
-  'devops': 'development operations',
-  'ci': 'continuous integration',
-  'cd': 'continuous deployment',
-  'pr': 'pull request',
-  'mr': 'merge request',
-  'env': 'environment',
-  'config': 'configuration',
-  'infra': 'infrastructure',
-  'perf': 'performance',
-  'prod': 'production',
-  'dev': 'development',
-  'qa': 'quality assurance',
-};
+export const GLOSSARY_FILE = process.env.GLOSSARY_FILE || 'glossary.json';
 
 /**
- * Stop words for keyword extraction
+ * Trivial acknowledgements that never start a new subject (matched after lowercasing and trimming punctuation)
  */
-export const STOP_WORDS = new Set([
-  'the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-  'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these',
-  'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'what', 'which',
-  'who', 'when', 'where', 'why', 'how', 'all', 'each', 'every', 'both',
-  'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not',
-  'only', 'own', 'same', 'so', 'than', 'too', 'very', 'just', 'and',
-  'but', 'if', 'or', 'because', 'as', 'until', 'while', 'of', 'at',
-  'by', 'for', 'with', 'about', 'against', 'between', 'into', 'through',
-  'during', 'before', 'after', 'above', 'below', 'to', 'from', 'up',
-  'down', 'in', 'out', 'on', 'off', 'over', 'under', 'again', 'further',
-  'then', 'once', 'here', 'there', 'ok', 'okay', 'yes', 'no', 'حله', 'اوکی',
+export const ACKNOWLEDGEMENTS = new Set([
+  'ok', 'okay', 'k', 'kk', 'yes', 'yep', 'yeah', 'yup', 'sure', 'done', 'fixed', 'merged', 'deployed',
+  'thanks', 'thank you', 'thx', 'ty', 'cool', 'nice', 'great', 'perfect', 'got it', 'sounds good',
+  'looks good', 'lgtm', 'agreed', 'noted', 'on it', '+1', 'np', 'no problem',
+  'حله', 'اوکی', 'باشه', 'مرسی', 'ممنون', 'مرسی حله', 'اوکیه', 'چشم', 'آره', 'بله', 'انجام شد', 'دمت گرم',
 ]);
+
+/**
+ * Services recognized from link domains (a key with a path only matches URLs under that path; longest key wins)
+ */
+export const LINK_SERVICES = {
+  'loom.com': 'Loom',
+  'figma.com': 'Figma',
+  'github.com': 'GitHub',
+  'gitlab.com': 'GitLab',
+  'atlassian.net': 'Jira',
+  'atlassian.net/wiki': 'Confluence',
+  'docs.google.com': 'Google Docs',
+  'drive.google.com': 'Google Drive',
+  'notion.so': 'Notion',
+  'trello.com': 'Trello',
+  'linear.app': 'Linear',
+  'sentry.io': 'Sentry',
+};
+
+/**
+ * Length limits for file, attachment and unfurl content added to a message's enriched text
+ */
+export const ARTIFACT_TEXT_LIMITS = {
+  description: 300, // Unfurl/attachment descriptions and block text
+  snippet: 500, // Code snippet previews
+};
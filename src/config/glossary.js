@@ -0,0 +1,214 @@
+/**
+ * Workspace glossary: team acronyms and product names
+ * Drives keyword expansion in extractKeywords and the expanded BM25 queries of find_topics.
+ *
+ * Glossary file (JSON, GLOSSARY_FILE):
+ *   { "terms": [
+ *       { "term": "CM", "expansions": ["Campaign Monitor"], "aliases": ["C.M."], "topicHints": ["Campaign Monitor sync"] },
+ *       { "term": "SM Pro", "expansions": ["Social Media Pro"] }
+ *   ] }
+ */
+import fs from 'fs';
+import path from 'path';
+import { GLOSSARY_FILE } from './constants.js';
+import { getLanguageTable } from './language.js';
+import { tokenize, normalizeScript } from '../utils/language.js';
+
+const ENTRY_KEYS = ['term', 'expansions', 'aliases', 'topicHints'];
+
+// All-caps words of 2-6 characters ("CM", "SMP", "Q3OKR") look like team acronyms
+const ACRONYM_PATTERN = /^[A-Z][A-Z0-9]{1,5}$/;
+
+/**
+ * Check glossary entries for missing terms, unknown keys and clashing aliases
+ * @param {Array<Object>} terms - Raw entries
+ * @returns {Array<string>} Problems
+ */
+function findProblems(terms) {
+  const problems = [];
+  const seen = new Map();
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+  terms.forEach((entry, index) => {
+    const label = `terms[${index}]${entry?.term ? ` ("${entry.term}")` : ''}`;
+    if (typeof entry?.term !== 'string' || tokenize(entry.term).length === 0) {
+      problems.push(`${label}.term must be a non-empty string`);
+      return;
+    }
+    for (const key of Object.keys(entry)) {
+      if (!ENTRY_KEYS.includes(key)) problems.push(`${label}.${key} is not a glossary field (${ENTRY_KEYS.join(', ')})`);
+    }
+    for (const key of ENTRY_KEYS.slice(1)) {
+      if (key in entry && !isStringList(entry[key])) problems.push(`${label}.${key} must be a list of strings`);
+    }
+
+    for (const name of [entry.term, ...(entry.aliases || [])]) {
+      const phrase = tokenize(name).join(' ');
+      if (seen.has(phrase) && seen.get(phrase) !== entry.term) {
+        problems.push(`${label}: "${name}" is already used by "${seen.get(phrase)}"`);
+      }
+      seen.set(phrase, entry.term);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Compile raw entries for matching
+ * @param {Array<Object>} terms - Validated entries
+ * @returns {Array<Object>} [{ term, expansions, aliases, topicHints, phrases: [tokens] }] - longest phrases first
+ */
+function compileTerms(terms) {
+  return terms.map(entry => ({
+    term: entry.term,
+    expansions: entry.expansions || [],
+    aliases: entry.aliases || [],
+    topicHints: entry.topicHints || [],
+    phrases: [entry.term, ...(entry.aliases || [])]
+      .map(tokenize)
+      .filter(tokens => tokens.length > 0)
+      .sort((a, b) => b.length - a.length),
+  }));
+}
+
+/**
+ * Load and validate the glossary file
+ * @param {Object} options - Options
+ * @param {string} options.file - Glossary file (default: GLOSSARY_FILE; a missing file means an empty glossary)
+ * @param {boolean} options.required - Fail if the file doesn't exist (default: false)
+ * @returns {Object} { file, terms } - terms are compiled for matching
+ */
+export function loadGlossary(options = {}) {
+  const { file = GLOSSARY_FILE, required = false } = options;
+
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Glossary not found: ${file}`);
+    return { file, terms: [] };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read glossary ${file}: ${error.message}`);
+  }
+
+  const terms = Array.isArray(raw?.terms) ? raw.terms : null;
+  const problems = terms ? findProblems(terms) : ['expected { "terms": [...] }'];
+  if (problems.length > 0) {
+    throw new Error(`Invalid glossary ${file}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return { file, terms: compileTerms(terms) };
+}
+
+/**
+ * Add or replace an entry in the glossary file (validated before writing)
+ * @param {Object} entry - Raw entry ({ term, expansions, aliases, topicHints })
+ * @param {string} file - Glossary file (default: GLOSSARY_FILE; created if missing)
+ * @returns {Object} The reloaded glossary
+ */
+export function addGlossaryTerm(entry, file = GLOSSARY_FILE) {
+  const raw = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : { terms: [] };
+  const sameTerm = existing => tokenize(existing.term).join(' ') === tokenize(entry.term).join(' ');
+  const terms = [...(raw.terms || []).filter(existing => !sameTerm(existing)), entry];
+
+  const problems = findProblems(terms);
+  if (problems.length > 0) {
+    throw new Error(`Invalid glossary entry:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ ...raw, terms }, null, 2)}\n`);
+  return loadGlossary({ file });
+}
+
+let activeGlossary = null;
+
+/**
+ * Get the process-wide glossary (loaded on first use)
+ * @returns {Object} { file, terms }
+ */
+export function getGlossary() {
+  if (!activeGlossary) activeGlossary = loadGlossary();
+  return activeGlossary;
+}
+
+/**
+ * Replace the process-wide glossary
+ * @param {Object|null} glossary - Glossary from loadGlossary, or null to reload from GLOSSARY_FILE
+ */
+export function setGlossary(glossary) {
+  activeGlossary = glossary;
+}
+
+/**
+ * Find glossary terms in a text (whole-word matches of the term or an alias, longest first)
+ * @param {string} text - Text
+ * @param {Object} glossary - Glossary (default: getGlossary())
+ * @returns {Array<Object>} Matches ({ term, expansions, topicHints, start, end }) - start/end are token positions
+ */
+export function matchGlossary(text, glossary = getGlossary()) {
+  const tokens = tokenize(text);
+  const matches = [];
+  const taken = new Array(tokens.length).fill(false);
+
+  const candidates = glossary.terms
+    .flatMap(entry => entry.phrases.map(phrase => ({ entry, phrase })))
+    .sort((a, b) => b.phrase.length - a.phrase.length);
+
+  for (const { entry, phrase } of candidates) {
+    for (let start = 0; start + phrase.length <= tokens.length; start++) {
+      const end = start + phrase.length;
+      if (taken.slice(start, end).some(Boolean)) continue;
+      if (!phrase.every((token, i) => tokens[start + i] === token)) continue;
+
+      taken.fill(true, start, end);
+      matches.push({ term: entry.term, expansions: entry.expansions, topicHints: entry.topicHints, start, end });
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Expanded search queries for a text: each glossary term replaced by each of its
+ * expansions, plus the term's topic hints
+ * @param {string} query - Search query
+ * @param {Object} glossary - Glossary (default: getGlossary())
+ * @returns {Array<string>} Extra queries (never the original)
+ */
+export function expandQuery(query, glossary = getGlossary()) {
+  const tokens = tokenize(query);
+  const original = tokens.join(' ');
+  const queries = new Set();
+
+  for (const match of matchGlossary(query, glossary)) {
+    for (const expansion of match.expansions) {
+      queries.add([...tokens.slice(0, match.start), ...tokenize(expansion), ...tokens.slice(match.end)].join(' '));
+    }
+    match.topicHints.forEach(hint => queries.add(hint));
+  }
+
+  queries.delete(original);
+  return [...queries];
+}
+
+/**
+ * All-caps words in a text that neither the glossary nor the English abbreviation table knows
+ * @param {string} text - Text
+ * @param {Object} glossary - Glossary (default: getGlossary())
+ * @returns {Array<string>} Unknown acronyms, in order of first appearance
+ */
+export function findUnknownAcronyms(text, glossary = getGlossary()) {
+  const { abbreviations, stopWords } = getLanguageTable('en');
+  const known = new Set(glossary.terms.flatMap(entry => entry.phrases.filter(p => p.length === 1).map(p => p[0])));
+  const words = normalizeScript(text || '').split(/[^\p{L}\p{N}]+/u);
+
+  return [...new Set(words.filter(word => ACRONYM_PATTERN.test(word)))]
+    .filter(word => {
+      const folded = word.toLowerCase();
+      return !known.has(folded) && !abbreviations.has(folded) && !stopWords.has(folded);
+    });
+}
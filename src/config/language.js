@@ -0,0 +1,93 @@
+/**
+ * Per-language text tables: stop words, abbreviations and minimum keyword length
+ * Built-in tables live in src/config/languages/<lang>.json; files in LANGUAGE_DIR
+ * with the same name extend them (stop words are added, abbreviations override)
+ *
+ * Table file (JSON, every key optional):
+ *   { "minKeywordLength": 3, "stopWords": ["the", ...], "abbreviations": { "db": "database" } }
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LANGUAGE_DIR } from './constants.js';
+import { normalizeScript } from '../utils/language.js';
+
+const BUILT_IN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'languages');
+const DEFAULT_MIN_KEYWORD_LENGTH = 3;
+
+/**
+ * Read every <lang>.json table in a directory
+ * @param {string} dir - Directory
+ * @returns {Object} Language code → raw table
+ */
+function readTables(dir) {
+  const tables = {};
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+    const filePath = path.join(dir, file);
+    try {
+      tables[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read language table ${filePath}: ${error.message}`);
+    }
+  }
+  return tables;
+}
+
+/**
+ * Fold a table's words the same way message text is folded, so lookups match
+ * @param {Object} table - Raw table
+ * @returns {Object} { minKeywordLength, stopWords: Set, abbreviations: Map }
+ */
+function compileTable(table) {
+  const fold = word => normalizeScript(word).toLowerCase().trim();
+  return {
+    minKeywordLength: table.minKeywordLength ?? DEFAULT_MIN_KEYWORD_LENGTH,
+    stopWords: new Set((table.stopWords || []).map(fold)),
+    abbreviations: new Map(Object.entries(table.abbreviations || {}).map(([abbr, full]) => [fold(abbr), full.toLowerCase()])),
+  };
+}
+
+/**
+ * Load the built-in language tables, extended by a directory of overrides
+ * @param {Object} options - Options
+ * @param {string} options.dir - Override directory (default: LANGUAGE_DIR; none when unset)
+ * @returns {Object} Language code → { minKeywordLength, stopWords, abbreviations }
+ */
+export function loadLanguageTables(options = {}) {
+  const { dir = LANGUAGE_DIR } = options;
+  const tables = readTables(BUILT_IN_DIR);
+
+  if (dir) {
+    if (!fs.existsSync(dir)) throw new Error(`Language directory not found: ${dir}`);
+    for (const [language, override] of Object.entries(readTables(dir))) {
+      const base = tables[language] || {};
+      tables[language] = {
+        minKeywordLength: override.minKeywordLength ?? base.minKeywordLength,
+        stopWords: [...(base.stopWords || []), ...(override.stopWords || [])],
+        abbreviations: { ...base.abbreviations, ...override.abbreviations },
+      };
+    }
+  }
+
+  return Object.fromEntries(Object.entries(tables).map(([language, table]) => [language, compileTable(table)]));
+}
+
+let activeTables = null;
+
+/**
+ * Get the table for a language
+ * @param {string} language - Language code
+ * @returns {Object} { minKeywordLength, stopWords, abbreviations } (empty table for unknown languages)
+ */
+export function getLanguageTable(language) {
+  if (!activeTables) activeTables = loadLanguageTables();
+  return activeTables[language] || compileTable({});
+}
+
+/**
+ * Replace the process-wide language tables
+ * @param {Object|null} tables - Tables from loadLanguageTables, or null to reload from disk
+ */
+export function setLanguageTables(tables) {
+  activeTables = tables;
+}
@@ -0,0 +1,48 @@
+/**
+ * Weaviate class namespace
+ * Prefixes the Topic and SlackMessage class names so isolated runs (e.g. evals)
+ * can use their own classes in the same Weaviate instance
+ */
+
+let namespace = process.env.WEAVIATE_NAMESPACE || '';
+
+/**
+ * Validate a namespace (Weaviate class names must start with an uppercase letter)
+ * @param {string} value - Namespace
+ * @returns {string} The namespace
+ */
+function validateNamespace(value) {
+  if (value && !/^[A-Z][A-Za-z0-9]*$/.test(value)) {
+    throw new Error(`Invalid Weaviate namespace "${value}" - use letters and digits, starting with an uppercase letter`);
+  }
+  return value;
+}
+
+validateNamespace(namespace);
+
+/**
+ * Get the current namespace
+ * @returns {string} Namespace ('' for the default classes)
+ */
+export function getNamespace() {
+  return namespace;
+}
+
+/**
+ * Switch the namespace for all following database calls
+ * @param {string} value - Namespace ('' for the default classes)
+ */
+export function setNamespace(value = '') {
+  namespace = validateNamespace(value);
+}
+
+/**
+ * Get the class names for the current namespace
+ * @returns {Object} { topic, message }
+ */
+export function classNames() {
+  return {
+    topic: `${namespace}Topic`,
+    message: `${namespace}SlackMessage`,
+  };
+}
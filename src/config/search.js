@@ -0,0 +1,228 @@
+/**
+ * Search pipeline configuration
+ * Hybrid alpha, confidence factor weights, the RRF multiplier, the
+ * recommendation thresholds and the topic activity half-life. Resolved in order (later wins):
+ *   SEARCH_CONFIG_DEFAULTS → SEARCH_CONFIG_FILE → SEARCH_* env vars → per-channel overrides
+ *
+ * Config file (JSON, every key optional):
+ *   { "hybridAlpha": 0.6, "weights": { "rrf": 0.6, ... }, "thresholds": { "assign": 0.75 }, "activityHalfLifeHours": 48,
+ *     "channels": { "<channel id or name>": { "thresholds": { "review": 0.4 } } } }
+ */
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { SEARCH_CONFIG_FILE, SEARCH_CONFIG_DEFAULTS } from './constants.js';
+
+dotenv.config();
+
+const WEIGHT_KEYS = Object.keys(SEARCH_CONFIG_DEFAULTS.weights);
+const THRESHOLD_KEYS = Object.keys(SEARCH_CONFIG_DEFAULTS.thresholds);
+
+/**
+ * Merge a partial config over a full one (weights and thresholds merge per key)
+ * @param {Object} base - Full config
+ * @param {Object} override - Partial config
+ * @returns {Object} Merged config
+ */
+export function mergeSearchConfig(base, override = {}) {
+  return {
+    ...base,
+    ...override,
+    weights: { ...base.weights, ...override.weights },
+    thresholds: { ...base.thresholds, ...override.thresholds },
+  };
+}
+
+/**
+ * Check a partial config for unknown keys and out-of-range values
+ * @param {Object} config - Partial config
+ * @param {string} path - Where the config came from (for error messages)
+ * @returns {Array<string>} Problems
+ */
+function findProblems(config, path) {
+  const problems = [];
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const known = ['hybridAlpha', 'rrfMultiplier', 'weights', 'thresholds', 'activityHalfLifeHours'];
+
+  for (const key of Object.keys(config)) {
+    if (!known.includes(key)) problems.push(`${path}.${key} is not a search setting`);
+  }
+  if ('hybridAlpha' in config && !(isNumber(config.hybridAlpha) && config.hybridAlpha >= 0 && config.hybridAlpha <= 1)) {
+    problems.push(`${path}.hybridAlpha must be a number between 0 and 1`);
+  }
+  if ('rrfMultiplier' in config && !(isNumber(config.rrfMultiplier) && config.rrfMultiplier > 0)) {
+    problems.push(`${path}.rrfMultiplier must be a positive number`);
+  }
+  if ('activityHalfLifeHours' in config && !(isNumber(config.activityHalfLifeHours) && config.activityHalfLifeHours > 0)) {
+    problems.push(`${path}.activityHalfLifeHours must be a positive number`);
+  }
+  for (const [key, value] of Object.entries(config.weights || {})) {
+    if (!WEIGHT_KEYS.includes(key)) problems.push(`${path}.weights.${key} is not a confidence factor (${WEIGHT_KEYS.join(', ')})`);
+    else if (!(isNumber(value) && value >= 0)) problems.push(`${path}.weights.${key} must be a non-negative number`);
+  }
+  for (const [key, value] of Object.entries(config.thresholds || {})) {
+    if (!THRESHOLD_KEYS.includes(key)) problems.push(`${path}.thresholds.${key} is not a threshold (${THRESHOLD_KEYS.join(', ')})`);
+    else if (!(isNumber(value) && value >= 0 && value <= 1)) problems.push(`${path}.thresholds.${key} must be a number between 0 and 1`);
+  }
+  return problems;
+}
+
+/**
+ * Check that a resolved config is consistent
+ * @param {Object} config - Full config
+ * @param {string} path - Where the config came from (for error messages)
+ * @returns {Array<string>} Problems
+ */
+function findResolvedProblems(config, path) {
+  const problems = [];
+  const weightSum = WEIGHT_KEYS.reduce((sum, key) => sum + config.weights[key], 0);
+  if (Math.abs(weightSum - 1) > 0.01) {
+    problems.push(`${path}.weights must sum to 1 (got ${weightSum.toFixed(3)})`);
+  }
+  if (config.thresholds.review > config.thresholds.assign) {
+    problems.push(`${path}.thresholds.review must not exceed thresholds.assign`);
+  }
+  return problems;
+}
+
+/**
+ * Validate a full config including its per-channel overrides
+ * @param {Object} config - Config ({ ...settings, channels })
+ * @param {string} source - Where the config came from (for error messages)
+ * @returns {Object} The config
+ */
+export function validateSearchConfig(config, source = 'search config') {
+  const { channels = {}, ...settings } = config;
+  const problems = [...findProblems(settings, 'config'), ...findResolvedProblems(settings, 'config')];
+
+  for (const [channel, override] of Object.entries(channels)) {
+    const path = `channels["${channel}"]`;
+    problems.push(...findProblems(override, path));
+    problems.push(...findResolvedProblems(mergeSearchConfig(settings, override), path));
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return config;
+}
+
+/**
+ * Read SEARCH_* overrides from the environment
+ * SEARCH_WEIGHTS uses "rrf=0.5,keywords=0.25,name=0.15,recency=0.05,volume=0.05"
+ * @param {Object} env - Environment variables
+ * @returns {Object} Partial config
+ */
+export function readSearchConfigEnv(env = process.env) {
+  const override = {};
+  if (env.SEARCH_HYBRID_ALPHA) override.hybridAlpha = parseFloat(env.SEARCH_HYBRID_ALPHA);
+  if (env.SEARCH_RRF_MULTIPLIER) override.rrfMultiplier = parseFloat(env.SEARCH_RRF_MULTIPLIER);
+  if (env.SEARCH_ACTIVITY_HALF_LIFE_HOURS) override.activityHalfLifeHours = parseFloat(env.SEARCH_ACTIVITY_HALF_LIFE_HOURS);
+  if (env.SEARCH_WEIGHTS) {
+    override.weights = Object.fromEntries(env.SEARCH_WEIGHTS.split(',').map((pair) => {
+      const [key, value] = pair.split('=').map(part => part.trim());
+      return [key, parseFloat(value)];
+    }));
+  }
+  if (env.SEARCH_ASSIGN_THRESHOLD || env.SEARCH_REVIEW_THRESHOLD) {
+    override.thresholds = {};
+    if (env.SEARCH_ASSIGN_THRESHOLD) override.thresholds.assign = parseFloat(env.SEARCH_ASSIGN_THRESHOLD);
+    if (env.SEARCH_REVIEW_THRESHOLD) override.thresholds.review = parseFloat(env.SEARCH_REVIEW_THRESHOLD);
+  }
+  return override;
+}
+
+/**
+ * Load the search config from defaults, a JSON file and the environment
+ * @param {Object} options - Options
+ * @param {string} options.file - Config file (default: SEARCH_CONFIG_FILE; a missing file is skipped)
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {boolean} options.required - Fail if the file doesn't exist (default: false)
+ * @returns {Object} Validated config ({ ...settings, channels, sources })
+ */
+export function loadSearchConfig(options = {}) {
+  const { file = SEARCH_CONFIG_FILE, env = process.env, required = false } = options;
+  const sources = ['defaults'];
+
+  if (required && !fs.existsSync(file)) {
+    throw new Error(`Search config not found: ${file}`);
+  }
+
+  let fromFile = {};
+  if (file && fs.existsSync(file)) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read search config ${file}: ${error.message}`);
+    }
+    sources.push(file);
+  }
+
+  const fromEnv = readSearchConfigEnv(env);
+  if (Object.keys(fromEnv).length > 0) sources.push('env');
+
+  const { channels = {}, ...fileSettings } = fromFile;
+  const config = {
+    ...mergeSearchConfig(mergeSearchConfig(SEARCH_CONFIG_DEFAULTS, fileSettings), fromEnv),
+    channels,
+  };
+
+  validateSearchConfig(config, `search config (${sources.join(' + ')})`);
+  return { ...config, sources };
+}
+
+let activeConfig = null;
+
+/**
+ * Get the search config, resolved for a channel when given
+ * @param {Object|null} channelInfo - Channel ({ id, name }); overrides match by ID, then name
+ * @returns {Object} Settings ({ hybridAlpha, rrfMultiplier, weights, thresholds, activityHalfLifeHours })
+ */
+export function getSearchConfig(channelInfo = null) {
+  if (!activeConfig) activeConfig = loadSearchConfig();
+
+  const { channels, sources, ...settings } = activeConfig;
+  const override = channelInfo && (channels[channelInfo.id] || channels[channelInfo.name]);
+  return override ? mergeSearchConfig(settings, override) : settings;
+}
+
+/**
+ * Replace the process-wide search config (e.g. for an A/B evaluation run)
+ * @param {Object|null} config - Partial config merged over the defaults, or null to reload from file and env
+ * @returns {Object|null} The previous config (pass it back to restore)
+ */
+export function setSearchConfig(config) {
+  const previous = activeConfig;
+  if (!config) {
+    activeConfig = null;
+    return previous;
+  }
+
+  const { channels = {}, sources = ['custom'], ...settings } = config;
+  activeConfig = {
+    ...validateSearchConfig({ ...mergeSearchConfig(SEARCH_CONFIG_DEFAULTS, settings), channels }),
+    sources,
+  };
+  return previous;
+}
+
+/**
+ * Get the active config with its per-channel overrides and sources
+ * @returns {Object} Config ({ ...settings, channels, sources })
+ */
+export function getFullSearchConfig() {
+  getSearchConfig();
+  return activeConfig;
+}
+
+/**
+ * One-line summary of a search config for logs and reports
+ * @param {Object} config - Config (default: the active one)
+ * @returns {string} Summary
+ */
+export function describeSearchConfig(config = getFullSearchConfig()) {
+  const { hybridAlpha, rrfMultiplier, weights, thresholds, activityHalfLifeHours, channels = {}, sources = [] } = config;
+  const weightText = WEIGHT_KEYS.map(key => `${key} ${weights[key]}`).join(', ');
+  const channelCount = Object.keys(channels).length;
+  return `alpha ${hybridAlpha}, RRF ×${rrfMultiplier}, weights [${weightText}], assign ≥ ${thresholds.assign}, review ≥ ${thresholds.review}, half-life ${activityHalfLifeHours}h`
+    + `${channelCount > 0 ? `, ${channelCount} channel override(s)` : ''}${sources.length > 0 ? ` (from ${sources.join(' + ')})` : ''}`;
+}
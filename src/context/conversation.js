@@ -1,41 +1,108 @@
 /**
  * Conversation context management
+ * Per-channel context lives in the configured context store (see ./stores),
+ * so it survives restarts when a persistent store is used.
+ * Structure: { recentMessages: [], currentTopicId, currentTopicName, session: { id, startTs, lastTs, messageCount } }
  */
+import { CONVERSATION_TIMEOUT_MINUTES, CONTEXT_RECENT_MESSAGES } from '../config/constants.js';
+import { getNamespace } from '../config/namespace.js';
+import { getContextStore } from './stores/index.js';
+
+// Context expires after this much inactivity in a channel
+const CONTEXT_TTL_MS = CONVERSATION_TIMEOUT_MINUTES * 60 * 1000;
 
 /**
- * In-memory conversation context storage
- * Structure: { channelId: { recentMessages: [], currentTopicId, currentTopicName } }
+ * Store key prefix for the current Weaviate namespace (keeps eval runs apart)
+ * @returns {string} Prefix
  */
-export const conversationContext = {};
+const keyPrefix = () => `conversation:${getNamespace()}:`;
 
 /**
- * Reset all conversation context
+ * Empty channel context
+ * @returns {Object} Channel context
+ */
+const emptyContext = () => ({
+  recentMessages: [],
+  currentTopicId: null,
+  currentTopicName: null,
+  session: null,
+});
+
+/**
+ * Reset conversation context for the current namespace
+ * @returns {Promise<number>} Number of channels cleared
  */
 export function resetContext() {
-  Object.keys(conversationContext).forEach(key => delete conversationContext[key]);
+  return getContextStore().clear(keyPrefix());
 }
 
 /**
  * Get context for a specific channel
  * @param {string} channelId - Channel ID
- * @returns {Object|null} Channel context
+ * @returns {Promise<Object|null>} Channel context, null if none or expired
  */
 export function getChannelContext(channelId) {
-  return conversationContext[channelId] || null;
+  return getContextStore().get(keyPrefix() + channelId);
 }
 
 /**
- * Update context for a channel
+ * Update context for a channel (refreshes its TTL)
  * @param {string} channelId - Channel ID
  * @param {Object} update - Update object
+ * @returns {Promise<Object>} Updated channel context
+ */
+export async function updateChannelContext(channelId, update) {
+  const context = { ...(await getChannelContext(channelId) || emptyContext()), ...update };
+  await getContextStore().set(keyPrefix() + channelId, context, { ttlMs: CONTEXT_TTL_MS });
+  return context;
+}
+
+/**
+ * Record a categorized message as the channel's latest activity
+ * @param {string} channelId - Channel ID
+ * @param {Object} entry - { text, user, timestamp, topicId, topicName, sessionId }
+ * @param {Object} session - Session from resolveSession() (optional)
+ * @returns {Promise<Object>} Updated channel context
  */
-export function updateChannelContext(channelId, update) {
-  if (!conversationContext[channelId]) {
-    conversationContext[channelId] = {
-      recentMessages: [],
-      currentTopicId: null,
-      currentTopicName: null,
+export async function recordChannelMessage(channelId, entry, session = null) {
+  const context = await getChannelContext(channelId) || emptyContext();
+
+  // Edits of old messages must not rewind the channel's current topic or session
+  if (session?.historical) return context;
+
+  const recentMessages = [...context.recentMessages, entry].slice(-CONTEXT_RECENT_MESSAGES);
+  const update = {
+    recentMessages,
+    currentTopicId: entry.topicId,
+    currentTopicName: entry.topicName,
+  };
+
+  if (session?.id) {
+    const lastTs = context.session?.id === session.id && parseFloat(context.session.lastTs) > parseFloat(entry.timestamp)
+      ? context.session.lastTs
+      : entry.timestamp;
+    update.session = {
+      id: session.id,
+      startTs: session.startTs,
+      lastTs,
+      messageCount: session.messageCount + 1,
     };
   }
-  Object.assign(conversationContext[channelId], update);
+
+  return updateChannelContext(channelId, update);
+}
+
+/**
+ * Remove a (deleted) message from a channel's recent messages
+ * @param {string} channelId - Channel ID
+ * @param {string} timestamp - Message timestamp
+ * @returns {Promise<void>}
+ */
+export async function forgetChannelMessage(channelId, timestamp) {
+  const context = await getChannelContext(channelId);
+  if (!context) return;
+
+  await updateChannelContext(channelId, {
+    recentMessages: context.recentMessages.filter(m => m.timestamp !== timestamp),
+  });
 }
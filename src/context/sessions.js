@@ -0,0 +1,75 @@
+/**
+ * Conversation sessions
+ * A channel's traffic is split into sessions wherever the gap between two
+ * consecutive messages exceeds CONVERSATION_TIMEOUT_MINUTES
+ */
+import { CONVERSATION_TIMEOUT_MINUTES } from '../config/constants.js';
+
+const SESSION_GAP_SECONDS = CONVERSATION_TIMEOUT_MINUTES * 60;
+
+/**
+ * Build a session ID from its channel and first message
+ * @param {string} channelId - Channel ID
+ * @param {string} startTs - Timestamp of the session's first message
+ * @returns {string} Session ID
+ */
+export function sessionIdFor(channelId, startTs) {
+  return `${channelId}:${startTs}`;
+}
+
+/**
+ * Whether the gap between two Slack timestamps starts a new session
+ * @param {string} previousTs - Earlier message timestamp
+ * @param {string} ts - Later message timestamp
+ * @returns {boolean} True if the idle gap exceeds the timeout
+ */
+export function isSessionBoundary(previousTs, ts) {
+  return parseFloat(ts) - parseFloat(previousTs) > SESSION_GAP_SECONDS;
+}
+
+/**
+ * Work out which session a message belongs to
+ * Messages older than the channel's current session (edits, late backfills)
+ * are historical: they have no session and must not move it
+ * @param {string} channelId - Channel ID
+ * @param {Object|null} channelContext - Channel context ({ session: { id, startTs, lastTs, messageCount } })
+ * @param {Object} message - Slack message
+ * @returns {Object} { id, startTs, isNew, historical, idleMinutes, messageCount }
+ */
+export function resolveSession(channelId, channelContext, message) {
+  const current = channelContext?.session;
+
+  if (!current) {
+    return { id: sessionIdFor(channelId, message.ts), startTs: message.ts, isNew: true, historical: false, idleMinutes: null, messageCount: 0 };
+  }
+
+  if (parseFloat(message.ts) < parseFloat(current.startTs)) {
+    return { id: null, startTs: null, isNew: false, historical: true, idleMinutes: null, messageCount: 0 };
+  }
+
+  const idleMinutes = Math.max(Math.round((parseFloat(message.ts) - parseFloat(current.lastTs)) / 60), 0);
+  if (isSessionBoundary(current.lastTs, message.ts)) {
+    return { id: sessionIdFor(channelId, message.ts), startTs: message.ts, isNew: true, historical: false, idleMinutes, messageCount: 0 };
+  }
+
+  return { id: current.id, startTs: current.startTs, isNew: false, historical: false, idleMinutes, messageCount: current.messageCount };
+}
+
+/**
+ * Flag which of the messages before `ts` belong to its session
+ * @param {Array<Object>} messages - Earlier messages, oldest first (each with ts)
+ * @param {string} ts - Current message timestamp
+ * @returns {Array<boolean>} Per message: true if no idle gap separates it from the current message
+ */
+export function markCurrentSession(messages, ts) {
+  const flags = new Array(messages.length).fill(false);
+  let laterTs = ts;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (isSessionBoundary(messages[i].ts, laterTs)) break;
+    flags[i] = true;
+    laterTs = messages[i].ts;
+  }
+
+  return flags;
+}
@@ -0,0 +1,90 @@
+/**
+ * File-backed context store
+ * Keeps every entry in one JSON file, rewritten atomically after each change
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a file-backed context store
+ * @param {Object} options - Options
+ * @param {string} options.filePath - JSON file path
+ * @returns {Object} Context store
+ */
+export function createFileContextStore({ filePath }) {
+  let entries = null;
+  let writeChain = Promise.resolve();
+
+  /**
+   * Load the file once per process
+   * @returns {Promise<Object>} Entries by key
+   */
+  const load = async () => {
+    if (entries) return entries;
+    try {
+      entries = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      entries = {};
+    }
+    return entries;
+  };
+
+  /**
+   * Write all entries (serialized, via a temp file so a crash never leaves half a file)
+   * @returns {Promise<void>}
+   */
+  const persist = () => {
+    const write = async () => {
+      const now = Date.now();
+      const liveEntries = Object.fromEntries(
+        Object.entries(entries).filter(([, entry]) => !entry.expiresAt || entry.expiresAt > now)
+      );
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(liveEntries, null, 2));
+      await fs.rename(tmpPath, filePath);
+    };
+    writeChain = writeChain.then(write, write);
+    return writeChain;
+  };
+
+  return {
+    name: 'file',
+    filePath,
+
+    async get(key) {
+      const entry = (await load())[key];
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        delete entries[key];
+        return null;
+      }
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, { ttlMs = 0 } = {}) {
+      (await load())[key] = {
+        value: structuredClone(value),
+        expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null,
+      };
+      await persist();
+    },
+
+    async delete(key) {
+      delete (await load())[key];
+      await persist();
+    },
+
+    async clear(prefix = '') {
+      const keys = Object.keys(await load()).filter(key => key.startsWith(prefix));
+      keys.forEach(key => delete entries[key]);
+      await persist();
+      return keys.length;
+    },
+
+    async close() {
+      await writeChain;
+    },
+  };
+}
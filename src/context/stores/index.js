@@ -0,0 +1,68 @@
+/**
+ * Conversation context stores
+ * Every store implements (all async, values are JSON-serializable):
+ *   get(key) → value|null
+ *   set(key, value, { ttlMs })
+ *   delete(key)
+ *   clear(prefix) → number of removed keys
+ *   close()
+ */
+import dotenv from 'dotenv';
+import { CONTEXT_STORE_FILE } from '../../config/constants.js';
+import { createMemoryContextStore } from './memory.js';
+import { createFileContextStore } from './file.js';
+import { createRedisContextStore } from './redis.js';
+
+dotenv.config();
+
+/**
+ * Read store configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} { store, filePath, url }
+ */
+export function readContextStoreConfig(env = process.env) {
+  return {
+    store: env.CONTEXT_STORE || 'memory',
+    filePath: env.CONTEXT_STORE_FILE || CONTEXT_STORE_FILE,
+    url: env.REDIS_URL || undefined,
+  };
+}
+
+/**
+ * Create a store from configuration
+ * @param {Object} config - Config from readContextStoreConfig()
+ * @returns {Object} Context store
+ */
+export function createContextStore(config = readContextStoreConfig()) {
+  switch (config.store) {
+    case 'memory':
+      return createMemoryContextStore();
+    case 'file':
+      return createFileContextStore({ filePath: config.filePath });
+    case 'redis':
+      return createRedisContextStore({ url: config.url });
+    default:
+      throw new Error(`Unknown CONTEXT_STORE: ${config.store} (expected memory, file or redis)`);
+  }
+}
+
+let activeStore = null;
+
+/**
+ * Get the process-wide store (created from the environment on first use)
+ * @returns {Object} Context store
+ */
+export function getContextStore() {
+  if (!activeStore) activeStore = createContextStore();
+  return activeStore;
+}
+
+/**
+ * Replace the process-wide store
+ * @param {Object|null} store - Store, or null to recreate from the environment
+ */
+export function setContextStore(store) {
+  activeStore = store;
+}
+
+export { createMemoryContextStore, createFileContextStore, createRedisContextStore };
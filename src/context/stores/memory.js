@@ -0,0 +1,54 @@
+/**
+ * In-memory context store (default)
+ * Lost on restart; useful for tests, evals and single-run scripts
+ */
+
+/**
+ * Create an in-memory context store
+ * @returns {Object} Context store
+ */
+export function createMemoryContextStore() {
+  const entries = new Map();
+
+  /**
+   * Drop an entry if its TTL has passed
+   * @param {string} key - Key
+   * @returns {Object|undefined} Live entry
+   */
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? structuredClone(entry.value) : null;
+    },
+
+    async set(key, value, { ttlMs = 0 } = {}) {
+      entries.set(key, {
+        value: structuredClone(value),
+        expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null,
+      });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear(prefix = '') {
+      const keys = [...entries.keys()].filter(key => key.startsWith(prefix));
+      keys.forEach(key => entries.delete(key));
+      return keys.length;
+    },
+
+    async close() {},
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Redis-compatible context store
+ * Works with any client exposing the node-redis v4 API (get, set with { PX }, del, keys, quit),
+ * e.g. Redis, Valkey, KeyDB or DragonflyDB
+ */
+
+/**
+ * Create a Redis-backed context store
+ * @param {Object} options - Options
+ * @param {Object} options.client - Connected Redis client (default: created from url on first use)
+ * @param {string} options.url - Redis URL used when no client is given
+ * @param {string} options.prefix - Key prefix (default: 'slack-topics:')
+ * @returns {Object} Context store
+ */
+export function createRedisContextStore(options = {}) {
+  const { url, prefix = 'slack-topics:' } = options;
+  let client = options.client || null;
+
+  /**
+   * Connect lazily so the redis package is only needed when this store is used
+   * @returns {Promise<Object>} Redis client
+   */
+  const getClient = async () => {
+    if (client) return client;
+
+    let redis;
+    try {
+      redis = await import('redis');
+    } catch {
+      throw new Error('CONTEXT_STORE=redis requires the "redis" package (npm install redis)');
+    }
+    client = redis.createClient({ url });
+    await client.connect();
+    return client;
+  };
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await (await getClient()).get(prefix + key);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, value, { ttlMs = 0 } = {}) {
+      const redisClient = await getClient();
+      const payload = JSON.stringify(value);
+      if (ttlMs > 0) {
+        await redisClient.set(prefix + key, payload, { PX: ttlMs });
+      } else {
+        await redisClient.set(prefix + key, payload);
+      }
+    },
+
+    async delete(key) {
+      await (await getClient()).del(prefix + key);
+    },
+
+    async clear(keyPrefix = '') {
+      const redisClient = await getClient();
+      const keys = await redisClient.keys(`${prefix}${keyPrefix}*`);
+      if (keys.length > 0) await redisClient.del(keys);
+      return keys.length;
+    },
+
+    async close() {
+      if (client && !options.client) await client.quit();
+    },
+  };
+}
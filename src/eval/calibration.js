@@ -0,0 +1,463 @@
+/**
+ * Confidence calibration
+ * Replays labelled categorizations through topic retrieval, then fits the
+ * confidence weights, RRF multiplier and assign/review thresholds by grid
+ * search to maximize agreement with the human decisions
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { retrieveTopicCandidates } from '../search/candidates.js';
+import { calculateConfidence, normalizeRrfScore, recommendedAction, CONFIDENCE_FACTORS } from '../search/rrf.js';
+import { getSearchConfig, validateSearchConfig } from '../config/search.js';
+import { SEARCH_CONFIG_DEFAULTS, CALIBRATION_DIR } from '../config/constants.js';
+import { extractKeywords, slackTsToIso } from '../utils/index.js';
+
+const WEIGHT_KEYS = Object.keys(SEARCH_CONFIG_DEFAULTS.weights);
+const FACTOR_LIST = Object.entries(CONFIDENCE_FACTORS);
+const RRF_MULTIPLIERS = [20, 30, 40, 60];
+const CANDIDATE_LIMIT = 10;
+
+// Weight settings carried from the ranking stage into the threshold search
+const SHORTLIST_SIZE = 20;
+
+/**
+ * Retrieve and score the topic candidates of every labelled example
+ * The gold topic is hidden from examples that created it, so those expect 'create'
+ * @param {Object} dataset - Dataset from loadLabelledExamples
+ * @param {Object} options - Options
+ * @param {Object} options.searchConfig - Search config used for retrieval (default: getSearchConfig())
+ * @param {Function} options.onProgress - Called with (index, total, sample)
+ * @returns {Promise<Array<Object>>} Samples ({ ts, goldTopic, expected, candidates: [{ id, name, rrfScore, keywordOverlap, nameSimilarity, recency, volume }] })
+ */
+export async function collectCalibrationSamples(dataset, options = {}) {
+  const { searchConfig = getSearchConfig(), onProgress = null } = options;
+  const samples = [];
+
+  for (const [index, item] of dataset.items.entries()) {
+    const query = item.message.text;
+    const messageKeywords = extractKeywords(query);
+    const { fused } = await retrieveTopicCandidates(query, { searchConfig });
+
+    const candidates = fused
+      .filter(topic => !(item.createsTopic && topic.id === item.goldTopic))
+      .slice(0, CANDIDATE_LIMIT)
+      .map((topic) => {
+        const { factors } = calculateConfidence(topic, query, messageKeywords, searchConfig, new Date(slackTsToIso(item.message.ts)));
+        // Keep the raw RRF score so the multiplier can be refitted
+        return { id: topic.id, name: topic.name, ...factors, rrfScore: topic.rrfScore };
+      });
+
+    const sample = {
+      ts: item.message.ts,
+      channelId: item.channelInfo?.id,
+      goldTopic: item.goldTopic,
+      expected: candidates.some(candidate => candidate.id === item.goldTopic) ? 'assign' : 'create',
+      candidates,
+    };
+    samples.push(sample);
+    if (onProgress) onProgress(index + 1, dataset.items.length, sample);
+  }
+
+  return samples;
+}
+
+/**
+ * Best-scoring candidate of a sample under a config
+ * @param {Object} sample - Calibration sample
+ * @param {Object} config - Search config ({ rrfMultiplier, weights })
+ * @returns {Object} { top, confidence, margin } - margin is gold minus best other (null if gold isn't a candidate)
+ */
+function scoreSample(sample, config) {
+  let top = null;
+  let confidence = 0;
+  let gold = null;
+  let bestOther = 0;
+
+  for (const candidate of sample.candidates) {
+    // Same sum as weightedConfidence, without allocating per candidate - this runs for every grid point
+    let score = 0;
+    for (const [weight, factor] of FACTOR_LIST) {
+      const value = factor === 'rrfScore' ? normalizeRrfScore(candidate.rrfScore, config.rrfMultiplier) : candidate[factor] || 0;
+      score += value * config.weights[weight];
+    }
+    if (!top || score > confidence) {
+      top = candidate;
+      confidence = score;
+    }
+    if (candidate.id === sample.goldTopic) gold = score;
+    else bestOther = Math.max(bestOther, score);
+  }
+
+  return { top, confidence, margin: gold === null ? null : gold - bestOther };
+}
+
+/**
+ * Credit for one recommended action: a correct assign or create is worth 1,
+ * a review is worth half when the reviewer is shown the right choice
+ * @param {Object} sample - Calibration sample
+ * @param {Object} scored - Result of scoreSample
+ * @param {string} action - 'assign' | 'review' | 'create'
+ * @returns {number} Credit (0, 0.5 or 1)
+ */
+function actionCredit(sample, scored, action) {
+  const topIsGold = scored.top?.id === sample.goldTopic;
+  if (action === 'review') return sample.expected === 'create' || topIsGold ? 0.5 : 0;
+  if (action === 'create') return sample.expected === 'create' ? 1 : 0;
+  return sample.expected === 'assign' && topIsGold ? 1 : 0;
+}
+
+/**
+ * Score a config against calibration samples
+ * @param {Array<Object>} samples - Calibration samples
+ * @param {Object} config - Search config ({ rrfMultiplier, weights, thresholds })
+ * @returns {Object} { agreement, top1Accuracy, actions: { assign, assignWrong, review, create, createWrong } }
+ */
+export function evaluateCalibration(samples, config) {
+  const actions = { assign: 0, assignWrong: 0, review: 0, create: 0, createWrong: 0 };
+  let credit = 0;
+  let assignable = 0;
+  let top1 = 0;
+
+  for (const sample of samples) {
+    const scored = scoreSample(sample, config);
+    const action = scored.top ? recommendedAction(scored.confidence, config.thresholds) : 'create';
+    const value = actionCredit(sample, scored, action);
+    credit += value;
+
+    if (action === 'review') actions.review++;
+    else if (action === 'assign') actions[value ? 'assign' : 'assignWrong']++;
+    else actions[value ? 'create' : 'createWrong']++;
+
+    if (sample.expected === 'assign') {
+      assignable++;
+      if (scored.top?.id === sample.goldTopic) top1++;
+    }
+  }
+
+  return {
+    agreement: samples.length ? credit / samples.length : 0,
+    top1Accuracy: assignable ? top1 / assignable : 0,
+    actions,
+  };
+}
+
+/**
+ * Check the grid steps before fitting
+ * A step of 0 (or NaN) would never advance the grid search
+ * @param {Object} steps - { weightStep, thresholdStep } (undefined ones are skipped)
+ */
+export function validateGridSteps(steps) {
+  for (const [name, step] of Object.entries(steps)) {
+    if (step === undefined) continue;
+    if (!Number.isFinite(step) || step <= 0 || step > 1) {
+      throw new Error(`Invalid ${name}: ${step} (must be greater than 0 and at most 1)`);
+    }
+  }
+}
+
+/**
+ * Every weight combination on a simplex grid (weights sum to 1)
+ * @param {number} step - Grid step (e.g. 0.05)
+ * @returns {Array<Object>} Weights ({ rrf, keywords, name, recency, volume })
+ */
+function weightGrid(step) {
+  const units = Math.round(1 / step);
+  const grid = [];
+
+  const walk = (index, remaining, values) => {
+    if (index === WEIGHT_KEYS.length - 1) {
+      const all = [...values, remaining];
+      grid.push(Object.fromEntries(WEIGHT_KEYS.map((key, i) => [key, parseFloat((all[i] / units).toFixed(4))])));
+      return;
+    }
+    for (let value = 0; value <= remaining; value++) walk(index + 1, remaining - value, [...values, value]);
+  };
+
+  walk(0, units, []);
+  return grid;
+}
+
+/**
+ * Factor matrices of the assignable samples for one RRF multiplier
+ * The ranking stage scores every grid point, so it works on flat arrays
+ * @param {Array<Object>} samples - Calibration samples
+ * @param {number} rrfMultiplier - RRF multiplier
+ * @returns {Array<Object>} [{ values: Float64Array (candidates × factors), goldIndex }]
+ */
+function factorMatrices(samples, rrfMultiplier) {
+  return samples
+    .filter(sample => sample.expected === 'assign')
+    .map(sample => ({
+      values: Float64Array.from(sample.candidates.flatMap(candidate => FACTOR_LIST.map(([, factor]) => (
+        factor === 'rrfScore' ? normalizeRrfScore(candidate.rrfScore, rrfMultiplier) : candidate[factor] || 0
+      )))),
+      goldIndex: sample.candidates.findIndex(candidate => candidate.id === sample.goldTopic),
+    }));
+}
+
+/**
+ * Ranking quality of a weight setting: top-1 accuracy on assignable samples, then mean gold margin
+ * @param {Array<Object>} matrices - Result of factorMatrices
+ * @param {Object} weights - Confidence weights
+ * @returns {Object} { accuracy, margin }
+ */
+function rankingQuality(matrices, weights) {
+  const weightValues = FACTOR_LIST.map(([weight]) => weights[weight]);
+  const factorCount = weightValues.length;
+  let correct = 0;
+  let margin = 0;
+
+  for (const { values, goldIndex } of matrices) {
+    let best = -1;
+    let bestIndex = -1;
+    let gold = 0;
+    let bestOther = 0;
+    for (let candidate = 0; candidate * factorCount < values.length; candidate++) {
+      let score = 0;
+      for (let f = 0; f < factorCount; f++) score += values[candidate * factorCount + f] * weightValues[f];
+      if (score > best) {
+        best = score;
+        bestIndex = candidate;
+      }
+      if (candidate === goldIndex) gold = score;
+      else if (score > bestOther) bestOther = score;
+    }
+    if (bestIndex === goldIndex) correct++;
+    margin += gold - bestOther;
+  }
+
+  const count = matrices.length;
+  return { accuracy: count ? correct / count : 0, margin: count ? margin / count : 0 };
+}
+
+/**
+ * Best assign/review thresholds for a weight setting
+ * @param {Array<Object>} samples - Calibration samples
+ * @param {Object} config - Search config ({ rrfMultiplier, weights })
+ * @param {number} step - Threshold grid step
+ * @returns {Object} { thresholds, agreement }
+ */
+function fitThresholds(samples, config, step) {
+  // Credit per action only depends on the sample, so work it out once
+  const scored = samples.map((sample) => {
+    const result = scoreSample(sample, config);
+    return {
+      confidence: result.top ? result.confidence : -1,
+      credit: Object.fromEntries(['assign', 'review', 'create'].map(action => [action, actionCredit(sample, result, action)])),
+    };
+  });
+  const levels = [];
+  for (let value = step; value < 1; value += step) levels.push(parseFloat(value.toFixed(2)));
+
+  let best = null;
+  for (const assign of levels) {
+    for (const review of levels.filter(level => level <= assign)) {
+      const thresholds = { assign, review };
+      const credit = scored.reduce((sum, { confidence, credit: byAction }) => (
+        sum + byAction[confidence < 0 ? 'create' : recommendedAction(confidence, thresholds)]
+      ), 0);
+      // Ties go to the widest review band, keeping humans in the loop when it's free
+      if (!best || credit > best.credit || (credit === best.credit && assign - review > best.thresholds.assign - best.thresholds.review)) {
+        best = { thresholds, credit };
+      }
+    }
+  }
+
+  return { thresholds: best.thresholds, agreement: samples.length ? best.credit / samples.length : 0 };
+}
+
+/**
+ * Fit weights, RRF multiplier and thresholds to calibration samples
+ * Stage 1 ranks weight settings by how often the gold topic comes out on top;
+ * stage 2 searches thresholds for the best of them and keeps the highest agreement
+ * @param {Array<Object>} samples - Calibration samples
+ * @param {Object} options - Options
+ * @param {number} options.weightStep - Weight grid step (default: 0.05)
+ * @param {number} options.thresholdStep - Threshold grid step (default: 0.01)
+ * @returns {Object} { rrfMultiplier, weights, thresholds, agreement, top1Accuracy }
+ */
+export function fitSearchConfig(samples, options = {}) {
+  const { weightStep = 0.05, thresholdStep = 0.01 } = options;
+  validateGridSteps({ weightStep, thresholdStep });
+  if (samples.length === 0) throw new Error('No calibration samples to fit');
+
+  const ranked = [];
+  const grid = weightGrid(weightStep);
+  for (const rrfMultiplier of RRF_MULTIPLIERS) {
+    const matrices = factorMatrices(samples, rrfMultiplier);
+    for (const weights of grid) {
+      ranked.push({ config: { rrfMultiplier, weights }, ...rankingQuality(matrices, weights) });
+    }
+  }
+  ranked.sort((a, b) => b.accuracy - a.accuracy || b.margin - a.margin);
+
+  let best = null;
+  for (const { config, accuracy } of ranked.slice(0, SHORTLIST_SIZE)) {
+    const { thresholds, agreement } = fitThresholds(samples, config, thresholdStep);
+    if (!best || agreement > best.agreement) {
+      best = { ...config, thresholds, agreement, top1Accuracy: accuracy };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Reliability curve: observed accuracy of the top candidate per confidence bin
+ * A well-calibrated config has accuracy ≈ mean confidence in every bin
+ * @param {Array<Object>} samples - Calibration samples
+ * @param {Object} config - Search config ({ rrfMultiplier, weights })
+ * @param {number} binCount - Number of equal-width bins (default: 10)
+ * @returns {Object} { bins: [{ from, to, count, meanConfidence, accuracy }], ece }
+ */
+export function reliabilityCurve(samples, config, binCount = 10) {
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    from: index / binCount, to: (index + 1) / binCount, count: 0, confidenceSum: 0, correct: 0,
+  }));
+
+  let total = 0;
+  for (const sample of samples) {
+    const scored = scoreSample(sample, config);
+    if (!scored.top) continue;
+    const bin = bins[Math.min(binCount - 1, Math.floor(scored.confidence * binCount))];
+    bin.count++;
+    bin.confidenceSum += scored.confidence;
+    if (scored.top.id === sample.goldTopic) bin.correct++;
+    total++;
+  }
+
+  const curve = bins.map(({ from, to, count, confidenceSum, correct }) => ({
+    from,
+    to,
+    count,
+    meanConfidence: count ? confidenceSum / count : null,
+    accuracy: count ? correct / count : null,
+  }));
+  const ece = total
+    ? curve.reduce((sum, bin) => sum + (bin.count ? (bin.count / total) * Math.abs(bin.accuracy - bin.meanConfidence) : 0), 0)
+    : 0;
+
+  return { bins: curve, ece };
+}
+
+/**
+ * Render a reliability curve as a text chart
+ * @param {Object} curve - Result of reliabilityCurve
+ * @param {number} width - Bar width in characters (default: 20)
+ * @returns {string} Chart (one line per bin; │ marks the confidence the bar should reach)
+ */
+export function renderReliabilityChart(curve, width = 20) {
+  const lines = curve.bins.map((bin) => {
+    const label = `${bin.from.toFixed(1)}-${bin.to.toFixed(1)}`;
+    if (!bin.count) return `${label} ${' '.repeat(width)}  (no samples)`;
+
+    const filled = Math.round(bin.accuracy * width);
+    const expected = Math.min(width - 1, Math.floor(bin.meanConfidence * width));
+    const bar = Array.from({ length: width }, (_, i) => (i === expected ? '│' : i < filled ? '█' : '░')).join('');
+    return `${label} ${bar}  ${(bin.accuracy * 100).toFixed(0).padStart(3)}% correct, mean conf ${bin.meanConfidence.toFixed(2)} (n=${bin.count})`;
+  });
+
+  return [...lines, `ECE ${curve.ece.toFixed(3)}`].join('\n');
+}
+
+/**
+ * Calibrate a search config against labelled examples
+ * @param {Object} dataset - Dataset from loadLabelledExamples
+ * @param {Object} options - Options (see collectCalibrationSamples and fitSearchConfig)
+ * @param {Object} options.searchConfig - Current search config (default: getSearchConfig())
+ * @returns {Promise<Object>} { samples, expectCreate, before, after, profile }
+ */
+export async function calibrateSearchConfig(dataset, options = {}) {
+  const { searchConfig = getSearchConfig(), onProgress = null, weightStep, thresholdStep } = options;
+  // Fail before the slow retrieval pass rather than after it
+  validateGridSteps({ weightStep, thresholdStep });
+
+  const samples = await collectCalibrationSamples(dataset, { searchConfig, onProgress });
+  const fitted = fitSearchConfig(samples, { weightStep, thresholdStep });
+
+  const profile = {
+    hybridAlpha: searchConfig.hybridAlpha,
+    rrfMultiplier: fitted.rrfMultiplier,
+    weights: fitted.weights,
+    thresholds: fitted.thresholds,
+  };
+  validateSearchConfig(profile, 'calibrated search config');
+  const summarize = config => ({
+    config: { hybridAlpha: searchConfig.hybridAlpha, rrfMultiplier: config.rrfMultiplier, weights: config.weights, thresholds: config.thresholds },
+    ...evaluateCalibration(samples, config),
+    reliability: reliabilityCurve(samples, config),
+  });
+
+  return {
+    samples,
+    expectCreate: samples.filter(sample => sample.expected === 'create').length,
+    before: summarize(searchConfig),
+    after: summarize(profile),
+    profile,
+  };
+}
+
+/**
+ * Markdown calibration report with before/after agreement and reliability charts
+ * @param {Object} report - Calibration report ({ runId, dataset, examples, before, after })
+ * @returns {string} Markdown
+ */
+export function renderCalibrationReport(report) {
+  const row = (name, format) => `| ${name} | ${format(report.before)} | ${format(report.after)} |`;
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+
+  return [
+    `# Calibration ${report.runId}`,
+    '',
+    `Dataset: \`${report.dataset}\` (${report.examples} examples, ${report.expectCreate} expected to start a new topic)`,
+    '',
+    '| | Current | Calibrated |',
+    '|---|---|---|',
+    row('RRF multiplier', side => side.config.rrfMultiplier),
+    row('Weights', side => WEIGHT_KEYS.map(key => `${key} ${side.config.weights[key]}`).join(', ')),
+    row('Thresholds', side => `assign ≥ ${side.config.thresholds.assign}, review ≥ ${side.config.thresholds.review}`),
+    row('Agreement', side => percent(side.agreement)),
+    row('Top-1 accuracy', side => percent(side.top1Accuracy)),
+    row('Assign (correct/wrong)', side => `${side.actions.assign}/${side.actions.assignWrong}`),
+    row('Review', side => side.actions.review),
+    row('Create (correct/wrong)', side => `${side.actions.create}/${side.actions.createWrong}`),
+    row('ECE', side => side.reliability.ece.toFixed(3)),
+    '',
+    '## Reliability (current)',
+    '',
+    '```',
+    renderReliabilityChart(report.before.reliability),
+    '```',
+    '',
+    '## Reliability (calibrated)',
+    '',
+    '```',
+    renderReliabilityChart(report.after.reliability),
+    '```',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Save a calibration: the fitted profile plus JSON and markdown reports
+ * @param {Object} report - Calibration report ({ runId, profile, ... })
+ * @param {Object} options - Options
+ * @param {string} options.dir - Output directory (default: CALIBRATION_DIR)
+ * @param {string} options.profilePath - Profile path (default: <dir>/<runId>.search-config.json)
+ * @returns {Promise<Object>} Written paths ({ profile, report, markdown })
+ */
+export async function saveCalibration(report, options = {}) {
+  const { dir = CALIBRATION_DIR, profilePath = path.join(dir, `${report.runId}.search-config.json`) } = options;
+  const paths = {
+    profile: profilePath,
+    report: path.join(dir, `${report.runId}.json`),
+    markdown: path.join(dir, `${report.runId}.md`),
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.mkdir(path.dirname(paths.profile), { recursive: true });
+  await fs.writeFile(paths.profile, JSON.stringify(report.profile, null, 2));
+  await fs.writeFile(paths.report, JSON.stringify(report, null, 2));
+  await fs.writeFile(paths.markdown, renderCalibrationReport(report));
+  return paths;
+}
@@ -0,0 +1,107 @@
+/**
+ * Gold-labelled evaluation datasets
+ * Uses the messages_export.json layout: [{ topicId, topicName?, messages: [{ timestamp, text, user_id, ... }] }]
+ * The gold label is the primary topic; secondaryMessages of a group are ignored
+ */
+import fs from 'fs/promises';
+import { readJsonl } from '../utils/index.js';
+
+// Export groups that carry no gold label
+const UNLABELLED_TOPICS = new Set(['Unassigned', 'unassigned', '']);
+
+/**
+ * Convert an exported message into the categorizer's Slack message shape
+ * @param {Object} exported - Exported message
+ * @returns {Object} Slack message
+ */
+function toSlackMessage(exported) {
+  return {
+    ts: exported.timestamp || exported.ts,
+    text: exported.text,
+    user: exported.user_id || exported.user,
+    user_name: exported.user_name,
+    thread_ts: exported.thread_ts || undefined,
+  };
+}
+
+/**
+ * Load a gold-labelled dataset, ordered by timestamp so it replays like live traffic
+ * @param {string} filePath - Dataset path
+ * @param {Object} options - Options
+ * @param {number} options.max - Keep only the first N messages (default: all)
+ * @returns {Promise<Object>} { file, items: [{ message, channelInfo, goldTopic }], goldTopics }
+ */
+export async function loadGoldDataset(filePath, options = {}) {
+  const { max = 0 } = options;
+  const groups = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  if (!Array.isArray(groups)) {
+    throw new Error(`${filePath} is not a topic export (expected an array of { topicId, messages })`);
+  }
+
+  const items = [];
+  for (const group of groups) {
+    if (UNLABELLED_TOPICS.has(group.topicId ?? '')) continue;
+
+    for (const exported of group.messages || []) {
+      if (!exported.text?.trim()) continue;
+      items.push({
+        message: toSlackMessage(exported),
+        channelInfo: { id: exported.channel_id, name: exported.channel_name },
+        goldTopic: String(group.topicId),
+      });
+    }
+  }
+
+  items.sort((a, b) => parseFloat(a.message.ts) - parseFloat(b.message.ts));
+  const selected = max > 0 ? items.slice(0, max) : items;
+
+  return {
+    file: filePath,
+    items: selected,
+    goldTopics: new Set(selected.map(item => item.goldTopic)).size,
+  };
+}
+
+/**
+ * Load labelled categorizations for calibration
+ * Either a gold export (see loadGoldDataset) or a JSONL file of human corrections:
+ *   { "text", "topicId", "channelId"?, "channelName"?, "ts"?, "user"?, "created"? }
+ * where created: true (or a null topicId) means the message should have started a new topic
+ * @param {string} filePath - Dataset path (.jsonl for corrections)
+ * @param {Object} options - Options
+ * @param {number} options.max - Keep only the first N messages (default: all)
+ * @returns {Promise<Object>} { file, items: [{ message, channelInfo, goldTopic, createsTopic }], goldTopics }
+ */
+export async function loadLabelledExamples(filePath, options = {}) {
+  const { max = 0 } = options;
+
+  if (!filePath.endsWith('.jsonl')) {
+    // In a gold export the earliest message of each topic is the one that created it
+    const dataset = await loadGoldDataset(filePath, { max });
+    const seen = new Set();
+    const items = dataset.items.map((item) => {
+      const createsTopic = !seen.has(item.goldTopic);
+      seen.add(item.goldTopic);
+      return { ...item, createsTopic };
+    });
+    return { ...dataset, items };
+  }
+
+  const items = (await readJsonl(filePath))
+    .filter(record => record.text?.trim())
+    .map(record => ({
+      message: toSlackMessage(record),
+      channelInfo: { id: record.channelId || record.channel_id, name: record.channelName || record.channel_name },
+      goldTopic: record.topicId ? String(record.topicId) : null,
+      createsTopic: Boolean(record.created) || !record.topicId,
+    }));
+
+  items.sort((a, b) => parseFloat(a.message.ts || 0) - parseFloat(b.message.ts || 0));
+  const selected = max > 0 ? items.slice(0, max) : items;
+
+  return {
+    file: filePath,
+    items: selected,
+    goldTopics: new Set(selected.map(item => item.goldTopic).filter(Boolean)).size,
+  };
+}
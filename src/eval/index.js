@@ -0,0 +1,8 @@
+/**
+ * Evaluation suite exports
+ */
+export * from './metrics.js';
+export * from './dataset.js';
+export * from './runner.js';
+export * from './report.js';
+export * from './calibration.js';
@@ -0,0 +1,103 @@
+/**
+ * Clustering agreement metrics between gold and predicted topic labels
+ */
+
+/**
+ * Number of unordered pairs in a group of n items
+ * @param {number} n - Group size
+ * @returns {number} n choose 2
+ */
+const pairs = n => (n * (n - 1)) / 2;
+
+/**
+ * Build the contingency table between two labelings
+ * @param {Array<string>} gold - Gold label per item
+ * @param {Array<string>} predicted - Predicted label per item
+ * @returns {Object} { cells, goldSizes, predictedSizes } as Maps of counts
+ */
+function contingency(gold, predicted) {
+  const cells = new Map();
+  const goldSizes = new Map();
+  const predictedSizes = new Map();
+
+  gold.forEach((goldLabel, i) => {
+    const predictedLabel = predicted[i];
+    const key = `${goldLabel}\u0000${predictedLabel}`;
+    cells.set(key, (cells.get(key) || 0) + 1);
+    goldSizes.set(goldLabel, (goldSizes.get(goldLabel) || 0) + 1);
+    predictedSizes.set(predictedLabel, (predictedSizes.get(predictedLabel) || 0) + 1);
+  });
+
+  return { cells, goldSizes, predictedSizes };
+}
+
+/**
+ * Sum of pairs over a map of group sizes
+ * @param {Map<string, number>} sizes - Group sizes
+ * @returns {number} Total pairs
+ */
+const sumPairs = sizes => [...sizes.values()].reduce((sum, n) => sum + pairs(n), 0);
+
+/**
+ * Pairwise precision/recall: a pair of messages is positive when both share a topic
+ * @param {Array<string>} gold - Gold label per item
+ * @param {Array<string>} predicted - Predicted label per item
+ * @returns {Object} { precision, recall, f1 }
+ */
+export function pairwiseScores(gold, predicted) {
+  const { cells, goldSizes, predictedSizes } = contingency(gold, predicted);
+  const truePositives = sumPairs(cells);
+  const predictedPairs = sumPairs(predictedSizes);
+  const goldPairs = sumPairs(goldSizes);
+
+  const precision = predictedPairs === 0 ? 1 : truePositives / predictedPairs;
+  const recall = goldPairs === 0 ? 1 : truePositives / goldPairs;
+  const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+
+  return { precision, recall, f1 };
+}
+
+/**
+ * Adjusted Rand index (1 = identical clustering, ~0 = random)
+ * @param {Array<string>} gold - Gold label per item
+ * @param {Array<string>} predicted - Predicted label per item
+ * @returns {number} ARI
+ */
+export function adjustedRandIndex(gold, predicted) {
+  const n = gold.length;
+  if (n < 2) return 1;
+
+  const { cells, goldSizes, predictedSizes } = contingency(gold, predicted);
+  const index = sumPairs(cells);
+  const goldPairs = sumPairs(goldSizes);
+  const predictedPairs = sumPairs(predictedSizes);
+
+  const expected = (goldPairs * predictedPairs) / pairs(n);
+  const max = (goldPairs + predictedPairs) / 2;
+  if (max === expected) return 1;
+
+  return (index - expected) / (max - expected);
+}
+
+/**
+ * Compute all clustering metrics
+ * @param {Array<string>} gold - Gold label per item
+ * @param {Array<string>} predicted - Predicted label per item
+ * @returns {Object} Metrics
+ */
+export function clusteringMetrics(gold, predicted) {
+  const { precision, recall, f1 } = pairwiseScores(gold, predicted);
+  const goldTopics = new Set(gold).size;
+  const predictedTopics = new Set(predicted).size;
+
+  return {
+    messages: gold.length,
+    pairwisePrecision: precision,
+    pairwiseRecall: recall,
+    pairwiseF1: f1,
+    adjustedRandIndex: adjustedRandIndex(gold, predicted),
+    goldTopics,
+    predictedTopics,
+    topicInflation: goldTopics === 0 ? 0 : predictedTopics / goldTopics,
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Evaluation run reports: persistence and run-to-run diffs
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { EVAL_RUNS_DIR } from '../config/constants.js';
+
+// Metrics where a lower value is better
+const LOWER_IS_BETTER = new Set([
+  'topicInflation', 'unassigned', 'errors',
+  'calls', 'promptTokens', 'completionTokens', 'usd',
+  'meanMs', 'p50Ms', 'p95Ms', 'totalMs',
+]);
+
+// Counts that describe the run rather than its quality
+const NEUTRAL = new Set(['messages', 'goldTopics', 'predictedTopics']);
+
+/**
+ * Save a run report as <dir>/<runId>.json
+ * @param {Object} report - Run report
+ * @param {string} dir - Reports directory (default: EVAL_RUNS_DIR)
+ * @returns {Promise<string>} Written path
+ */
+export async function saveRunReport(report, dir = EVAL_RUNS_DIR) {
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, `${report.runId}.json`);
+  await fs.writeFile(filePath, JSON.stringify(report, null, 2));
+  return filePath;
+}
+
+/**
+ * Load a run report by run ID or path
+ * @param {string} runIdOrPath - Run ID or report file path
+ * @param {string} dir - Reports directory (default: EVAL_RUNS_DIR)
+ * @returns {Promise<Object>} Run report
+ */
+export async function loadRunReport(runIdOrPath, dir = EVAL_RUNS_DIR) {
+  const filePath = runIdOrPath.endsWith('.json') ? runIdOrPath : path.join(dir, `${runIdOrPath}.json`);
+  return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+}
+
+/**
+ * List saved run IDs, oldest first
+ * @param {string} dir - Reports directory (default: EVAL_RUNS_DIR)
+ * @returns {Promise<Array<string>>} Run IDs
+ */
+export async function listRunIds(dir = EVAL_RUNS_DIR) {
+  try {
+    const files = await fs.readdir(dir);
+    return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Load the most recent run on the same dataset, excluding one run
+ * @param {string} dataset - Dataset path
+ * @param {string} excludeRunId - Run to skip (usually the current one)
+ * @param {string} dir - Reports directory (default: EVAL_RUNS_DIR)
+ * @returns {Promise<Object|null>} Run report or null
+ */
+export async function loadPreviousRun(dataset, excludeRunId = null, dir = EVAL_RUNS_DIR) {
+  const runIds = (await listRunIds(dir)).filter(runId => runId !== excludeRunId).reverse();
+
+  for (const runId of runIds) {
+    const report = await loadRunReport(runId, dir);
+    if (report.dataset === dataset) return report;
+  }
+  return null;
+}
+
+/**
+ * Per-message agreement: share of the message's gold siblings that landed in its predicted topic
+ * @param {Array<Object>} predictions - Run predictions
+ * @returns {Map<string, number>} "<channelId>:<ts>" → agreement (0-1), 1 for gold singletons
+ */
+export function messageAgreement(predictions) {
+  const agreement = new Map();
+
+  for (const prediction of predictions) {
+    const siblings = predictions.filter(other => other !== prediction && other.goldTopic === prediction.goldTopic);
+    const together = siblings.filter(other => prediction.predictedTopic && other.predictedTopic === prediction.predictedTopic);
+    agreement.set(`${prediction.channelId}:${prediction.ts}`, siblings.length ? together.length / siblings.length : 1);
+  }
+
+  return agreement;
+}
+
+/**
+ * Compare two numeric sections (metrics, cost, latency)
+ * @param {Object} before - Previous values
+ * @param {Object} after - Current values
+ * @returns {Array<Object>} [{ name, before, after, delta, better }]
+ */
+function diffSection(before = {}, after = {}) {
+  return Object.keys(after)
+    .filter(name => typeof after[name] === 'number' && typeof before[name] === 'number')
+    .map((name) => {
+      const delta = after[name] - before[name];
+      const better = delta === 0 || NEUTRAL.has(name) ? null : (delta < 0) === LOWER_IS_BETTER.has(name);
+      return { name, before: before[name], after: after[name], delta, better };
+    });
+}
+
+/**
+ * Diff two runs on the same dataset
+ * @param {Object} previous - Previous run report
+ * @param {Object} current - Current run report
+ * @param {Object} options - Options
+ * @param {number} options.minChange - Agreement change that counts as a changed message (default: 0.5)
+ * @returns {Object} { previousRunId, currentRunId, fingerprintChanges, metrics, cost, latency, improved, regressed }
+ */
+export function diffRuns(previous, current, options = {}) {
+  const { minChange = 0.5 } = options;
+  const before = messageAgreement(previous.predictions);
+  const after = messageAgreement(current.predictions);
+  const improved = [];
+  const regressed = [];
+
+  for (const prediction of current.predictions) {
+    const key = `${prediction.channelId}:${prediction.ts}`;
+    if (!before.has(key)) continue;
+
+    const change = after.get(key) - before.get(key);
+    const entry = { ts: prediction.ts, goldTopic: prediction.goldTopic, before: before.get(key), after: after.get(key) };
+    if (change >= minChange) improved.push(entry);
+    if (change <= -minChange) regressed.push(entry);
+  }
+
+  return {
+    previousRunId: previous.runId,
+    currentRunId: current.runId,
+    fingerprintChanges: Object.keys(current.fingerprint || {})
+      .filter(key => current.fingerprint[key] !== previous.fingerprint?.[key]),
+    metrics: diffSection(previous.metrics, current.metrics),
+    cost: diffSection(previous.cost, current.cost),
+    latency: diffSection(previous.latency, current.latency),
+    improved,
+    regressed,
+  };
+}
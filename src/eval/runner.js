@@ -0,0 +1,176 @@
+/**
+ * Evaluation runner
+ * Replays a gold dataset through the categorizer inside an isolated Weaviate namespace
+ */
+import { categorizeMessage } from '../categorizer.js';
+import { getLLMProvider } from '../llm/index.js';
+import { currentFingerprint, shortHash } from '../harness/cassette.js';
+import { getNamespace, setNamespace } from '../config/namespace.js';
+import { MODEL_PRICING } from '../config/constants.js';
+import { resetContext } from '../context/conversation.js';
+import { rememberUsers } from '../preprocess/index.js';
+import { setSearchConfig, getFullSearchConfig } from '../config/search.js';
+import { setupSchema, resetDatabase } from '../../weaviate-setup.js';
+import { clusteringMetrics } from './metrics.js';
+
+/**
+ * Wrap a provider so every chat call's tokens are counted
+ * @param {Object} llm - LLM provider
+ * @returns {Object} { llm, usage } - usage is updated in place
+ */
+export function createUsageMeter(llm) {
+  const usage = { calls: 0, promptTokens: 0, completionTokens: 0 };
+
+  return {
+    usage,
+    llm: {
+      ...llm,
+      async chat(request) {
+        const response = await llm.chat(request);
+        usage.calls++;
+        usage.promptTokens += response.usage?.prompt_tokens || 0;
+        usage.completionTokens += response.usage?.completion_tokens || 0;
+        return response;
+      },
+    },
+  };
+}
+
+/**
+ * Estimate the USD cost of token usage for a model
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @param {string} model - Model name
+ * @returns {number|null} Cost in USD, null if the model has no known price
+ */
+export function estimateCost(usage, model) {
+  const price = MODEL_PRICING[model];
+  if (!price) return null;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Value at a percentile of a list of numbers
+ * @param {Array<number>} values - Values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value
+ */
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Timestamp-based run ID (also used as the namespace suffix)
+ * @param {Date} date - Run start
+ * @returns {string} e.g. 20240115T093000
+ */
+export function createRunId(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+}
+
+/**
+ * Categorize every dataset message into a fresh namespace and score the result
+ * @param {Object} dataset - Dataset from loadGoldDataset
+ * @param {Object} options - Options
+ * @param {string} options.runId - Run ID (default: current timestamp)
+ * @param {string} options.label - Free-form label stored with the run (e.g. "prompt v2")
+ * @param {Object} options.llm - LLM provider (default: getLLMProvider())
+ * @param {boolean} options.keep - Keep the namespace classes after the run (default: false)
+ * @param {Object} options.searchConfig - Search config for this run only, for A/B comparisons (default: the active one)
+ * @param {boolean} options.verbose - Log categorizer progress (default: false)
+ * @param {Function} options.onProgress - Called with (index, total, prediction) after each message
+ * @returns {Promise<Object>} Run report
+ */
+export async function runEvaluation(dataset, options = {}) {
+  const {
+    runId = createRunId(),
+    label = null,
+    llm = getLLMProvider(),
+    keep = false,
+    verbose = false,
+    onProgress = null,
+    searchConfig = null,
+  } = options;
+  const namespace = `Eval${runId.replace(/[^A-Za-z0-9]/g, '')}`;
+  const meter = createUsageMeter(llm);
+  const previousNamespace = getNamespace();
+  const startedAt = new Date().toISOString();
+  const predictions = [];
+
+  const previousSearchConfig = searchConfig ? setSearchConfig(searchConfig) : null;
+  const usedSearchConfig = getFullSearchConfig();
+
+  setNamespace(namespace);
+  await resetContext();
+  rememberUsers(dataset.items.map(item => item.message));
+  try {
+    await setupSchema();
+
+    for (const [index, item] of dataset.items.entries()) {
+      const start = Date.now();
+      let result = null;
+      let error = null;
+      try {
+        result = await categorizeMessage(item.message, item.channelInfo, {
+          verbose,
+          llm: meter.llm,
+        });
+      } catch (err) {
+        error = err.message;
+      }
+
+      const prediction = {
+        ts: item.message.ts,
+        channelId: item.channelInfo.id,
+        goldTopic: item.goldTopic,
+        predictedTopic: result?.topicId || null,
+        predictedTopicName: result?.topicName || null,
+        decision: result?.decision || null,
+        latencyMs: Date.now() - start,
+        error,
+      };
+      predictions.push(prediction);
+      if (onProgress) onProgress(index + 1, dataset.items.length, prediction);
+    }
+  } finally {
+    if (!keep) await resetDatabase();
+    setNamespace(previousNamespace);
+    await resetContext();
+    if (searchConfig) setSearchConfig(previousSearchConfig);
+  }
+
+  // Unassigned messages count as singletons so they can't inflate precision
+  const gold = predictions.map(p => p.goldTopic);
+  const predicted = predictions.map(p => p.predictedTopic || `unassigned:${p.channelId}:${p.ts}`);
+  const latencies = predictions.map(p => p.latencyMs);
+
+  return {
+    runId,
+    label,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    dataset: dataset.file,
+    namespace: keep ? namespace : null,
+    provider: llm.name,
+    model: llm.model,
+    fingerprint: { ...currentFingerprint(), searchConfig: shortHash(usedSearchConfig) },
+    searchConfig: usedSearchConfig,
+    metrics: {
+      ...clusteringMetrics(gold, predicted),
+      unassigned: predictions.filter(p => !p.predictedTopic).length,
+      errors: predictions.filter(p => p.error).length,
+    },
+    cost: {
+      ...meter.usage,
+      usd: estimateCost(meter.usage, llm.model),
+    },
+    latency: {
+      totalMs: latencies.reduce((sum, ms) => sum + ms, 0),
+      meanMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : 0,
+      p50Ms: percentile(latencies, 50),
+      p95Ms: percentile(latencies, 95),
+    },
+    predictions,
+  };
+}
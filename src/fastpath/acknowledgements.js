@@ -0,0 +1,40 @@
+/**
+ * Trivial acknowledgement detection
+ */
+import { ACKNOWLEDGEMENTS } from '../config/constants.js';
+import { normalizeScript } from '../utils/language.js';
+
+// Slack emoji codes (:thumbsup:, :white_check_mark::skin-tone-2:) and unicode emoji
+const EMOJI_CODE = /:[a-z0-9_+'-]+:/gi;
+const UNICODE_EMOJI = /[\p{Extended_Pictographic}\p{Emoji_Modifier}‍️]/gu;
+
+/**
+ * Whether a message is emoji only (Slack codes or unicode)
+ * @param {string} text - Message text
+ * @returns {boolean} True if nothing but emoji and whitespace
+ */
+export function isEmojiOnly(text) {
+  const stripped = text.replace(EMOJI_CODE, '').replace(UNICODE_EMOJI, '').trim();
+  return stripped.length === 0 && text.trim().length > 0;
+}
+
+/**
+ * Whether a message is a trivial acknowledgement ("ok", "حله", "👍", "thanks!")
+ * @param {string} text - Message text
+ * @param {number} maxLength - Longer messages are never acknowledgements
+ * @returns {boolean} True if trivial
+ */
+export function isAcknowledgement(text, maxLength = 20) {
+  if (!text || text.trim().length > maxLength) return false;
+  if (isEmojiOnly(text)) return true;
+
+  const normalized = normalizeScript(text)
+    .replace(EMOJI_CODE, ' ')
+    .replace(UNICODE_EMOJI, ' ')
+    .toLowerCase()
+    .replace(/[.!?,،؛؟]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return ACKNOWLEDGEMENTS.has(normalized);
+}
@@ -0,0 +1,50 @@
+/**
+ * Thread drift detection
+ * Checks whether a thread reply still matches its parent's topic
+ */
+import { THREAD_DRIFT } from '../config/constants.js';
+import {
+  semanticSearchTopics,
+  keywordSearchTopics,
+  topicSimilarity,
+  reciprocalRankFusion,
+  calculateConfidence,
+} from '../search/index.js';
+import { getSearchConfig } from '../config/search.js';
+import { extractKeywords } from '../utils/index.js';
+
+/**
+ * Score a thread reply against its parent's topic
+ * @param {string} text - Reply text
+ * @param {Object} parentTopic - Parent topic ({ id, name, keywords, messageCount })
+ * @param {Object} thresholds - Drift thresholds (default: THREAD_DRIFT)
+ * @param {Date} now - When the reply was posted, for topic recency (default: now)
+ * @returns {Promise<Object>} { drifted, similarity, confidence, bestAlternative }
+ */
+export async function detectThreadDrift(text, parentTopic, thresholds = THREAD_DRIFT, now = new Date()) {
+  const [similarity, vectorResults, bm25Results] = await Promise.all([
+    topicSimilarity(text, parentTopic.id),
+    semanticSearchTopics(text, 15),
+    keywordSearchTopics(text, 15),
+  ]);
+
+  const keywords = extractKeywords(text);
+  const fused = reciprocalRankFusion([vectorResults, bm25Results]);
+
+  // A parent that didn't rank for the reply at all gets no RRF credit
+  const parent = fused.find(topic => topic.id === parentTopic.id)
+    || { keywords: [], messageCount: 0, ...parentTopic, rrfScore: 0 };
+  const { confidence } = calculateConfidence(parent, text, keywords, getSearchConfig(), now);
+
+  const alternative = fused.find(topic => topic.id !== parentTopic.id);
+  const bestAlternative = alternative
+    ? { id: alternative.id, name: alternative.name, confidence: calculateConfidence(alternative, text, keywords, getSearchConfig(), now).confidence }
+    : null;
+
+  return {
+    drifted: similarity !== null && similarity < thresholds.minSimilarity && confidence < thresholds.minConfidence,
+    similarity,
+    confidence,
+    bestAlternative,
+  };
+}
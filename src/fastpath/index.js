@@ -0,0 +1,111 @@
+/**
+ * Deterministic pre-classifier
+ * Decides messages that don't need the agent loop: thread replies inherit the
+ * parent's topic (unless they drifted away from it), trivial acknowledgements
+ * inherit the current session's topic
+ */
+import { FAST_PATH_POLICY, THREAD_DRIFT } from '../config/constants.js';
+import { getStoredMessage, getTopicById } from '../services/database.js';
+import { slackTsToIso } from '../utils/index.js';
+import { isAcknowledgement } from './acknowledgements.js';
+import { detectThreadDrift } from './drift.js';
+
+/**
+ * Merge a per-call policy override with the defaults
+ * @param {Object|boolean} override - Partial policy, or false to disable the fast path
+ * @returns {Object} Policy
+ */
+export function resolveFastPathPolicy(override = {}) {
+  if (override === false) {
+    return { ...FAST_PATH_POLICY, threadReplies: false, acknowledgements: false };
+  }
+  return { ...FAST_PATH_POLICY, ...(override || {}) };
+}
+
+/**
+ * Look up the topic of a thread's parent message
+ * @param {string} channelId - Channel ID
+ * @param {string} threadTs - Parent message timestamp
+ * @returns {Promise<Object|null>} Topic ({ id, name, keywords, messageCount, ... }), null if the parent isn't categorized
+ */
+export async function fetchParentTopic(channelId, threadTs) {
+  const parent = await getStoredMessage(channelId, threadTs);
+  if (!parent?.topicId) return null;
+
+  return getTopicById(parent.topicId);
+}
+
+/**
+ * Try to categorize a message without the LLM
+ * @param {Object} message - Slack message
+ * @param {Object} channelInfo - Channel information
+ * @param {Object} options - Options
+ * @param {Object} options.session - Session from resolveSession()
+ * @param {Object} options.channelContext - Channel context (current topic)
+ * @param {Object} options.policy - Policy from resolveFastPathPolicy()
+ * @param {Function} options.lookupParentTopic - Parent topic lookup (default: fetchParentTopic)
+ * @param {Function} options.detectDrift - Drift check (default: detectThreadDrift)
+ * @returns {Promise<Object|null>} { rule, decision, final, parentTopic, drift } - final=false means
+ *   the LLM should review the suggested decision; null if no rule applies
+ */
+export async function preClassify(message, channelInfo, options = {}) {
+  const {
+    session = null,
+    channelContext = null,
+    policy = resolveFastPathPolicy(),
+    lookupParentTopic = fetchParentTopic,
+    detectDrift = detectThreadDrift,
+  } = options;
+  const isThreadReply = message.thread_ts && message.thread_ts !== message.ts;
+  const text = message.enriched_text ?? message.text;
+  // Acknowledgements are judged on what the user typed; a shared file or link is never one
+  const isAck = !message.artifacts?.length && isAcknowledgement(message.text || '', policy.maxAcknowledgementLength);
+
+  if (isThreadReply) {
+    if (!policy.threadReplies) return null;
+
+    const parentTopic = await lookupParentTopic(channelInfo.id, message.thread_ts);
+    if (!parentTopic) return null;
+
+    const decision = {
+      action: 'assign',
+      topic_id: parentTopic.id,
+      topic_name: parentTopic.name,
+      reasoning: `Fast path: thread reply inherits the parent's topic "${parentTopic.name}"`,
+    };
+
+    // Long threads wander: a substantive reply that no longer matches the parent's topic may branch
+    if (policy.threadDrift && !isAck && text.length >= THREAD_DRIFT.minLength) {
+      const drift = await detectDrift(text, parentTopic, THREAD_DRIFT, new Date(slackTsToIso(message.ts)));
+      if (drift.drifted) {
+        return { rule: 'thread_drift', final: false, decision, parentTopic, drift };
+      }
+    }
+
+    return {
+      rule: 'thread_reply',
+      final: isAck || !policy.llmOverride,
+      decision,
+      parentTopic,
+    };
+  }
+
+  const sameSession = session && !session.isNew && !session.historical;
+  if (policy.acknowledgements && isAck && sameSession && channelContext?.currentTopicId) {
+    return {
+      rule: 'acknowledgement',
+      final: true,
+      decision: {
+        action: 'assign',
+        topic_id: channelContext.currentTopicId,
+        topic_name: channelContext.currentTopicName,
+        reasoning: `Fast path: acknowledgement continues the current topic "${channelContext.currentTopicName}"`,
+      },
+    };
+  }
+
+  return null;
+}
+
+export { isAcknowledgement, isEmojiOnly } from './acknowledgements.js';
+export { detectThreadDrift } from './drift.js';
@@ -0,0 +1,228 @@
+/**
+ * Cassettes: recorded LLM requests/responses and tool calls/results per message
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { SYSTEM_PROMPT } from '../prompts/system-prompt.js';
+import { tools } from '../tools/index.js';
+
+export const CASSETTE_VERSION = 1;
+
+/**
+ * Short stable hash of a value
+ * @param {*} value - Value to hash
+ * @returns {string} 12-char hex hash
+ */
+export function shortHash(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Fingerprint of everything that shapes the agent's behavior
+ * @returns {Object} { systemPrompt, tools }
+ */
+export function currentFingerprint() {
+  return {
+    systemPrompt: shortHash(SYSTEM_PROMPT),
+    tools: shortHash(tools),
+  };
+}
+
+/**
+ * Deep copy through JSON (what ends up in the cassette file)
+ * @param {*} value - Value
+ * @returns {*} Copy
+ */
+const clone = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Reduce a chat request to what we store and compare
+ * The system prompt is stored as a hash; tools are covered by the fingerprint
+ * @param {Object} request - Chat request
+ * @returns {Object} Normalized request
+ */
+export function normalizeRequest(request) {
+  return {
+    messages: clone(request.messages.map(message => (
+      message.role === 'system' ? { role: 'system', hash: shortHash(message.content) } : message
+    ))),
+  };
+}
+
+/**
+ * Create an empty cassette
+ * @param {Object} meta - Extra metadata (provider, model, source file)
+ * @returns {Object} Cassette
+ */
+export function createCassette(meta = {}) {
+  return {
+    version: CASSETTE_VERSION,
+    recordedAt: new Date().toISOString(),
+    fingerprint: currentFingerprint(),
+    meta,
+    entries: [],
+  };
+}
+
+/**
+ * Load a cassette file
+ * @param {string} filePath - Cassette path
+ * @returns {Promise<Object>} Cassette
+ */
+export async function loadCassette(filePath) {
+  const cassette = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new Error(`Unsupported cassette version ${cassette.version} (expected ${CASSETTE_VERSION})`);
+  }
+  return cassette;
+}
+
+/**
+ * Save a cassette file
+ * @param {string} filePath - Cassette path
+ * @param {Object} cassette - Cassette
+ * @returns {Promise<void>}
+ */
+export async function saveCassette(filePath, cassette) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(cassette, null, 2));
+}
+
+/**
+ * Wrap a provider, tool executor and fast path classifier so every interaction is recorded
+ * The fast path outcome is recorded because it depends on stored topics and channel
+ * state that a replay doesn't have
+ * @param {Object} llm - LLM provider
+ * @param {Function} executeTool - Tool executor
+ * @param {Function} preClassify - Fast path classifier
+ * @returns {Object} { llm, executeTool, preClassify, interactions }
+ */
+export function createRecorder(llm, executeTool, preClassify) {
+  const interactions = [];
+
+  return {
+    interactions,
+
+    async preClassify(message, channelInfo, options) {
+      const result = await preClassify(message, channelInfo, options);
+      interactions.push({ type: 'fast_path', result: clone(result) });
+      return result;
+    },
+
+    llm: {
+      ...llm,
+      async chat(request) {
+        const response = await llm.chat(request);
+        interactions.push({
+          type: 'llm',
+          request: normalizeRequest(request),
+          response: clone({ message: response.message, finishReason: response.finishReason, usage: response.usage }),
+        });
+        return response;
+      },
+    },
+
+    async executeTool(name, args, context) {
+      const result = await executeTool(name, args, context);
+      interactions.push({ type: 'tool', name, args: clone(args), result: clone(result) });
+      return result;
+    },
+  };
+}
+
+/**
+ * Create a provider and tool executor that play back a recorded entry
+ * @param {Object} entry - Cassette entry
+ * @param {Object} options - Options
+ * @param {Object} options.liveLlm - Call this provider instead of replaying LLM responses
+ * @returns {Object} { llm, executeTool, preClassify, interactions, mismatches }
+ */
+export function createReplayer(entry, options = {}) {
+  const { liveLlm = null } = options;
+  const recordedLlm = entry.interactions.filter(i => i.type === 'llm');
+  const recordedTools = entry.interactions.filter(i => i.type === 'tool');
+  const usedTools = new Set();
+  const interactions = [];
+  const mismatches = [];
+  let llmStep = 0;
+  let toolStep = 0;
+
+  /**
+   * Find the recorded result for a tool call
+   * Strict replay expects calls in recorded order; live-LLM replay matches by name + args,
+   * then falls back to the next unused result of the same tool
+   */
+  const findToolResult = (name, args) => {
+    if (!liveLlm) {
+      const recorded = recordedTools[toolStep++];
+      if (!recorded) return null;
+      if (recorded.name !== name || JSON.stringify(recorded.args) !== JSON.stringify(args)) {
+        mismatches.push(`tool call ${toolStep}: recorded ${recorded.name}(${JSON.stringify(recorded.args)}), got ${name}(${JSON.stringify(args)})`);
+      }
+      return recorded;
+    }
+
+    let index = recordedTools.findIndex((r, i) => !usedTools.has(i) && r.name === name && JSON.stringify(r.args) === JSON.stringify(args));
+    if (index === -1) {
+      index = recordedTools.findIndex((r, i) => !usedTools.has(i) && r.name === name);
+      if (index !== -1) mismatches.push(`approximate tool result: ${name}(${JSON.stringify(args)}) answered with recorded ${name}(${JSON.stringify(recordedTools[index].args)})`);
+    }
+    if (index === -1) return null;
+    usedTools.add(index);
+    return recordedTools[index];
+  };
+
+  const replayLlm = {
+    name: 'replay',
+    model: 'replay',
+    async chat(request) {
+      const recorded = recordedLlm[llmStep++];
+      if (!recorded) {
+        throw new Error(`Cassette has no LLM response for request ${llmStep}`);
+      }
+      const normalized = normalizeRequest(request);
+      if (JSON.stringify(normalized) !== JSON.stringify(recorded.request)) {
+        mismatches.push(`llm request ${llmStep} differs from the recording`);
+      }
+      interactions.push({ type: 'llm', request: normalized, response: recorded.response });
+      return clone(recorded.response);
+    },
+  };
+
+  const llm = liveLlm
+    ? {
+      ...liveLlm,
+      async chat(request) {
+        const response = await liveLlm.chat(request);
+        interactions.push({ type: 'llm', request: normalizeRequest(request), response: clone(response) });
+        return response;
+      },
+    }
+    : replayLlm;
+
+  return {
+    llm,
+    interactions,
+    mismatches,
+
+    // Cassettes recorded before fast path outcomes were stored replay without the fast path
+    async preClassify() {
+      const recorded = entry.interactions.find(i => i.type === 'fast_path');
+      const result = recorded ? clone(recorded.result) : null;
+      interactions.push({ type: 'fast_path', result });
+      return result;
+    },
+
+    async executeTool(name, args) {
+      const recorded = findToolResult(name, args);
+      const result = recorded
+        ? clone(recorded.result)
+        : { error: `No recorded result for ${name}(${JSON.stringify(args)})` };
+      if (!recorded) mismatches.push(`unrecorded tool call: ${name}(${JSON.stringify(args)})`);
+      interactions.push({ type: 'tool', name, args: clone(args), result });
+      return result;
+    },
+  };
+}
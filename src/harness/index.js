@@ -0,0 +1,122 @@
+/**
+ * Record/replay harness for the categorizer agent loop
+ */
+import { categorizeMessage } from '../categorizer.js';
+import { getLLMProvider } from '../llm/index.js';
+import { executeToolCall } from '../tools/index.js';
+import { preClassify } from '../fastpath/index.js';
+import { preprocessMessage } from '../preprocess/index.js';
+import {
+  createCassette,
+  createRecorder,
+  createReplayer,
+  currentFingerprint,
+  loadCassette,
+  saveCassette,
+} from './cassette.js';
+import { buildTrace, diffTraces } from './trace.js';
+
+/**
+ * Categorize messages for real and record every interaction into a cassette
+ * @param {Array<Object>} messages - Messages to categorize
+ * @param {Object} channelInfo - Channel information
+ * @param {Object} options - Options
+ * @param {string} options.file - Cassette path to write
+ * @param {Object} options.categorizeOptions - Options passed to categorizeMessage
+ * @param {Object} options.meta - Extra cassette metadata
+ * @returns {Promise<Object>} Cassette
+ */
+export async function recordCassette(messages, channelInfo, options = {}) {
+  const { file, categorizeOptions = {}, meta = {} } = options;
+  const llm = categorizeOptions.llm || getLLMProvider();
+  const cassette = createCassette({ ...meta, provider: llm.name, model: llm.model });
+
+  for (const rawMessage of messages) {
+    // Stored preprocessed, so replays resolve mentions exactly as recorded without Slack
+    const message = await preprocessMessage(rawMessage, categorizeOptions.preprocess);
+    const recorder = createRecorder(llm, categorizeOptions.executeTool || executeToolCall, categorizeOptions.preClassify || preClassify);
+    const result = await categorizeMessage(message, channelInfo, {
+      ...categorizeOptions,
+      llm: recorder.llm,
+      executeTool: recorder.executeTool,
+      preClassify: recorder.preClassify,
+    });
+
+    cassette.entries.push({
+      message,
+      channelInfo,
+      interactions: recorder.interactions,
+      trace: buildTrace(recorder.interactions, result),
+    });
+
+    if (file) await saveCassette(file, cassette); // Keep partial recordings if a later message fails
+  }
+
+  return cassette;
+}
+
+/**
+ * Replay a cassette without Slack, Weaviate or (by default) the LLM
+ * @param {string} file - Cassette path
+ * @param {Object} options - Options
+ * @param {Object} options.liveLlm - Run the real model against recorded tool results
+ * @param {boolean} options.verbose - Log categorizer progress (default: false)
+ * @returns {Promise<Object>} Report ({ fingerprintChanges, entries, passed })
+ */
+export async function replayCassette(file, options = {}) {
+  const { liveLlm = null, verbose = false } = options;
+  const cassette = await loadCassette(file);
+
+  const fingerprint = currentFingerprint();
+  const fingerprintChanges = Object.keys(fingerprint)
+    .filter(key => fingerprint[key] !== cassette.fingerprint[key]);
+
+  const entries = [];
+  for (const entry of cassette.entries) {
+    const replayer = createReplayer(entry, { liveLlm });
+
+    let result = null;
+    let error = null;
+    try {
+      result = await categorizeMessage(entry.message, entry.channelInfo, {
+        verbose,
+        llm: replayer.llm,
+        executeTool: replayer.executeTool,
+        preClassify: replayer.preClassify,
+        persist: false,
+        // Cassettes recorded before messages were stored preprocessed must not look names up in Slack
+        preprocess: { resolveUser: async () => null, resolveChannel: async () => null },
+      });
+    } catch (e) {
+      error = e.message;
+    }
+
+    const trace = buildTrace(replayer.interactions, result);
+    // Replays never create topics, so a recorded "create" has no ID to compare
+    const expected = entry.trace.decision?.action === 'create'
+      ? { ...entry.trace, decision: { ...entry.trace.decision, topicId: null } }
+      : entry.trace;
+    const differences = diffTraces(expected, trace);
+
+    entries.push({
+      ts: entry.message.ts,
+      text: entry.message.text,
+      // Strict replay also fails when the requests we send no longer match the recording
+      passed: !error && differences.length === 0 && (Boolean(liveLlm) || replayer.mismatches.length === 0),
+      error,
+      differences,
+      mismatches: replayer.mismatches,
+      trace,
+    });
+  }
+
+  return {
+    file,
+    fingerprintChanges,
+    entries,
+    passed: entries.every(entry => entry.passed),
+  };
+}
+
+export { buildTrace, diffTraces } from './trace.js';
+export { loadCassette, saveCassette, currentFingerprint } from './cassette.js';
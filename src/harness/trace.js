@@ -0,0 +1,46 @@
+/**
+ * Decision traces for recorded and replayed categorizations
+ */
+
+/**
+ * Build a comparable decision trace from an entry's interactions
+ * @param {Array<Object>} interactions - Recorded LLM and tool interactions
+ * @param {Object|null} result - categorizeMessage result
+ * @returns {Object} { steps, decision }
+ */
+export function buildTrace(interactions, result) {
+  return {
+    steps: interactions
+      .filter(interaction => interaction.type === 'tool')
+      .map(interaction => ({ tool: interaction.name, args: interaction.args })),
+    decision: result
+      ? { action: result.decision, topicId: result.topicId, topicName: result.topicName }
+      : null,
+  };
+}
+
+/**
+ * Compare two decision traces
+ * @param {Object} expected - Recorded trace
+ * @param {Object} actual - Replayed trace
+ * @returns {Array<string>} Human-readable differences (empty if identical)
+ */
+export function diffTraces(expected, actual) {
+  const differences = [];
+  const stepCount = Math.max(expected.steps.length, actual.steps.length);
+
+  for (let i = 0; i < stepCount; i++) {
+    const before = expected.steps[i];
+    const after = actual.steps[i];
+    if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+    const describe = step => (step ? `${step.tool}(${JSON.stringify(step.args)})` : '<none>');
+    differences.push(`step ${i + 1}: ${describe(before)} → ${describe(after)}`);
+  }
+
+  if (JSON.stringify(expected.decision) !== JSON.stringify(actual.decision)) {
+    differences.push(`decision: ${JSON.stringify(expected.decision)} → ${JSON.stringify(actual.decision)}`);
+  }
+
+  return differences;
+}
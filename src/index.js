@@ -6,7 +6,12 @@
  */
 
 // Main categorizer
-export { categorizeMessage, categorizeMessageSmart } from './categorizer.js';
+export { 
+  categorizeMessage, 
+  categorizeMessageSmart,
+  handleMessageChanged,
+  handleMessageDeleted 
+} from './categorizer.js';
 
 // Database operations
 export { 
@@ -14,18 +19,24 @@ export {
   createTopicInDB, 
   updateTopic,
   getTopicById,
-  fetchAllTopics 
+  fetchAllTopics,
+  mergeTopics 
 } from './services/database.js';
 
-// Context management
-export { resetContext, conversationContext } from './context/conversation.js';
+// Context management (async, backed by the context store; replaces the removed conversationContext object)
+export { resetContext, getChannelContext, updateChannelContext } from './context/conversation.js';
+export { getContextStore, setContextStore, createContextStore } from './context/stores/index.js';
 
 // Utilities
 export { buildTopicEmbeddingText, buildMessageEmbeddingText } from './utils/embedding.js';
 
+// Message preprocessing (Slack mrkdwn → clean text + entities)
+export { preprocessMessage, parseMrkdwn, rememberUsers } from './preprocess/index.js';
+
 // Search functions (for advanced usage)
 export { 
   hybridSearchTopics, 
   semanticSearchTopics, 
-  keywordSearchTopics 
+  keywordSearchTopics,
+  searchMessages
 } from './search/index.js';
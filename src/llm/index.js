@@ -0,0 +1,66 @@
+/**
+ * LLM provider layer
+ * Every provider implements:
+ *   chat({ messages, tools, toolChoice, temperature, maxTokens, responseFormat }) → { message, finishReason, usage }
+ *   embed(texts) → Array<vector>
+ */
+import dotenv from 'dotenv';
+import { createOpenAIProvider } from './providers/openai.js';
+import { createOpenAICompatibleProvider } from './providers/openai-compatible.js';
+import { createScriptedProvider } from './providers/scripted.js';
+
+dotenv.config();
+
+/**
+ * Read provider configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} { provider, model, baseURL, apiKey, embeddingModel }
+ */
+export function readLLMConfig(env = process.env) {
+  return {
+    provider: env.LLM_PROVIDER || 'openai',
+    model: env.LLM_MODEL || undefined,
+    baseURL: env.LLM_BASE_URL || undefined,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    embeddingModel: env.LLM_EMBEDDING_MODEL || undefined,
+  };
+}
+
+/**
+ * Create a provider from configuration
+ * @param {Object} config - Config from readLLMConfig()
+ * @returns {Object} LLM provider
+ */
+export function createLLMProvider(config = readLLMConfig()) {
+  switch (config.provider) {
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider(config);
+    case 'scripted':
+      return createScriptedProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${config.provider} (expected openai, openai-compatible or scripted)`);
+  }
+}
+
+let activeProvider = null;
+
+/**
+ * Get the process-wide provider (created from the environment on first use)
+ * @returns {Object} LLM provider
+ */
+export function getLLMProvider() {
+  if (!activeProvider) activeProvider = createLLMProvider();
+  return activeProvider;
+}
+
+/**
+ * Replace the process-wide provider
+ * @param {Object|null} provider - Provider, or null to recreate from the environment
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
+
+export { createOpenAIProvider, createOpenAICompatibleProvider, createScriptedProvider };
@@ -0,0 +1,28 @@
+/**
+ * OpenAI-compatible provider (Ollama, vLLM, LM Studio, ...)
+ */
+import { createOpenAIProvider } from './openai.js';
+
+/**
+ * Create a provider for a server that speaks the OpenAI API
+ * @param {Object} options - Options
+ * @param {string} options.baseURL - Server URL, e.g. http://localhost:11434/v1 (required)
+ * @param {string} options.model - Chat model name on that server (required)
+ * @param {string} options.embeddingModel - Embedding model name on that server
+ * @param {string} options.apiKey - API key, if the server needs one
+ * @returns {Object} LLM provider
+ */
+export function createOpenAICompatibleProvider(options = {}) {
+  const { baseURL, model, embeddingModel, apiKey = 'not-needed' } = options;
+
+  if (!baseURL) throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+  if (!model) throw new Error('LLM_MODEL is required for the openai-compatible provider');
+
+  return createOpenAIProvider({
+    apiKey,
+    baseURL,
+    model,
+    embeddingModel: embeddingModel || model,
+    name: `openai-compatible(${baseURL})`,
+  });
+}
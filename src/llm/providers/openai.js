@@ -0,0 +1,75 @@
+/**
+ * OpenAI provider (also used for OpenAI-compatible servers)
+ */
+import OpenAI from 'openai';
+import { MODEL, EMBEDDING_MODEL } from '../../config/constants.js';
+
+/**
+ * Create a provider backed by the OpenAI SDK
+ * @param {Object} options - Options
+ * @param {string} options.apiKey - API key
+ * @param {string} options.baseURL - API base URL (default: OpenAI)
+ * @param {string} options.model - Chat model (default: MODEL)
+ * @param {string} options.embeddingModel - Embedding model (default: EMBEDDING_MODEL)
+ * @param {string} options.name - Provider name for logs (default: "openai")
+ * @returns {Object} LLM provider
+ */
+export function createOpenAIProvider(options = {}) {
+  const {
+    apiKey,
+    baseURL,
+    model = MODEL,
+    embeddingModel = EMBEDDING_MODEL,
+    name = 'openai',
+  } = options;
+
+  // Created on first use so importing never requires an API key
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new OpenAI({ apiKey, baseURL });
+    return client;
+  };
+
+  return {
+    name,
+    model,
+
+    /**
+     * Run a chat completion with optional tools
+     * @param {Object} request - Request
+     * @param {Array} request.messages - Chat messages
+     * @param {Array} request.tools - Tool definitions
+     * @param {string} request.toolChoice - Tool choice (default: "auto" when tools are given)
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Max output tokens
+     * @param {Object} request.responseFormat - e.g. { type: 'json_object' }
+     * @returns {Promise<Object>} { message, finishReason, usage }
+     */
+    async chat({ messages, tools, toolChoice, temperature, maxTokens, responseFormat }) {
+      const response = await getClient().chat.completions.create({
+        model,
+        messages,
+        ...(tools?.length ? { tools, tool_choice: toolChoice || 'auto' } : {}),
+        ...(responseFormat ? { response_format: responseFormat } : {}),
+        temperature,
+        max_tokens: maxTokens,
+      });
+
+      return {
+        message: response.choices[0].message,
+        finishReason: response.choices[0].finish_reason,
+        usage: response.usage || null,
+      };
+    },
+
+    /**
+     * Embed texts
+     * @param {Array<string>} texts - Texts to embed
+     * @returns {Promise<Array<Array<number>>>} One vector per text
+     */
+    async embed(texts) {
+      const response = await getClient().embeddings.create({ model: embeddingModel, input: texts });
+      return response.data.map(item => item.embedding);
+    },
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Scripted provider
+ * Deterministic fake model - no network, same input → same output. It replaces only the
+ * model: tools still need Weaviate (and OpenAI for its vectorizer) unless their results are
+ * replayed from a cassette
+ */
+import { extractKeywords, normalizeText } from '../../utils/text.js';
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} str - Input
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Deterministic bag-of-words embedding (hashed token counts, L2-normalized)
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>} Vector
+ */
+export function hashedEmbedding(text, dimensions = 64) {
+  const vector = new Array(dimensions).fill(0);
+  for (const token of normalizeText(text).split(/\s+/).filter(Boolean)) {
+    vector[fnv1a(token) % dimensions] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Collect tool results from a chat transcript, oldest first
+ * @param {Array} messages - Chat messages
+ * @returns {Array<Object>} { name, result }
+ */
+function collectToolResults(messages) {
+  const toolNames = new Map();
+  for (const message of messages) {
+    for (const call of message.tool_calls || []) {
+      toolNames.set(call.id, call.function.name);
+    }
+  }
+
+  return messages
+    .filter(message => message.role === 'tool')
+    .map(message => ({ name: toolNames.get(message.tool_call_id), result: JSON.parse(message.content) }));
+}
+
+/**
+ * Built-in policy that follows the categorizer workflow:
+ * get_context → find_topics → categorize (thread parent, then search recommendation, else create)
+ * @param {Object} request - Chat request
+ * @param {Function} nextCallId - Returns a new tool call ID
+ * @returns {Object} Assistant message
+ */
+function categorizerPolicy({ messages, responseFormat }, nextCallId) {
+  const lastUserText = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+
+  // Plain JSON requests (e.g. naming a split cluster)
+  if (responseFormat?.type === 'json_object') {
+    const keywords = extractKeywords(lastUserText).slice(0, 5);
+    return {
+      role: 'assistant',
+      content: JSON.stringify({
+        name: keywords.slice(0, 3).join(' ') || 'Scripted Topic',
+        description: `Messages about ${keywords.join(', ') || 'a scripted topic'}`,
+        keywords,
+      }),
+    };
+  }
+
+  const toolCall = (name, args) => ({
+    role: 'assistant',
+    content: null,
+    tool_calls: [{ id: nextCallId(), type: 'function', function: { name, arguments: JSON.stringify(args) } }],
+  });
+
+  const results = collectToolResults(messages);
+  const context = results.filter(r => r.name === 'get_context').pop()?.result;
+  const search = results.filter(r => r.name === 'find_topics').pop()?.result;
+
+  if (!context) return toolCall('get_context', {});
+
+  const messageText = context.current_message?.text || lastUserText;
+  if (!search) return toolCall('find_topics', { query: messageText });
+
+  const parentTopic = context.thread_parent?.topic;
+  if (parentTopic?.id) {
+    return toolCall('categorize', {
+      action: 'assign',
+      topic_id: parentTopic.id,
+      topic_name: parentTopic.name,
+      reasoning: 'Scripted: thread reply follows its parent topic',
+    });
+  }
+
+  const recommendation = search.recommendation;
+  if (recommendation?.suggested_topic_id && recommendation.action !== 'create') {
+    return toolCall('categorize', {
+      action: 'assign',
+      topic_id: recommendation.suggested_topic_id,
+      topic_name: recommendation.suggested_topic_name,
+      reasoning: `Scripted: following ${recommendation.action} recommendation (${recommendation.confidence})`,
+    });
+  }
+
+  const keywords = search.query_keywords?.length ? search.query_keywords : extractKeywords(messageText);
+  return toolCall('categorize', {
+    action: 'create',
+    new_topic: {
+      name: keywords.slice(0, 3).join(' ') || 'Scripted Topic',
+      description: `Messages about ${keywords.slice(0, 5).join(', ')}`,
+      keywords: keywords.slice(0, 5),
+    },
+    reasoning: 'Scripted: no suitable topic found',
+  });
+}
+
+/**
+ * Create a deterministic scripted provider
+ * @param {Object} options - Options
+ * @param {Array} options.script - Responses returned in order; each is an assistant message or a
+ *   function(request) returning one. Omit to use the built-in categorizer policy
+ * @param {number} options.dimensions - Embedding size (default: 64)
+ * @returns {Object} LLM provider (with a `requests` log of every chat request)
+ */
+export function createScriptedProvider(options = {}) {
+  const { script = null, dimensions = 64 } = options;
+  let step = 0;
+  let callCount = 0;
+  const nextCallId = () => `call_scripted_${++callCount}`;
+  const requests = [];
+
+  return {
+    name: 'scripted',
+    model: 'scripted',
+    requests,
+
+    async chat(request) {
+      requests.push(request);
+
+      let message;
+      if (script) {
+        if (step >= script.length) {
+          throw new Error(`Scripted provider ran out of responses after ${script.length} steps`);
+        }
+        const next = script[step++];
+        message = typeof next === 'function' ? next(request) : next;
+      } else {
+        message = categorizerPolicy(request, nextCallId);
+      }
+
+      return {
+        message: { role: 'assistant', content: null, ...message },
+        finishReason: message.tool_calls?.length ? 'tool_calls' : 'stop',
+        usage: null,
+      };
+    },
+
+    async embed(texts) {
+      return texts.map(text => hashedEmbedding(text, dimensions));
+    },
+  };
+}
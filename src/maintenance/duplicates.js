@@ -0,0 +1,134 @@
+/**
+ * Duplicate topic detection
+ * Scores every topic pair and proposes merges, remembering rejected pairs
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  DUPLICATE_WEIGHTS,
+  DUPLICATE_MIN_SCORE,
+  DUPLICATE_DECISIONS_FILE,
+  DUPLICATE_CANDIDATES_FILE,
+} from '../config/constants.js';
+import { fetchTopicsWithVectors } from '../services/database.js';
+import { cosineSimilarity, fuzzySimilarity, keywordOverlap } from '../utils/similarity.js';
+import { appendJsonl, readJsonl } from '../utils/jsonl.js';
+
+/**
+ * Build an order-independent key for a topic pair
+ * @param {string} idA - First topic ID
+ * @param {string} idB - Second topic ID
+ * @returns {string} Pair key
+ */
+export function pairKey(idA, idB) {
+  return [idA, idB].sort().join(':');
+}
+
+/**
+ * Score how likely two topics are duplicates
+ * @param {Object} a - First topic (with vector)
+ * @param {Object} b - Second topic (with vector)
+ * @param {Object} weights - Factor weights
+ * @returns {Object} { score, breakdown }
+ */
+export function scoreTopicPair(a, b, weights = DUPLICATE_WEIGHTS) {
+  const breakdown = {
+    vectorSimilarity: Math.max(cosineSimilarity(a.vector, b.vector), 0),
+    nameSimilarity: fuzzySimilarity(a.name, b.name),
+    keywordOverlap: keywordOverlap(a.keywords, b.keywords),
+  };
+
+  const score =
+    (breakdown.vectorSimilarity * weights.vector) +
+    (breakdown.nameSimilarity * weights.name) +
+    (breakdown.keywordOverlap * weights.keywords);
+
+  return { score, breakdown };
+}
+
+/**
+ * Load pair decisions (latest decision per pair wins)
+ * @returns {Promise<Map<string, Object>>} Decisions keyed by pair key
+ */
+export async function loadPairDecisions() {
+  const decisions = new Map();
+  for (const record of await readJsonl(DUPLICATE_DECISIONS_FILE)) {
+    decisions.set(pairKey(record.topicIds[0], record.topicIds[1]), record);
+  }
+  return decisions;
+}
+
+/**
+ * Record a reviewer decision for a pair
+ * @param {string} idA - First topic ID
+ * @param {string} idB - Second topic ID
+ * @param {string} decision - "accepted" or "rejected"
+ * @param {Object} details - Extra fields (names, score)
+ * @returns {Promise<Object>} Recorded decision
+ */
+export async function recordPairDecision(idA, idB, decision, details = {}) {
+  const record = {
+    topicIds: [idA, idB].sort(),
+    decision,
+    decidedAt: new Date().toISOString(),
+    ...details,
+  };
+  await appendJsonl(DUPLICATE_DECISIONS_FILE, record);
+  return record;
+}
+
+/**
+ * Find ranked merge candidates among all topics
+ * @param {Object} options - Options
+ * @param {number} options.minScore - Minimum pair score (default: DUPLICATE_MIN_SCORE)
+ * @param {number} options.limit - Maximum candidates returned
+ * @param {boolean} options.includeRejected - Also return previously rejected pairs
+ * @returns {Promise<Array<Object>>} Candidates sorted by score
+ */
+export async function findDuplicateTopics(options = {}) {
+  const { minScore = DUPLICATE_MIN_SCORE, limit = 50, includeRejected = false } = options;
+
+  const [topics, decisions] = await Promise.all([fetchTopicsWithVectors(), loadPairDecisions()]);
+  console.log(`[duplicates] Comparing ${topics.length} topics (${topics.length * (topics.length - 1) / 2} pairs)`);
+
+  const candidates = [];
+  for (let i = 0; i < topics.length; i++) {
+    for (let j = i + 1; j < topics.length; j++) {
+      const a = topics[i];
+      const b = topics[j];
+      const decision = decisions.get(pairKey(a.id, b.id));
+      if (decision?.decision === 'rejected' && !includeRejected) continue;
+
+      const { score, breakdown } = scoreTopicPair(a, b);
+      if (score < minScore) continue;
+
+      // Suggest keeping the bigger topic
+      const [target, source] = a.messageCount >= b.messageCount ? [a, b] : [b, a];
+      candidates.push({
+        score: parseFloat(score.toFixed(3)),
+        breakdown: Object.fromEntries(
+          Object.entries(breakdown).map(([factor, value]) => [factor, parseFloat(value.toFixed(3))])
+        ),
+        target: { id: target.id, name: target.name, messageCount: target.messageCount },
+        source: { id: source.id, name: source.name, messageCount: source.messageCount },
+        previousDecision: decision?.decision || null,
+      });
+    }
+  }
+
+  return candidates.sort((x, y) => y.score - x.score).slice(0, limit);
+}
+
+/**
+ * Write candidates to a JSON report (read by the dashboard and the review CLI)
+ * @param {Array<Object>} candidates - Candidates from findDuplicateTopics()
+ * @param {string} filePath - Report path
+ * @returns {Promise<void>}
+ */
+export async function writeCandidatesReport(candidates, filePath = DUPLICATE_CANDIDATES_FILE) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    candidates,
+  }, null, 2));
+}
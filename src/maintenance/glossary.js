@@ -0,0 +1,102 @@
+/**
+ * Glossary proposals
+ * The agent proposes terms for recurring unknown acronyms; a reviewer accepts
+ * them into the glossary file or rejects them (rejected terms are not proposed again)
+ *
+ * Proposals file (JSONL, GLOSSARY_PROPOSALS_FILE):
+ *   { "type": "proposal", "term": "CM", "expansion": "Campaign Monitor", "reason": "...", ... }
+ *   { "type": "decision", "term": "CM", "decision": "accepted" }
+ */
+import { GLOSSARY_PROPOSALS_FILE } from '../config/constants.js';
+import { getGlossary, setGlossary, addGlossaryTerm } from '../config/glossary.js';
+import { tokenize } from '../utils/language.js';
+import { appendJsonl, readJsonl } from '../utils/jsonl.js';
+
+/**
+ * Key under which proposals for a term are grouped ("C.M." and "cm" share one)
+ * @param {string} term - Term
+ * @returns {string} Key
+ */
+export const glossaryKey = term => tokenize(term).join(' ');
+
+/**
+ * Load proposals grouped by term (latest decision per term wins)
+ * @returns {Promise<Map<string, Object>>} Key → { term, proposals, decision }
+ */
+export async function loadGlossaryProposals() {
+  const groups = new Map();
+  for (const record of await readJsonl(GLOSSARY_PROPOSALS_FILE)) {
+    const key = glossaryKey(record.term);
+    if (!groups.has(key)) groups.set(key, { term: record.term, proposals: [], decision: null });
+    const group = groups.get(key);
+    if (record.type === 'decision') group.decision = record;
+    else group.proposals.push(record);
+  }
+  return groups;
+}
+
+/**
+ * Record a proposal from the agent
+ * @param {Object} proposal - { term, expansion, aliases, topicHint, reason, example, channelId }
+ * @returns {Promise<Object>} { status: 'exists' | 'rejected' | 'proposed', term, proposals } - proposals counts pending proposals for the term
+ */
+export async function proposeGlossaryTerm(proposal) {
+  const key = glossaryKey(proposal.term || '');
+  if (!key) throw new Error('term is required');
+  if (!proposal.expansion) throw new Error('expansion is required');
+
+  const existing = getGlossary().terms.find(entry => entry.phrases.some(phrase => phrase.join(' ') === key));
+  if (existing) return { status: 'exists', term: existing.term, expansions: existing.expansions };
+
+  const group = (await loadGlossaryProposals()).get(key);
+  if (group?.decision?.decision === 'rejected') return { status: 'rejected', term: group.term };
+
+  await appendJsonl(GLOSSARY_PROPOSALS_FILE, {
+    type: 'proposal',
+    ...proposal,
+    proposedAt: new Date().toISOString(),
+  });
+  return { status: 'proposed', term: proposal.term, proposals: (group?.proposals.length || 0) + 1 };
+}
+
+/**
+ * Record a reviewer decision for a term
+ * @param {string} term - Term
+ * @param {string} decision - "accepted" or "rejected"
+ * @param {Object} details - Extra fields (the accepted entry)
+ * @returns {Promise<Object>} Recorded decision
+ */
+export async function recordGlossaryDecision(term, decision, details = {}) {
+  const record = { type: 'decision', term, decision, decidedAt: new Date().toISOString(), ...details };
+  await appendJsonl(GLOSSARY_PROPOSALS_FILE, record);
+  return record;
+}
+
+/**
+ * Accept a proposed term into the glossary file
+ * Expansions, aliases and topic hints of every pending proposal for the term are combined
+ * @param {string} term - Proposed term
+ * @param {Object} options - Options
+ * @param {string} options.expansion - Use this expansion instead of the proposed ones
+ * @param {string} options.file - Glossary file (default: GLOSSARY_FILE)
+ * @returns {Promise<Object>} The glossary entry written
+ */
+export async function acceptGlossaryProposal(term, options = {}) {
+  const group = (await loadGlossaryProposals()).get(glossaryKey(term));
+  if (!group || group.proposals.length === 0) throw new Error(`No proposal for "${term}"`);
+
+  const unique = values => [...new Set(values.filter(Boolean))];
+  const { proposals } = group;
+  const entry = {
+    term: proposals[0].term,
+    expansions: options.expansion ? [options.expansion] : unique(proposals.map(p => p.expansion)),
+  };
+  const aliases = unique(proposals.flatMap(p => p.aliases || []));
+  const topicHints = unique(proposals.map(p => p.topicHint));
+  if (aliases.length > 0) entry.aliases = aliases;
+  if (topicHints.length > 0) entry.topicHints = topicHints;
+
+  setGlossary(addGlossaryTerm(entry, options.file));
+  await recordGlossaryDecision(entry.term, 'accepted', { entry });
+  return entry;
+}
@@ -0,0 +1,19 @@
+/**
+ * Topic maintenance barrel export
+ */
+export {
+  findDuplicateTopics,
+  scoreTopicPair,
+  pairKey,
+  loadPairDecisions,
+  recordPairDecision,
+  writeCandidatesReport,
+} from './duplicates.js';
+export { proposeTopicSplit, applyTopicSplit, groupByThread } from './split.js';
+export {
+  glossaryKey,
+  loadGlossaryProposals,
+  proposeGlossaryTerm,
+  recordGlossaryDecision,
+  acceptGlossaryProposal,
+} from './glossary.js';
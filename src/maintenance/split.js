@@ -0,0 +1,213 @@
+/**
+ * Topic split
+ * Re-clusters an overgrown topic into sub-topics named by the model
+ */
+import { getLLMProvider } from '../llm/index.js';
+import { SPLIT_HISTORY_FILE } from '../config/constants.js';
+import {
+  getTopicById,
+  fetchTopicMessages,
+  fetchTopicMessageIds,
+  createTopicInDB,
+  relinkMessage,
+  adjustTopicStats,
+  replaceSecondaryTopic,
+  replaceBranchLinks,
+  recordTopicBranch,
+  deleteTopic,
+} from '../services/database.js';
+import { kMeans, meanVector, suggestClusterCount } from '../utils/clustering.js';
+import { appendJsonl } from '../utils/jsonl.js';
+import { truncate, slackTsToIso } from '../utils/text.js';
+
+const MIN_MESSAGES_TO_SPLIT = 4;
+const SAMPLE_MESSAGES_PER_CLUSTER = 15;
+
+/**
+ * Group messages into threads so a thread is never split across sub-topics
+ * @param {Array<Object>} messages - Topic messages with vectors
+ * @returns {Array<Object>} Units ({ key, messages, vector })
+ */
+export function groupByThread(messages) {
+  const units = new Map();
+  for (const message of messages) {
+    const key = message.threadTs || message.timestamp;
+    if (!units.has(key)) units.set(key, { key, messages: [] });
+    units.get(key).messages.push(message);
+  }
+
+  return [...units.values()].map(unit => ({
+    ...unit,
+    vector: meanVector(unit.messages.map(m => m.vector)),
+  }));
+}
+
+/**
+ * Ask the model to name a cluster of messages
+ * @param {Object} topic - Original topic
+ * @param {Array<Object>} messages - Cluster messages
+ * @returns {Promise<Object>} { name, description, keywords }
+ */
+async function nameCluster(topic, messages) {
+  const sample = messages
+    .slice(0, SAMPLE_MESSAGES_PER_CLUSTER)
+    .map(m => `- ${m.userName || m.user}: ${truncate([m.text, m.artifactText].filter(Boolean).join(' '), 200)}`)
+    .join('\n');
+
+  const response = await getLLMProvider().chat({
+    messages: [
+      {
+        role: 'system',
+        content: 'You name sub-topics of Slack conversations. Topics are SPECIFIC, e.g. "[Component] - [Issue]". Never use generic categories like "General", "Misc" or "Bugs". Reply with JSON: {"name": string, "description": string, "keywords": string[]}.',
+      },
+      {
+        role: 'user',
+        content: `These messages were split out of the topic "${topic.name}" (${topic.description}).\nName the specific sub-topic they share:\n\n${sample}`,
+      },
+    ],
+    responseFormat: { type: 'json_object' },
+    temperature: 0.1,
+    maxTokens: 300,
+  });
+
+  // A malformed or truncated reply falls back to the default name instead of losing the proposal
+  let named = {};
+  try {
+    named = JSON.parse(response.message.content || '{}') || {};
+  } catch (error) {
+    console.warn(`[split] ⚠️  Could not parse the cluster name (${error.message}) - using the default`);
+  }
+  return {
+    name: named.name || `${topic.name} (part)`,
+    description: named.description || `Split from ${topic.name}`,
+    keywords: Array.isArray(named.keywords) ? named.keywords : [],
+  };
+}
+
+/**
+ * Propose how to split a topic (no writes)
+ * @param {string} topicId - Topic UUID
+ * @param {Object} options - Options
+ * @param {number} options.clusters - Number of sub-topics, at least 2 (default: based on thread count)
+ * @param {number} options.maxClusters - Upper bound when choosing automatically (default: 8)
+ * @returns {Promise<Object>} Proposal ({ topic, clusters })
+ */
+export async function proposeTopicSplit(topicId, options = {}) {
+  const { clusters = null, maxClusters = 8 } = options;
+  if (clusters !== null && !(clusters >= 2)) {
+    throw new Error(`Invalid cluster count: ${clusters} (a split needs at least 2)`);
+  }
+
+  const topic = await getTopicById(topicId);
+  if (!topic) throw new Error(`Topic not found: ${topicId}`);
+
+  const messages = await fetchTopicMessages(topicId);
+  if (messages.length < MIN_MESSAGES_TO_SPLIT) {
+    throw new Error(`Topic "${topic.name}" has only ${messages.length} messages - nothing to split`);
+  }
+
+  const allUnits = groupByThread(messages);
+  const units = allUnits.filter(unit => unit.vector.length > 0);
+  const k = clusters || suggestClusterCount(units.length, maxClusters);
+  console.log(`[split] ${messages.length} messages in ${allUnits.length} threads → ${k} clusters`);
+
+  const { assignments } = kMeans(units.map(unit => unit.vector), k);
+
+  const grouped = new Map();
+  units.forEach((unit, i) => {
+    if (!grouped.has(assignments[i])) grouped.set(assignments[i], []);
+    grouped.get(assignments[i]).push(...unit.messages);
+  });
+
+  // Messages without a vector can't be clustered - keep them with the largest cluster
+  const unvectorized = allUnits.filter(unit => unit.vector.length === 0).flatMap(unit => unit.messages);
+  if (unvectorized.length > 0 && grouped.size > 0) {
+    const largest = [...grouped.values()].sort((a, b) => b.length - a.length)[0];
+    largest.push(...unvectorized);
+  }
+
+  // One thread, or no message vectors at all, gives nothing to split into
+  if (grouped.size < 2) {
+    throw new Error(`Topic "${topic.name}" yields ${grouped.size} cluster(s) from ${units.length} threads with vectors - nothing to split`);
+  }
+
+  const proposedClusters = [];
+  for (const clusterMessages of grouped.values()) {
+    clusterMessages.sort((a, b) => parseFloat(a.timestamp) - parseFloat(b.timestamp));
+    const named = await nameCluster(topic, clusterMessages);
+    proposedClusters.push({
+      ...named,
+      users: [...new Set(clusterMessages.map(m => m.userName).filter(Boolean))],
+      messages: clusterMessages,
+    });
+  }
+
+  proposedClusters.sort((a, b) => b.messages.length - a.messages.length);
+  return { topic, clusters: proposedClusters };
+}
+
+/**
+ * Apply a split proposal: create the sub-topics, re-link messages, delete the original
+ * (kept if any message still references it after re-linking)
+ * Secondary memberships in the original topic are dropped; its branch links, both
+ * to and from other topics, move to the largest sub-topic
+ * @param {Object} proposal - Proposal from proposeTopicSplit()
+ * @returns {Promise<Object>} Split history entry
+ */
+export async function applyTopicSplit(proposal) {
+  const { topic, clusters } = proposal;
+  if (clusters.length < 2) {
+    throw new Error(`A split of "${topic.name}" needs at least 2 clusters, got ${clusters.length}`);
+  }
+  const created = [];
+
+  for (const cluster of clusters) {
+    const newTopicId = await createTopicInDB(cluster.name, cluster.description, cluster.keywords, {
+      users: cluster.users,
+    });
+
+    for (const message of cluster.messages) {
+      await relinkMessage(message.id, newTopicId);
+    }
+    await adjustTopicStats(newTopicId, {
+      messageDelta: cluster.messages.length,
+      addVectors: cluster.messages.map(message => message.vector),
+      addActivity: cluster.messages.map(message => slackTsToIso(message.timestamp)),
+      addArtifactKinds: cluster.messages.flatMap(message => message.artifactKinds || []),
+    });
+
+    created.push({ id: newTopicId, name: cluster.name, messageCount: cluster.messages.length });
+    console.log(`[split] Created "${cluster.name}" with ${cluster.messages.length} messages`);
+  }
+
+  // Deleting the original would orphan any message that wasn't moved (e.g. one categorized meanwhile)
+  const remaining = await fetchTopicMessageIds(topic.id);
+  if (remaining.length > 0) {
+    throw new Error(`${remaining.length} message(s) still reference "${topic.name}" - kept the original topic, re-run the split`);
+  }
+
+  // Messages that only mentioned the original topic can't tell which sub-topic they meant
+  const droppedMemberships = await replaceSecondaryTopic(topic.id);
+
+  // Branch links must not point at a deleted topic, nor be lost with it
+  const largest = created.reduce((best, t) => (t.messageCount > best.messageCount ? t : best));
+  const movedBranchLinks = await replaceBranchLinks([topic.id], largest.id);
+  for (const parentId of topic.branchedFrom || []) {
+    await recordTopicBranch(largest.id, parentId);
+  }
+
+  await deleteTopic(topic.id);
+
+  const entry = {
+    splitAt: new Date().toISOString(),
+    original: { id: topic.id, name: topic.name, messageCount: topic.messageCount },
+    created,
+    droppedMemberships,
+    branchLinksMovedTo: largest.id,
+    movedBranchLinks,
+    inheritedBranchLinks: (topic.branchedFrom || []).length,
+  };
+  await appendJsonl(SPLIT_HISTORY_FILE, entry);
+
+  return entry;
+}
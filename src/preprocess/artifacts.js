@@ -0,0 +1,155 @@
+/**
+ * Message artifacts: shared files, code snippets, link unfurls, bot attachments and blocks
+ * A message that is only a shared file or a link has little text; its artifacts
+ * describe it instead ("[File: Checkout redesign (PDF)]", "[Link: Q3 roadmap (Figma)]").
+ */
+import { ARTIFACT_TEXT_LIMITS } from '../config/constants.js';
+import { truncate } from '../utils/text.js';
+import { parseMrkdwn, describeLink } from './mrkdwn.js';
+
+// Files that were deleted or are beyond the workspace's history limit carry no content
+const UNAVAILABLE_FILE_MODES = new Set(['tombstone', 'hidden_by_limit']);
+
+// Block types whose text is already part of message.text
+const TEXT_BLOCK_TYPES = new Set(['rich_text']);
+
+/**
+ * Plain text of a mrkdwn or plain_text object, whitespace collapsed
+ * @param {Object|string} value - Text object ({ type, text }) or string
+ * @returns {string} Plain text
+ */
+function plainText(value) {
+  const text = typeof value === 'string' ? value : value?.text;
+  return text ? parseMrkdwn(text).text.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Artifact for a shared file
+ * @param {Object} file - Slack file object
+ * @returns {Object|null} Artifact, null if the file is unavailable
+ */
+function fileArtifact(file) {
+  if (UNAVAILABLE_FILE_MODES.has(file.mode)) return null;
+
+  const name = file.name || null;
+  const title = file.title && file.title !== name ? file.title : null;
+  const type = file.pretty_type || file.filetype?.toUpperCase() || null;
+
+  if (file.mode === 'snippet' || (file.preview && file.mode !== 'hosted')) {
+    const code = file.preview || file.plain_text || '';
+    return {
+      kind: 'snippet',
+      title: title || name,
+      type,
+      code: truncate(code.trim(), ARTIFACT_TEXT_LIMITS.snippet),
+      url: file.permalink || null,
+    };
+  }
+
+  return { kind: 'file', title: title || name, name, type, url: file.permalink || null };
+}
+
+/**
+ * Artifact for a legacy attachment: a link unfurl if it came from a URL, otherwise a bot attachment
+ * @param {Object} attachment - Slack attachment object
+ * @returns {Object|null} Artifact, null if it has no content
+ */
+function attachmentArtifact(attachment) {
+  const url = attachment.from_url || attachment.original_url || attachment.title_link || null;
+  const link = url ? describeLink(url) : null;
+  const title = plainText(attachment.title) || null;
+  const fields = (attachment.fields || [])
+    .map(field => [plainText(field.title), plainText(field.value)].filter(Boolean).join(': '))
+    .filter(Boolean);
+  const description = [plainText(attachment.pretext), plainText(attachment.text), ...fields]
+    .filter(Boolean)
+    .join(' - ') || (title ? '' : plainText(attachment.fallback));
+
+  if (!title && !description) return null;
+
+  return {
+    kind: attachment.from_url || attachment.original_url ? 'link' : 'attachment',
+    title,
+    service: attachment.service_name || link?.service || null,
+    domain: link?.domain || null,
+    description: truncate(description, ARTIFACT_TEXT_LIMITS.description) || null,
+    url,
+  };
+}
+
+/**
+ * Artifact for a layout block (header, section, context, image)
+ * @param {Object} block - Slack block
+ * @returns {Object|null} Artifact, null for rich_text blocks and blocks without text
+ */
+function blockArtifact(block) {
+  if (TEXT_BLOCK_TYPES.has(block.type)) return null;
+
+  let text = '';
+  if (block.type === 'header' || block.type === 'section') {
+    text = [plainText(block.text), ...(block.fields || []).map(plainText)].filter(Boolean).join(' - ');
+  } else if (block.type === 'context') {
+    text = (block.elements || []).map(element => plainText(element.text ?? element.alt_text ?? element)).filter(Boolean).join(' ');
+  } else if (block.type === 'image') {
+    text = plainText(block.title) || block.alt_text || '';
+  }
+
+  return text ? { kind: 'block', type: block.type, description: truncate(text, ARTIFACT_TEXT_LIMITS.description) } : null;
+}
+
+/**
+ * Parse the files, attachments and blocks of a Slack message
+ * @param {Object} message - Message ({ text, files, attachments, blocks })
+ * @returns {Array<Object>} Artifacts ({ kind: 'file' | 'snippet' | 'link' | 'attachment' | 'block', title, type, service, domain, description, code, url })
+ */
+export function extractArtifacts(message) {
+  const messageText = parseMrkdwn(message.text || '').text.replace(/\s+/g, ' ');
+  const artifacts = [
+    ...(message.files || []).map(fileArtifact),
+    ...(message.attachments || []).map(attachmentArtifact),
+    ...(message.blocks || []).map(blockArtifact),
+  ].filter(Boolean);
+
+  // Bot messages repeat their blocks as the fallback text
+  return artifacts.filter(artifact => artifact.kind !== 'block' || !messageText.includes(artifact.description));
+}
+
+/**
+ * Short label of an artifact for grouping ("Figma", "PDF", "Code", "Link")
+ * @param {Object} artifact - Artifact
+ * @returns {string} Label
+ */
+export function artifactKind(artifact) {
+  if (artifact.kind === 'snippet') return 'Code';
+  if (artifact.kind === 'file') return artifact.type || 'File';
+  if (artifact.kind === 'link') return artifact.service || 'Link';
+  if (artifact.kind === 'attachment') return artifact.service || 'Attachment';
+  return 'Block';
+}
+
+/**
+ * Describe artifacts as text lines for the prompt, embeddings and search
+ * @param {Array<Object>} artifacts - Artifacts from extractArtifacts
+ * @returns {string} One line per artifact (snippets add their code below)
+ */
+export function artifactText(artifacts) {
+  return artifacts.map((artifact) => {
+    const source = [artifact.type, artifact.service || artifact.domain].filter(Boolean).join(', ');
+    const head = [artifact.title, source && `(${source})`].filter(Boolean).join(' ');
+    const label = name => `[${name}${head ? `: ${head}` : ''}]`;
+    const description = artifact.description ? ` ${artifact.description}` : '';
+
+    switch (artifact.kind) {
+      case 'file':
+        return label('File');
+      case 'snippet':
+        return `${label('Code snippet')}${artifact.code ? `\n${artifact.code}` : ''}`;
+      case 'link':
+        return `${label('Link')}${description}`;
+      case 'attachment':
+        return `${label('Attachment')}${description}`;
+      default:
+        return artifact.description;
+    }
+  }).join('\n');
+}
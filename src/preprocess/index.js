@@ -0,0 +1,161 @@
+/**
+ * Message preprocessing
+ * Resolves mentions and parses Slack mrkdwn before categorization, so the prompt,
+ * embeddings and language detection see "@Manu ... this recording (Loom)" instead
+ * of "<@U059AC59LLF> ... <https://www.loom.com/share/...|this recording>".
+ * Shared files, link unfurls, attachments and blocks become artifacts, described in
+ * message.enriched_text so a message that is only a file or a link still has content.
+ * The raw text is kept in message.text; the result adds message.clean_text, message.entities,
+ * message.artifacts and message.enriched_text.
+ */
+import { fetchUserInfo, fetchChannelInfo, hasSlackApiKey } from '../services/slack.js';
+import { parseMrkdwn, mentionedIds } from './mrkdwn.js';
+import { extractArtifacts, artifactText, artifactKind } from './artifacts.js';
+
+export { parseMrkdwn, describeLink, mentionedIds } from './mrkdwn.js';
+export { extractArtifacts, artifactText, artifactKind } from './artifacts.js';
+
+// Names learned from message authors, exports and Slack lookups
+const userNames = new Map();
+const channelNames = new Map();
+
+/**
+ * Remember a user's display name
+ * @param {string} userId - User ID
+ * @param {string} name - Display name (ignored if empty or equal to the ID)
+ */
+export function rememberUser(userId, name) {
+  if (userId && name && name !== userId) userNames.set(userId, name);
+}
+
+/**
+ * Remember a channel's name
+ * @param {string} channelId - Channel ID
+ * @param {string} name - Channel name (ignored if empty or equal to the ID)
+ */
+export function rememberChannel(channelId, name) {
+  if (channelId && name && name !== channelId) channelNames.set(channelId, name);
+}
+
+/**
+ * Learn the authors of a batch of messages (e.g. a whole export, so early mentions resolve offline)
+ * @param {Array<Object>} messages - Messages ({ user | user_id, user_name | user_real_name })
+ */
+export function rememberUsers(messages) {
+  for (const message of messages) {
+    rememberUser(message.user || message.user_id, message.user_name || message.user_real_name);
+  }
+}
+
+/**
+ * Default user lookup: the Slack API when a key is configured
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Display name
+ */
+async function lookupUser(userId) {
+  if (!hasSlackApiKey()) return null;
+  const info = await fetchUserInfo(userId);
+  return info.display_name || info.real_name || null;
+}
+
+/**
+ * Default channel lookup: the Slack API when a key is configured
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<string|null>} Channel name
+ */
+async function lookupChannel(channelId) {
+  if (!hasSlackApiKey()) return null;
+  return (await fetchChannelInfo(channelId)).name || null;
+}
+
+/**
+ * Check whether a message has anything to categorize (text, files, attachments or blocks)
+ * @param {Object} message - Slack message
+ * @returns {boolean} True if it has content
+ */
+export function hasMessageContent(message) {
+  return Boolean(message?.text?.trim())
+    || message?.files?.length > 0
+    || message?.attachments?.length > 0
+    || message?.blocks?.length > 0;
+}
+
+/**
+ * Join a message's clean text and the description of its artifacts
+ * @param {string} cleanText - Clean text
+ * @param {Array<Object>} artifacts - Artifacts
+ * @returns {string} Enriched text
+ */
+const enrichText = (cleanText, artifacts) => [cleanText, artifactText(artifacts)].filter(Boolean).join('\n');
+
+/**
+ * Enriched text of a message using only the names already known (no lookups)
+ * For messages that weren't preprocessed, e.g. recent channel messages from the Slack API
+ * @param {Object} message - Slack message ({ text, files, attachments, blocks })
+ * @returns {string} Clean text plus artifact descriptions
+ */
+export function describeMessage(message) {
+  const { text } = parseMrkdwn(message.text, {
+    userName: id => userNames.get(id),
+    channelName: id => channelNames.get(id),
+  });
+  return enrichText(text, extractArtifacts(message));
+}
+
+/**
+ * Preprocess a message: resolve unknown mentions, then parse its mrkdwn and artifacts
+ * Already preprocessed messages are returned as they are
+ * @param {Object} message - Message object
+ * @param {Object} options - Options
+ * @param {Function} options.resolveUser - async (userId) → name or null (default: Slack users.info when SLACK_API_KEY is set)
+ * @param {Function} options.resolveChannel - async (channelId) → name or null (default: Slack conversations.info when SLACK_API_KEY is set)
+ * @returns {Promise<Object>} Message with clean_text, entities, artifacts and enriched_text
+ */
+export async function preprocessMessage(message, options = {}) {
+  if (message.clean_text !== undefined) return message;
+  const { resolveUser = lookupUser, resolveChannel = lookupChannel } = options;
+
+  rememberUser(message.user, message.user_name || message.user_real_name);
+
+  const { users, channels } = mentionedIds(message.text);
+  await Promise.all([
+    ...users.filter(id => !userNames.has(id)).map(async id => rememberUser(id, await resolveUser(id))),
+    ...channels.filter(id => !channelNames.has(id)).map(async id => rememberChannel(id, await resolveChannel(id))),
+  ]);
+
+  const { text, entities } = parseMrkdwn(message.text, {
+    userName: id => userNames.get(id),
+    channelName: id => channelNames.get(id),
+  });
+  const artifacts = extractArtifacts(message);
+  return { ...message, clean_text: text, entities, artifacts, enriched_text: enrichText(text, artifacts) };
+}
+
+/**
+ * Compact entity summary for prompts and tool results
+ * @param {Object} entities - Entities from parseMrkdwn
+ * @returns {Object} { mentions, channels, links, broadcasts } - empty lists omitted
+ */
+export function summarizeEntities(entities) {
+  if (!entities) return {};
+  const summary = {
+    mentions: entities.users.map(u => u.name),
+    channels: entities.channels.map(c => c.name),
+    links: entities.links.map(({ label, domain, service, ref }) => ({ label, domain, service, ref })),
+    broadcasts: entities.broadcasts,
+  };
+  return Object.fromEntries(Object.entries(summary).filter(([, list]) => list.length > 0));
+}
+
+/**
+ * Compact artifact summary for tool results
+ * @param {Array<Object>} artifacts - Artifacts from extractArtifacts
+ * @returns {Array<Object>} [{ kind, label, title }]
+ */
+export function summarizeArtifacts(artifacts) {
+  return (artifacts || []).map(artifact => ({
+    kind: artifact.kind,
+    label: artifactKind(artifact),
+    title: artifact.title || artifact.description || null,
+  }));
+}
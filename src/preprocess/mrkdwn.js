@@ -0,0 +1,150 @@
+/**
+ * Slack mrkdwn parsing
+ * Turns message markup into plain text and the entities it references:
+ *   <@U059AC59LLF>                      → @Manu            (users)
+ *   <#C0594LCK43H|general>              → #general         (channels)
+ *   <https://www.loom.com/share/...|this recording> → this recording (Loom)   (links)
+ *   <!here>                             → @here            (broadcasts)
+ * plus *bold*, _italic_, ~strike~, `code`, ``` blocks, > quotes and &amp; entities
+ * Emoji shortcodes (:thumbsup:) are kept: a message can be nothing but emoji
+ */
+import { LINK_SERVICES } from '../config/constants.js';
+
+// Longest keys first, so "atlassian.net/wiki" wins over "atlassian.net"
+const SERVICE_RULES = Object.entries(LINK_SERVICES)
+  .map(([key, service]) => {
+    const [domain, ...path] = key.split('/');
+    return { domain, path: path.length > 0 ? `/${path.join('/')}` : null, service, length: key.length };
+  })
+  .sort((a, b) => b.length - a.length);
+
+const ANGLE_TOKEN = /<([^<>\n]+)>/g;
+const CODE_BLOCK = /```([\s\S]*?)```/g;
+const INLINE_CODE = /`([^`\n]+)`/g;
+// A marker pair only counts as formatting at word edges, so snake_case and 2*3*4 survive
+const FORMATTING = /(^|[\s(["'])([*_~])(?=\S)([^\n]*?\S)\2(?=$|[\s)\]"'.,!?:;])/gm;
+const QUOTE = /^&gt;\s?/gm;
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>' };
+
+/**
+ * Service and short reference of a link
+ * @param {string} url - URL
+ * @returns {Object|null} { domain, service, ref } - ref is e.g. "PROJ-123" (Jira) or "acme/app#42" (GitHub); null for non-web URLs
+ */
+export function describeLink(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  const domain = parsed.hostname.replace(/^www\./, '');
+  const rule = SERVICE_RULES.find(r => (
+    (domain === r.domain || domain.endsWith(`.${r.domain}`))
+    && (!r.path || parsed.pathname.startsWith(r.path))
+  ));
+  const service = rule?.service || null;
+
+  let ref = null;
+  if (service === 'Jira') {
+    ref = parsed.pathname.match(/\/browse\/([A-Z][A-Z0-9]+-\d+)/)?.[1] || parsed.searchParams.get('selectedIssue') || null;
+  } else if (service === 'GitHub' || service === 'GitLab') {
+    const match = parsed.pathname.match(/^\/([^/]+)\/([^/]+)\/(?:-\/)?(?:pull|issues|merge_requests)\/(\d+)/);
+    if (match) ref = `${match[1]}/${match[2]}#${match[3]}`;
+  }
+
+  return { domain, service, ref };
+}
+
+/**
+ * User and channel IDs mentioned in a text (to resolve names before parsing)
+ * @param {string} text - Raw message text
+ * @returns {Object} { users: [id], channels: [id] } - only mentions without an inline label
+ */
+export function mentionedIds(text) {
+  const users = new Set();
+  const channels = new Set();
+  for (const [, body] of (text || '').matchAll(ANGLE_TOKEN)) {
+    if (body.includes('|')) continue;
+    if (body.startsWith('@')) users.add(body.slice(1));
+    else if (body.startsWith('#')) channels.add(body.slice(1));
+  }
+  return { users: [...users], channels: [...channels] };
+}
+
+/**
+ * Convert Slack mrkdwn to plain text and collect the entities it references
+ * @param {string} text - Raw message text
+ * @param {Object} lookups - Name lookups for mentions without an inline label
+ * @param {Function} lookups.userName - (userId) → name or null (default: none; the ID is kept)
+ * @param {Function} lookups.channelName - (channelId) → name or null (default: none; the ID is kept)
+ * @returns {Object} { text, entities: { users: [{ id, name }], channels: [{ id, name }], links: [{ url, label, domain, service, ref }], broadcasts: [name] } }
+ */
+export function parseMrkdwn(text, lookups = {}) {
+  const { userName = () => null, channelName = () => null } = lookups;
+  const users = new Map();
+  const channels = new Map();
+  const links = new Map();
+  const broadcasts = new Set();
+
+  const replaceToken = (_match, body) => {
+    const [target, ...labelParts] = body.split('|');
+    const label = labelParts.join('|').trim() || null;
+
+    if (target.startsWith('@')) {
+      const id = target.slice(1);
+      const name = label?.replace(/^@/, '') || userName(id) || id;
+      users.set(id, { id, name });
+      return `@${name}`;
+    }
+    if (target.startsWith('#')) {
+      const id = target.slice(1);
+      const name = label?.replace(/^#/, '') || channelName(id) || id;
+      channels.set(id, { id, name });
+      return `#${name}`;
+    }
+    if (target.startsWith('!')) {
+      // <!here>, <!channel>, <!subteam^S123|@team>, <!date^1392734382^{date}|Feb 18, 2014>
+      const [command] = target.slice(1).split('^');
+      if (['here', 'channel', 'everyone'].includes(command)) {
+        broadcasts.add(command);
+        return `@${command}`;
+      }
+      return label || '';
+    }
+    if (target.startsWith('mailto:')) {
+      return label || target.slice('mailto:'.length);
+    }
+
+    const link = describeLink(target);
+    if (!link) return label || target;
+    if (!links.has(target)) links.set(target, { url: target, label, ...link });
+
+    const source = [link.service || link.domain, link.ref].filter(Boolean).join(' ');
+    return label && label !== target ? `${label} (${source})` : source;
+  };
+
+  const clean = (text || '')
+    .replace(ANGLE_TOKEN, replaceToken)
+    .replace(CODE_BLOCK, (_match, code) => code.trim())
+    .replace(INLINE_CODE, '$1')
+    .replace(FORMATTING, '$1$3')
+    .replace(QUOTE, '')
+    .replace(/&(amp|lt|gt);/g, entity => HTML_ENTITIES[entity])
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    text: clean,
+    entities: {
+      users: [...users.values()],
+      channels: [...channels.values()],
+      links: [...links.values()],
+      broadcasts: [...broadcasts],
+    },
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Job handlers that feed queued messages into the categorizer
+ */
+import { categorizeMessage, handleMessageChanged, handleMessageDeleted } from '../categorizer.js';
+import { fetchChannelInfo, fetchUserInfo } from '../services/slack.js';
+import { toCategorizerMessage, isMessageEdit, isMessageDeletion } from '../server/messages.js';
+
+export const JOB_TYPES = {
+  CATEGORIZE_MESSAGE: 'categorize_message',
+  SLACK_EVENT: 'slack_event',
+};
+
+/**
+ * Ordering key for a job: messages from one channel are categorized in order
+ * @param {string} type - Job type
+ * @param {Object} payload - Job payload
+ * @returns {string|null} Key, null if the job can run in any order
+ */
+export function jobOrderingKey(type, payload) {
+  const channelId = type === JOB_TYPES.SLACK_EVENT ? payload.event?.channel : payload.channelInfo?.id;
+  return channelId ? `channel:${channelId}` : null;
+}
+
+/**
+ * Build job handlers
+ * @param {Object} options - Options
+ * @param {Function} options.categorize - Categorize function (default: categorizeMessage)
+ * @param {Function} options.onMessageChanged - Edit handler (default: handleMessageChanged)
+ * @param {Function} options.onMessageDeleted - Delete handler (default: handleMessageDeleted)
+ * @param {Function} options.resolveChannel - Channel lookup (default: fetchChannelInfo)
+ * @param {Function} options.resolveUser - User lookup (default: fetchUserInfo)
+ * @param {Object} options.categorizeOptions - Options passed to categorize
+ * @returns {Object} Map of job type to handler
+ */
+export function createJobHandlers(options = {}) {
+  const {
+    categorize = categorizeMessage,
+    onMessageChanged = handleMessageChanged,
+    onMessageDeleted = handleMessageDeleted,
+    resolveChannel = fetchChannelInfo,
+    resolveUser = fetchUserInfo,
+    categorizeOptions = {},
+  } = options;
+
+  /**
+   * Summarize a categorization result for the job log
+   * @param {Object|null} result - categorizeMessage result
+   * @returns {Object} Summary
+   */
+  const summarize = (result) => result
+    ? { messageId: result.messageId, topicId: result.topicId, topicName: result.topicName, decision: result.decision }
+    : { skipped: true };
+
+  return {
+    /**
+     * A message that already has its channel info (simulator, backfills)
+     */
+    async [JOB_TYPES.CATEGORIZE_MESSAGE]({ message, channelInfo, options = {} }) {
+      return summarize(await categorize(message, channelInfo, { ...categorizeOptions, ...options }));
+    },
+
+    /**
+     * A raw Slack Events API message event (new, edited or deleted message)
+     */
+    async [JOB_TYPES.SLACK_EVENT]({ event, eventId }) {
+      if (isMessageDeletion(event)) {
+        console.log(`[queue] Deleting message ${event.deleted_ts} (event ${eventId})`);
+        const deleted = await onMessageDeleted(event.channel, event.deleted_ts, categorizeOptions);
+        return deleted ? { ...deleted, decision: 'delete' } : { skipped: true };
+      }
+
+      const slackMessage = isMessageEdit(event) ? event.message : event;
+      const [channelInfo, userInfo] = await Promise.all([
+        resolveChannel(event.channel),
+        slackMessage.user ? resolveUser(slackMessage.user) : Promise.resolve(null),
+      ]);
+      const message = toCategorizerMessage(slackMessage, userInfo);
+
+      if (isMessageEdit(event)) {
+        console.log(`[queue] Applying edit of ${message.ts} (event ${eventId}) from #${channelInfo.name}`);
+        const result = await onMessageChanged(message, channelInfo, categorizeOptions);
+        return result ? { ...summarize(result), edit: result.edit } : { skipped: true };
+      }
+
+      console.log(`[queue] Categorizing event ${eventId} from #${channelInfo.name}`);
+      return summarize(await categorize(message, channelInfo, categorizeOptions));
+    },
+  };
+}
@@ -0,0 +1,6 @@
+/**
+ * Job queue barrel export
+ */
+export { openJobQueue, getBackoffDelay, JOB_STATUS, DEFAULT_QUEUE_FILE } from './job-queue.js';
+export { createQueueWorker } from './worker.js';
+export { createJobHandlers, jobOrderingKey, JOB_TYPES } from './handlers.js';
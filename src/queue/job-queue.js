@@ -0,0 +1,253 @@
+/**
+ * Durable job queue with retries, exponential backoff and a dead-letter bucket
+ */
+import crypto from 'crypto';
+import path from 'path';
+import {
+  DATA_DIR,
+  QUEUE_MAX_ATTEMPTS,
+  QUEUE_BASE_DELAY_MS,
+  QUEUE_MAX_DELAY_MS,
+} from '../config/constants.js';
+import { createJobStore } from './job-store.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  DONE: 'done',
+  DEAD: 'dead',
+};
+
+export const DEFAULT_QUEUE_FILE = path.join(DATA_DIR, 'queue', 'jobs.jsonl');
+
+/**
+ * Calculate the retry delay for an attempt
+ * delay = base * 2^(attempt - 1), capped at maxDelayMs
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {number} baseDelayMs - Base delay
+ * @param {number} maxDelayMs - Maximum delay
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempt, baseDelayMs = QUEUE_BASE_DELAY_MS, maxDelayMs = QUEUE_MAX_DELAY_MS) {
+  return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+}
+
+/**
+ * Open a durable job queue
+ * @param {Object} options - Options
+ * @param {string} options.filePath - JSONL log path (default: .data/queue/jobs.jsonl)
+ * @param {number} options.maxAttempts - Attempts before a job is dead-lettered
+ * @param {number} options.baseDelayMs - Base backoff delay
+ * @param {number} options.maxDelayMs - Maximum backoff delay
+ * @returns {Promise<Object>} Job queue
+ */
+export async function openJobQueue(options = {}) {
+  const {
+    filePath = DEFAULT_QUEUE_FILE,
+    maxAttempts = QUEUE_MAX_ATTEMPTS,
+    baseDelayMs = QUEUE_BASE_DELAY_MS,
+    maxDelayMs = QUEUE_MAX_DELAY_MS,
+  } = options;
+
+  const store = createJobStore(filePath);
+  const { jobs, lineCount } = await store.load();
+
+  // Jobs that were running when the process died go back to pending
+  for (const job of jobs.values()) {
+    if (job.status === JOB_STATUS.PROCESSING) {
+      job.status = JOB_STATUS.PENDING;
+      job.updatedAt = new Date().toISOString();
+      await store.append(job);
+    }
+  }
+
+  // Compact when the log is mostly superseded snapshots
+  if (lineCount > jobs.size * 4 && lineCount > 100) {
+    await store.rewrite([...jobs.values()]);
+  }
+
+  /**
+   * Pending jobs that may run now or once due
+   * A keyed job waits until every earlier job with its key has finished
+   * @returns {Array<Object>} Jobs in enqueue order
+   */
+  const runnable = () => {
+    const blockedKeys = new Set();
+    const result = [];
+    for (const job of jobs.values()) {
+      if (job.status !== JOB_STATUS.PENDING && job.status !== JOB_STATUS.PROCESSING) continue;
+      if (job.key) {
+        if (blockedKeys.has(job.key)) continue;
+        blockedKeys.add(job.key);
+      }
+      if (job.status === JOB_STATUS.PENDING) result.push(job);
+    }
+    return result;
+  };
+
+  const save = (job) => {
+    job.updatedAt = new Date().toISOString();
+    jobs.set(job.id, job);
+    return store.append(job);
+  };
+
+  return {
+    filePath,
+
+    /**
+     * Add a job to the queue
+     * @param {string} type - Job type (used to pick a handler)
+     * @param {Object} payload - Job payload
+     * @param {Object} options - Options
+     * @param {string} options.key - Ordering key: jobs sharing a key run one at a time, in enqueue order
+     * @returns {Promise<Object>} Created job
+     */
+    async enqueue(type, payload, options = {}) {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        key: options.key || null,
+        status: JOB_STATUS.PENDING,
+        attempts: 0,
+        maxAttempts,
+        nextRunAt: now,
+        lastError: null,
+        result: null,
+        payload,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await save(job);
+      return job;
+    },
+
+    /**
+     * Claim the next job that is due
+     * @param {number} now - Current time in ms
+     * @returns {Promise<Object|null>} Claimed job
+     */
+    async claimNext(now = Date.now()) {
+      let next = null;
+      for (const job of runnable()) {
+        if (Date.parse(job.nextRunAt) > now) continue;
+        if (!next || Date.parse(job.nextRunAt) < Date.parse(next.nextRunAt)) next = job;
+      }
+      if (!next) return null;
+
+      next.status = JOB_STATUS.PROCESSING;
+      next.attempts++;
+      await save(next);
+      return next;
+    },
+
+    /**
+     * Mark a job as done
+     * @param {string} id - Job ID
+     * @param {Object} result - Job result summary
+     * @returns {Promise<void>}
+     */
+    async complete(id, result = null) {
+      const job = jobs.get(id);
+      job.status = JOB_STATUS.DONE;
+      job.result = result;
+      job.lastError = null;
+      await save(job);
+    },
+
+    /**
+     * Record a failed attempt; retries with backoff or dead-letters the job
+     * @param {string} id - Job ID
+     * @param {Error} error - Failure
+     * @param {number} now - Current time in ms
+     * @returns {Promise<Object>} Updated job
+     */
+    async fail(id, error, now = Date.now()) {
+      const job = jobs.get(id);
+      job.lastError = { message: error.message, at: new Date(now).toISOString(), attempt: job.attempts };
+
+      if (job.attempts >= job.maxAttempts) {
+        job.status = JOB_STATUS.DEAD;
+      } else {
+        job.status = JOB_STATUS.PENDING;
+        job.nextRunAt = new Date(now + getBackoffDelay(job.attempts, baseDelayMs, maxDelayMs)).toISOString();
+      }
+      await save(job);
+      return job;
+    },
+
+    /**
+     * Move a dead job back to pending with a fresh attempt budget
+     * @param {string} id - Job ID
+     * @returns {Promise<Object>} Updated job
+     */
+    async replay(id) {
+      const job = jobs.get(id);
+      if (!job) throw new Error(`Job not found: ${id}`);
+      if (job.status !== JOB_STATUS.DEAD) {
+        throw new Error(`Job ${id} is ${job.status}, only dead jobs can be replayed`);
+      }
+      job.status = JOB_STATUS.PENDING;
+      job.attempts = 0;
+      job.nextRunAt = new Date().toISOString();
+      await save(job);
+      return job;
+    },
+
+    /**
+     * Get a job by ID
+     * @param {string} id - Job ID
+     * @returns {Object|null} Job
+     */
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    /**
+     * List jobs, optionally filtered by status
+     * @param {string} status - Job status filter
+     * @returns {Array<Object>} Jobs sorted by creation time
+     */
+    list(status = null) {
+      return [...jobs.values()]
+        .filter(job => !status || job.status === status)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /**
+     * Count jobs per status
+     * @returns {Object} Counts keyed by status
+     */
+    stats() {
+      const counts = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+      for (const job of jobs.values()) counts[job.status]++;
+      return counts;
+    },
+
+    /**
+     * Time until the next runnable pending job is due
+     * @param {number} now - Current time in ms
+     * @returns {number|null} Delay in ms (0 if due), null if nothing is pending
+     *   or every pending job waits on a running job with the same key
+     */
+    nextDueIn(now = Date.now()) {
+      let earliest = null;
+      for (const job of runnable()) {
+        const runAt = Date.parse(job.nextRunAt);
+        if (earliest === null || runAt < earliest) earliest = runAt;
+      }
+      return earliest === null ? null : Math.max(earliest - now, 0);
+    },
+
+    /**
+     * Drop finished jobs from the log
+     * @returns {Promise<number>} Number of jobs removed
+     */
+    async purgeDone() {
+      const done = this.list(JOB_STATUS.DONE);
+      done.forEach(job => jobs.delete(job.id));
+      await store.rewrite([...jobs.values()]);
+      return done.length;
+    },
+  };
+}
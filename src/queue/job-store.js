@@ -0,0 +1,82 @@
+/**
+ * Append-only JSONL job store
+ * Every change appends a full job snapshot; the latest snapshot per id wins on load
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a JSONL-backed job store
+ * @param {string} filePath - Path to the JSONL log
+ * @returns {Object} Store with load(), append() and rewrite()
+ */
+export function createJobStore(filePath) {
+  let writeChain = Promise.resolve();
+
+  // Serialize writes so snapshots are never interleaved
+  const enqueueWrite = (fn) => {
+    writeChain = writeChain.then(fn, fn);
+    return writeChain;
+  };
+
+  return {
+    filePath,
+
+    /**
+     * Load the latest snapshot of every job
+     * @returns {Promise<Object>} { jobs: Map<id, job>, lineCount }
+     */
+    async load() {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      let data = '';
+      try {
+        data = await fs.readFile(filePath, 'utf-8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const jobs = new Map();
+      let lineCount = 0;
+      for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        lineCount++;
+        try {
+          const job = JSON.parse(line);
+          jobs.set(job.id, job);
+        } catch {
+          // A torn final line from a crash mid-write - skip it
+        }
+      }
+
+      // Terminate a torn final line, or the next append would be glued onto it and lost too
+      if (data && !data.endsWith('\n')) {
+        await enqueueWrite(() => fs.appendFile(filePath, '\n'));
+      }
+
+      return { jobs, lineCount };
+    },
+
+    /**
+     * Append a job snapshot
+     * @param {Object} job - Job object
+     * @returns {Promise<void>}
+     */
+    append(job) {
+      return enqueueWrite(() => fs.appendFile(filePath, `${JSON.stringify(job)}\n`));
+    },
+
+    /**
+     * Atomically rewrite the log with the given jobs
+     * @param {Array<Object>} jobs - Jobs to keep
+     * @returns {Promise<void>}
+     */
+    rewrite(jobs) {
+      return enqueueWrite(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, jobs.map(job => `${JSON.stringify(job)}\n`).join(''));
+        await fs.rename(tmpPath, filePath);
+      });
+    },
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Job queue worker
+ * Pulls due jobs, runs the handler for their type and records the outcome.
+ * Up to `concurrency` jobs run at once; the queue keeps jobs that share an
+ * ordering key (one channel) sequential
+ */
+import { QUEUE_CONCURRENCY } from '../config/constants.js';
+
+/**
+ * Sleep helper
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a worker for a job queue
+ * @param {Object} queue - Queue from openJobQueue()
+ * @param {Object} handlers - Map of job type to async handler(payload, job)
+ * @param {Object} options - Options
+ * @param {number} options.concurrency - Max jobs in flight (default: QUEUE_CONCURRENCY)
+ * @param {number} options.pollIntervalMs - Idle poll interval for start() (default: 1000)
+ * @param {boolean} options.verbose - Log job outcomes (default: true)
+ * @returns {Object} Worker with runOnce(), runUntilEmpty(), start() and stop()
+ */
+export function createQueueWorker(queue, handlers, options = {}) {
+  const { concurrency = QUEUE_CONCURRENCY, pollIntervalMs = 1000, verbose = true } = options;
+  // Zero or NaN would never claim a job, so runUntilEmpty() would wait forever
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid queue concurrency: ${concurrency} (QUEUE_CONCURRENCY must be a whole number of at least 1)`);
+  }
+  const inFlight = new Set();
+  let running = false;
+  let loop = null;
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - Claimed job
+   * @returns {Promise<Object>} Job (final state)
+   */
+  async function execute(job) {
+    const handler = handlers[job.type];
+    try {
+      if (!handler) throw new Error(`No handler for job type: ${job.type}`);
+      const result = await handler(job.payload, job);
+      await queue.complete(job.id, result ?? null);
+    } catch (error) {
+      const updated = await queue.fail(job.id, error);
+      if (verbose) {
+        const outcome = updated.status === 'dead'
+          ? 'moved to dead-letter'
+          : `retry at ${updated.nextRunAt}`;
+        console.error(`❌ Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}): ${error.message} → ${outcome}`);
+      }
+    }
+
+    return queue.get(job.id);
+  }
+
+  /**
+   * Claim due jobs until the concurrency limit is reached
+   * @param {Function} onDone - Called with each job's final state
+   * @returns {Promise<number>} Number of jobs started
+   */
+  async function fill(onDone) {
+    let started = 0;
+    while (inFlight.size < concurrency) {
+      const job = await queue.claimNext();
+      if (!job) break;
+
+      const task = execute(job)
+        .then(onDone)
+        .catch(error => console.error(`❌ Worker error on job ${job.id}: ${error.message}`))
+        .finally(() => inFlight.delete(task));
+      inFlight.add(task);
+      started++;
+    }
+    return started;
+  }
+
+  /**
+   * Wait for a running job to finish or the next job to become due
+   * @returns {Promise<boolean>} false when there is nothing left to wait for
+   */
+  async function waitForWork() {
+    const dueIn = queue.nextDueIn();
+    if (inFlight.size === 0) {
+      if (dueIn === null) return false;
+      await sleep(dueIn);
+      return true;
+    }
+
+    await Promise.race([...inFlight, sleep(Math.min(dueIn ?? pollIntervalMs, pollIntervalMs))]);
+    return true;
+  }
+
+  /**
+   * Run a single due job
+   * @returns {Promise<Object|null>} Processed job, null if nothing was due
+   */
+  async function runOnce() {
+    const job = await queue.claimNext();
+    return job ? execute(job) : null;
+  }
+
+  /**
+   * Process jobs until nothing is pending, waiting out retry backoff
+   * @returns {Promise<Array<Object>>} Processed jobs (final state)
+   */
+  async function runUntilEmpty() {
+    const processed = new Map();
+    const record = job => processed.set(job.id, job);
+
+    while (true) {
+      if (await fill(record) > 0) continue;
+      if (!await waitForWork()) break;
+    }
+
+    return [...processed.values()];
+  }
+
+  return {
+    runOnce,
+    runUntilEmpty,
+
+    /**
+     * Process jobs continuously in the background
+     */
+    start() {
+      if (running) return;
+      running = true;
+      loop = (async () => {
+        while (running) {
+          const started = await fill(() => {}).catch((error) => {
+            console.error(`❌ Worker error: ${error.message}`);
+            return 0;
+          });
+          if (started > 0) continue;
+          if (inFlight.size > 0) {
+            await Promise.race([...inFlight, sleep(pollIntervalMs)]);
+          } else {
+            await sleep(Math.min(queue.nextDueIn() ?? pollIntervalMs, pollIntervalMs));
+          }
+        }
+        await Promise.all(inFlight);
+      })();
+    },
+
+    /**
+     * Stop claiming jobs and wait for running ones to finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      running = false;
+      await loop;
+    },
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Topic candidate retrieval
+ * Runs every topic retriever in parallel and fuses them with RRF - the
+ * retrieval half of find_topics, shared with threshold calibration.
+ * The BM25 leg also runs the glossary expansions of the query ("CM" → "campaign monitor").
+ */
+import { hybridSearchTopics } from './hybrid.js';
+import { semanticSearchTopics } from './semantic.js';
+import { keywordSearchTopics } from './keyword.js';
+import { centroidSearchTopics } from './centroid.js';
+import { reciprocalRankFusion } from './rrf.js';
+import { expandQuery } from '../config/glossary.js';
+
+/**
+ * BM25 search over the query and its glossary expansions, merged into one ranking
+ * Interleaves the result lists rank by rank; a topic keeps its best rank
+ * @param {Array<string>} queries - Original query first, then expansions
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array>} Results with bm25Rank re-assigned
+ */
+async function expandedKeywordSearch(queries, limit) {
+  const resultSets = await Promise.all(queries.map(q => keywordSearchTopics(q, limit)));
+  const merged = new Map();
+
+  resultSets
+    .flat()
+    .sort((a, b) => a.bm25Rank - b.bm25Rank)
+    .forEach(topic => {
+      const id = topic._additional?.id;
+      if (id && !merged.has(id)) merged.set(id, topic);
+    });
+
+  return [...merged.values()]
+    .slice(0, limit)
+    .map((topic, index) => ({ ...topic, bm25Rank: index + 1 }));
+}
+
+/**
+ * Retrieve fused topic candidates for a query
+ * @param {string} query - Search query
+ * @param {Object} options - Options
+ * @param {Object} options.searchConfig - Search config (hybridAlpha)
+ * @param {Object} options.embedder - Provider used to embed the centroid query (default: OpenAI with EMBEDDING_MODEL)
+ * @param {number} options.limit - Results per retriever (default: 15)
+ * @param {Object} options.glossary - Glossary for query expansion (default: getGlossary())
+ * @returns {Promise<Object>} { fused, expandedQueries, counts: { hybrid, vector, bm25, centroid } }
+ */
+export async function retrieveTopicCandidates(query, options = {}) {
+  const { searchConfig = {}, embedder = null, limit = 15, glossary } = options;
+  const expandedQueries = expandQuery(query, glossary);
+
+  const [hybridResults, vectorResults, bm25Results, centroidResults] = await Promise.all([
+    hybridSearchTopics(query, limit, searchConfig.hybridAlpha !== undefined ? { alpha: searchConfig.hybridAlpha } : {}),
+    semanticSearchTopics(query, limit),
+    expandedQueries.length > 0
+      ? expandedKeywordSearch([query, ...expandedQueries], limit)
+      : keywordSearchTopics(query, limit),
+    centroidSearchTopics(query, limit, embedder ? { embedder } : {}),
+  ]);
+
+  return {
+    fused: reciprocalRankFusion([hybridResults, vectorResults, bm25Results, centroidResults]),
+    expandedQueries,
+    counts: {
+      hybrid: hybridResults.length,
+      vector: vectorResults.length,
+      bm25: bm25Results.length,
+      centroid: centroidResults.length,
+    },
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Centroid search
+ * Matches a query against the mean vector of each topic's messages, i.e. what
+ * the topic's messages actually say rather than how the topic is described
+ */
+import { client } from '../../weaviate-setup.js';
+import { classNames } from '../config/namespace.js';
+import { TOPIC_VECTORS, EMBEDDING_MODEL, EMBEDDING_DIMENSIONS } from '../config/constants.js';
+import { createOpenAIProvider } from '../llm/index.js';
+
+let weaviateEmbedder = null;
+
+/**
+ * Embedder using the same OpenAI model and key as the Weaviate vectorizer,
+ * whatever LLM provider the categorizer chats with
+ * @returns {Object} Provider with embed(texts)
+ */
+function getWeaviateEmbedder() {
+  if (!weaviateEmbedder) {
+    weaviateEmbedder = createOpenAIProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      embeddingModel: EMBEDDING_MODEL,
+      name: 'weaviate-embeddings',
+    });
+  }
+  return weaviateEmbedder;
+}
+
+/**
+ * Perform vector search on topic centroids
+ * The centroid vector has no vectorizer, so the query is embedded with
+ * EMBEDDING_MODEL, the model Weaviate embeds the messages with
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum results
+ * @param {Object} options - Options
+ * @param {Object} options.embedder - Provider used to embed the query (default: OpenAI with EMBEDDING_MODEL)
+ * @returns {Promise<Array>} Search results with ranks (topics without messages never match)
+ */
+export async function centroidSearchTopics(query, limit = 10, options = {}) {
+  const { embedder = getWeaviateEmbedder() } = options;
+  console.log(`[centroidSearch] Query: "${query}", Limit: ${limit}`);
+  try {
+    const [vector] = await embedder.embed([query]);
+    // A vector from another model can't be compared with the centroids
+    if (vector?.length !== EMBEDDING_DIMENSIONS) {
+      console.warn(`[centroidSearch] ⚠️  Skipped: query vector has ${vector?.length ?? 0} dimensions, centroids have ${EMBEDDING_DIMENSIONS} (${EMBEDDING_MODEL})`);
+      return [];
+    }
+    const topicClass = classNames().topic;
+    const result = await client.graphql
+      .get()
+      .withClassName(topicClass)
+      .withFields(`
+        name
+        description
+        keywords
+        users
+        messageCount
+        lastMessageAt
+        activityScore
+        artifactKinds
+        updatedAt
+        _additional { id distance certainty }
+      `)
+      .withNearVector({ vector, targetVectors: [TOPIC_VECTORS.centroid] })
+      .withLimit(limit)
+      .do();
+
+    const topics = (result.data?.Get?.[topicClass] || []).map((topic, index) => ({
+      ...topic,
+      centroidRank: index + 1,
+      centroidScore: topic._additional?.certainty || (1 - (topic._additional?.distance || 1)),
+    }));
+
+    console.log(`[centroidSearch] Found ${topics.length} results`);
+    return topics;
+  } catch (error) {
+    console.error('Centroid search error:', error.message);
+    return [];
+  }
+}
@@ -2,35 +2,47 @@
  * Hybrid search (BM25 + Vector)
  */
 import { client } from '../../weaviate-setup.js';
+import { classNames } from '../config/namespace.js';
+import { TOPIC_VECTORS } from '../config/constants.js';
+import { getSearchConfig } from '../config/search.js';
 
 /**
  * Perform hybrid search on topics with BM25 and Vector search
  * @param {string} query - Search query
  * @param {number} limit - Maximum results
+ * @param {Object} options - Options
+ * @param {number} options.alpha - 0 = pure BM25, 1 = pure vector (default: search config hybridAlpha)
  * @returns {Promise<Array>} Search results with ranks
  */
-export async function hybridSearchTopics(query, limit = 10) {
-  console.log(`[hybridSearch] Query: "${query}", Limit: ${limit}`);
+export async function hybridSearchTopics(query, limit = 10, options = {}) {
+  const { alpha = getSearchConfig().hybridAlpha } = options;
+  console.log(`[hybridSearch] Query: "${query}", Limit: ${limit}, Alpha: ${alpha}`);
   try {
+    const topicClass = classNames().topic;
     const result = await client.graphql
       .get()
-      .withClassName('Topic')
+      .withClassName(topicClass)
       .withFields(`
         name
         description
         keywords
         users
         messageCount
+        lastMessageAt
+        activityScore
+        artifactKinds
+        updatedAt
         _additional { id score }
       `)
       .withHybrid({
         query: query,
-        alpha: 0.5, // Balance between BM25 and Vector
+        alpha, // Balance between BM25 and Vector
+        targetVectors: [TOPIC_VECTORS.description],
       })
       .withLimit(limit)
       .do();
 
-    const topics = (result.data?.Get?.Topic || []).map((topic, index) => ({
+    const topics = (result.data?.Get?.[topicClass] || []).map((topic, index) => ({
       ...topic,
       hybridRank: index + 1,
       hybridScore: topic._additional?.score || 0,
@@ -2,11 +2,18 @@
  * Search modules barrel export
  */
 export { hybridSearchTopics } from './hybrid.js';
-export { semanticSearchTopics } from './semantic.js';
+export { semanticSearchTopics, topicSimilarity } from './semantic.js';
 export { keywordSearchTopics } from './keyword.js';
+export { centroidSearchTopics } from './centroid.js';
+export { retrieveTopicCandidates } from './candidates.js';
+export { searchMessages } from './messages.js';
 export { 
   reciprocalRankFusion, 
   calculateConfidence, 
+  normalizeRrfScore,
+  weightedConfidence,
   buildMatchReasons,
+  recommendedAction,
+  CONFIDENCE_FACTORS,
   generateRecommendation 
 } from './rrf.js';
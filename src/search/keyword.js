@@ -2,6 +2,7 @@
  * Keyword (BM25) search
  */
 import { client } from '../../weaviate-setup.js';
+import { classNames } from '../config/namespace.js';
 
 /**
  * Perform keyword (BM25) search on topics
@@ -12,15 +13,20 @@ import { client } from '../../weaviate-setup.js';
 export async function keywordSearchTopics(query, limit = 10) {
   console.log(`[keywordSearch] Query: "${query}", Limit: ${limit}`);
   try {
+    const topicClass = classNames().topic;
     const result = await client.graphql
       .get()
-      .withClassName('Topic')
+      .withClassName(topicClass)
       .withFields(`
         name
         description
         keywords
         users
         messageCount
+        lastMessageAt
+        activityScore
+        artifactKinds
+        updatedAt
         _additional { id score }
       `)
       .withBm25({
@@ -30,7 +36,7 @@ export async function keywordSearchTopics(query, limit = 10) {
       .withLimit(limit)
       .do();
 
-    const topics = (result.data?.Get?.Topic || []).map((topic, index) => ({
+    const topics = (result.data?.Get?.[topicClass] || []).map((topic, index) => ({
       ...topic,
       bm25Rank: index + 1,
       bm25Score: topic._additional?.score || 0,
@@ -0,0 +1,138 @@
+/**
+ * Message search (hybrid BM25 + Vector over SlackMessage)
+ */
+import { client } from '../../weaviate-setup.js';
+import { classNames } from '../config/namespace.js';
+import { slackTsToIso } from '../utils/text.js';
+
+/**
+ * Normalize a date filter value
+ * @param {Date|string|number} value - Date, ISO string or Slack ts
+ * @returns {string} ISO date
+ */
+function toIsoDate(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (/^\d+(\.\d+)?$/.test(String(value))) return slackTsToIso(value);
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid date filter: ${value}`);
+  return date.toISOString();
+}
+
+/**
+ * Build the where filter for a message search
+ * @param {Object} filters - Search filters (see searchMessages)
+ * @param {string} topicClass - Topic class name
+ * @returns {Object|null} Weaviate where filter, null if no filters
+ */
+function buildMessageWhere(filters, topicClass) {
+  const operands = [];
+
+  if (filters.channelId) {
+    operands.push({ path: ['channelId'], operator: 'Equal', valueText: filters.channelId });
+  }
+  if (filters.user) {
+    operands.push({ path: ['user'], operator: 'Equal', valueText: filters.user });
+  }
+  if (filters.userName) {
+    operands.push({ path: ['userName'], operator: 'Equal', valueText: filters.userName });
+  }
+  if (filters.language) {
+    operands.push({ path: ['language'], operator: 'Equal', valueText: filters.language });
+  }
+  if (filters.since) {
+    operands.push({ path: ['postedAt'], operator: 'GreaterThanEqual', valueDate: toIsoDate(filters.since) });
+  }
+  if (filters.until) {
+    operands.push({ path: ['postedAt'], operator: 'LessThan', valueDate: toIsoDate(filters.until) });
+  }
+  if (filters.topicId) {
+    operands.push({ path: ['topic', topicClass, 'id'], operator: 'Equal', valueText: filters.topicId });
+  }
+
+  if (operands.length === 0) return null;
+  return operands.length === 1 ? operands[0] : { operator: 'And', operands };
+}
+
+/**
+ * Search stored messages with hybrid search
+ * @param {string} query - Search query
+ * @param {Object} filters - Filters (all optional)
+ * @param {string} filters.channelId - Only this channel
+ * @param {string} filters.user - Only this Slack user ID
+ * @param {string} filters.userName - Only this user name
+ * @param {string} filters.language - Only messages detected as this language (fa, en, mixed)
+ * @param {Date|string} filters.since - Posted at or after (Date, ISO string or Slack ts)
+ * @param {Date|string} filters.until - Posted before (Date, ISO string or Slack ts)
+ * @param {string} filters.topicId - Only messages of this topic
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum results (default: 10)
+ * @param {number} options.alpha - 0 = pure BM25, 1 = pure vector (default: 0.5)
+ * @param {Array<string>} options.excludeIds - Message IDs to leave out (e.g. the message itself)
+ * @returns {Promise<Array>} Messages ({ id, text, cleanText, artifactText, userName, channelName, timestamp, topicId, topicName, score, rank })
+ */
+export async function searchMessages(query, filters = {}, options = {}) {
+  const { limit = 10, alpha = 0.5, excludeIds = [] } = options;
+  console.log(`[searchMessages] Query: "${query}", Filters: ${JSON.stringify(filters)}, Limit: ${limit}`);
+  const { topic: topicClass, message: messageClass } = classNames();
+  const where = buildMessageWhere(filters, topicClass);
+
+  try {
+    let request = client.graphql
+      .get()
+      .withClassName(messageClass)
+      .withFields(`
+        text
+        cleanText
+        artifactText
+        user
+        userName
+        timestamp
+        channelId
+        channelName
+        threadTs
+        sessionId
+        topic {
+          ... on ${topicClass} {
+            name
+            _additional { id }
+          }
+        }
+        _additional { id score }
+      `)
+      .withHybrid({ query, alpha })
+      .withLimit(limit + excludeIds.length);
+
+    if (where) request = request.withWhere(where);
+
+    const result = await request.do();
+    const excluded = new Set(excludeIds);
+
+    const messages = (result.data?.Get?.[messageClass] || [])
+      .filter(message => !excluded.has(message._additional?.id))
+      .slice(0, limit)
+      .map((message, index) => ({
+        id: message._additional?.id,
+        text: message.text,
+        cleanText: message.cleanText || message.text,
+        artifactText: message.artifactText || '',
+        user: message.user,
+        userName: message.userName,
+        timestamp: message.timestamp,
+        channelId: message.channelId,
+        channelName: message.channelName,
+        threadTs: message.threadTs,
+        sessionId: message.sessionId,
+        topicId: message.topic?.[0]?._additional?.id || null,
+        topicName: message.topic?.[0]?.name || null,
+        score: parseFloat(message._additional?.score) || 0,
+        rank: index + 1,
+      }));
+
+    console.log(`[searchMessages] Found ${messages.length} results`);
+    return messages;
+  } catch (error) {
+    console.error('Message search error:', error.message);
+    return [];
+  }
+}
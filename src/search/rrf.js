@@ -1,8 +1,18 @@
 /**
  * Reciprocal Rank Fusion (RRF) for merging search results
  */
-import { RRF_K } from '../config/constants.js';
-import { keywordOverlap, fuzzySimilarity, normalizeText } from '../utils/index.js';
+import { RRF_K, ACTIVITY_VOLUME_SATURATION } from '../config/constants.js';
+import { getSearchConfig } from '../config/search.js';
+import { keywordOverlap, fuzzySimilarity, normalizeText, currentActivity, formatAge } from '../utils/index.js';
+
+// Confidence factor behind each search config weight
+export const CONFIDENCE_FACTORS = {
+  rrf: 'rrfScore',
+  keywords: 'keywordOverlap',
+  name: 'nameSimilarity',
+  recency: 'recency',
+  volume: 'volume',
+};
 
 /**
  * Reciprocal Rank Fusion to merge multiple search results
@@ -23,7 +33,7 @@ export function reciprocalRankFusion(searchResults, k = RRF_K) {
       if (!id) continue;
       
       // Calculate RRF contribution
-      const rank = topic.hybridRank || topic.vectorRank || topic.bm25Rank || 999;
+      const rank = topic.hybridRank || topic.vectorRank || topic.bm25Rank || topic.centroidRank || 999;
       const rrfScore = 1 / (k + rank);
       
       // Accumulate scores
@@ -39,6 +49,10 @@ export function reciprocalRankFusion(searchResults, k = RRF_K) {
           keywords: topic.keywords || [],
           users: topic.users || [],
           messageCount: topic.messageCount || 0,
+          lastMessageAt: topic.lastMessageAt || null,
+          activityScore: topic.activityScore || 0,
+          artifactKinds: topic.artifactKinds || [],
+          updatedAt: topic.updatedAt || null,
           ranks: {},
         });
       }
@@ -48,6 +62,7 @@ export function reciprocalRankFusion(searchResults, k = RRF_K) {
       if (topic.hybridRank) data.ranks.hybrid = topic.hybridRank;
       if (topic.vectorRank) data.ranks.vector = topic.vectorRank;
       if (topic.bm25Rank) data.ranks.bm25 = topic.bm25Rank;
+      if (topic.centroidRank) data.ranks.centroid = topic.centroidRank;
     }
   }
   
@@ -63,20 +78,42 @@ export function reciprocalRankFusion(searchResults, k = RRF_K) {
   return sortedTopics;
 }
 
+/**
+ * Normalize an RRF score to a 0-1 confidence factor
+ * A high multiplier rewards strong single-source matches (e.g. pure semantic match)
+ * @param {number} rrfScore - Fused RRF score
+ * @param {number} multiplier - Search config rrfMultiplier
+ * @returns {number} Factor (0-1)
+ */
+export const normalizeRrfScore = (rrfScore, multiplier) => Math.min(rrfScore * multiplier, 1);
+
+/**
+ * Combine confidence factors with the configured weights
+ * @param {Object} factors - { rrfScore (normalized), keywordOverlap, nameSimilarity, recency, volume }
+ * @param {Object} weights - Search config weights ({ rrf, keywords, name, recency, volume })
+ * @returns {number} Confidence (0-1)
+ */
+export function weightedConfidence(factors, weights) {
+  return Object.entries(CONFIDENCE_FACTORS)
+    .reduce((sum, [weight, factor]) => sum + (factors[factor] || 0) * (weights[weight] || 0), 0);
+}
+
 /**
  * Calculate final confidence score using weighted factors
  * @param {Object} topic - Topic object with rrfScore
  * @param {string} query - Original search query
  * @param {Array<string>} messageKeywords - Extracted message keywords
+ * @param {Object} config - Search config ({ rrfMultiplier, weights, activityHalfLifeHours }) (default: getSearchConfig())
+ * @param {Date} now - Point in time recency is measured at (default: now)
  * @returns {Object} Confidence score and factors
  */
-export function calculateConfidence(topic, query, messageKeywords) {
+export function calculateConfidence(topic, query, messageKeywords, config = getSearchConfig(), now = new Date()) {
   // console.log(`[calculateConfidence] Topic: "${topic.name}"`);
   const topicKeywords = topic.keywords || [];
+  const { rrfMultiplier, weights, activityHalfLifeHours } = config;
   
   // Factor 1: RRF score (normalized to 0-1)
-  // Increased multiplier from 20 to 40 to better reward strong single-source matches (e.g. pure semantic match)
-  const rrfNormalized = Math.min(topic.rrfScore * 40, 1);
+  const rrfNormalized = normalizeRrfScore(topic.rrfScore, rrfMultiplier);
   
   // Factor 2: Keyword overlap
   const kwOverlap = keywordOverlap(messageKeywords, topicKeywords);
@@ -84,28 +121,26 @@ export function calculateConfidence(topic, query, messageKeywords) {
   // Factor 3: Name similarity
   const nameSimilarity = fuzzySimilarity(query, topic.name);
   
-  // Factor 4: Recency boost (more messages = more active)
-  const recencyBoost = Math.min((topic.messageCount || 0) / 50, 1);
+  // Factors 4 and 5: Recency (halves every half-life since the last message)
+  // and volume (recent messages, decayed the same way - old volume fades)
+  const { recency, activity } = currentActivity(topic, activityHalfLifeHours, now);
+  const volume = Math.min(activity / ACTIVITY_VOLUME_SATURATION, 1);
   
+  const factors = {
+    rrfScore: rrfNormalized,
+    keywordOverlap: kwOverlap,
+    nameSimilarity,
+    recency,
+    volume,
+  };
+
   // Weighted average
-  // Increased RRF weight (0.5) to trust semantic search more than strict keyword matching
-  const confidence = 
-    (rrfNormalized * 0.5) +
-    (kwOverlap * 0.25) +
-    (nameSimilarity * 0.15) +
-    (recencyBoost * 0.1);
+  // By default RRF weighs most, trusting semantic search more than strict keyword matching
+  const confidence = weightedConfidence(factors, weights);
   
   // console.log(`[calculateConfidence] Score for "${topic.name}": ${confidence.toFixed(3)} (RRF: ${rrfNormalized.toFixed(2)}, KW: ${kwOverlap.toFixed(2)})`);
 
-  return {
-    confidence,
-    factors: {
-      rrfScore: rrfNormalized,
-      keywordOverlap: kwOverlap,
-      nameSimilarity,
-      recencyBoost,
-    },
-  };
+  return { confidence, factors };
 }
 
 /**
@@ -113,12 +148,14 @@ export function calculateConfidence(topic, query, messageKeywords) {
  * @param {Object} factors - Confidence factors
  * @param {Object} topic - Topic object
  * @param {Array<string>} messageKeywords - Message keywords
+ * @param {Date} now - Point in time ages are measured at (default: now)
  * @returns {Array<string>} Match reasons
  */
-export function buildMatchReasons(factors, topic, messageKeywords) {
+export function buildMatchReasons(factors, topic, messageKeywords, now = new Date()) {
   const reasons = [];
   
   if (factors.rrfScore > 0.5) reasons.push('semantic_match');
+  if (topic.ranks?.centroid && topic.ranks.centroid <= 3) reasons.push('similar_to_topic_messages');
   if (factors.keywordOverlap > 0.3) {
     const overlapping = (topic.keywords || [])
       .filter(k => messageKeywords.some(mk => 
@@ -129,17 +166,32 @@ export function buildMatchReasons(factors, topic, messageKeywords) {
     }
   }
   if (factors.nameSimilarity > 0.4) reasons.push('name_similarity');
-  if (factors.recencyBoost > 0.5) reasons.push('high_activity');
+  if (factors.recency > 0.5) reasons.push(`recently_active:${formatAge(topic.lastMessageAt || topic.updatedAt, now)}_ago`);
+  if (factors.volume > 0.5) reasons.push('high_volume');
   
   return reasons.length > 0 ? reasons : ['partial_match'];
 }
 
+/**
+ * Map the best match's confidence to an action
+ * @param {number} confidence - Best match confidence
+ * @param {Object} thresholds - Search config thresholds ({ assign, review })
+ * @returns {string} 'assign' | 'review' | 'create'
+ */
+export function recommendedAction(confidence, thresholds) {
+  if (confidence >= thresholds.assign) return 'assign';
+  if (confidence >= thresholds.review) return 'review';
+  return 'create';
+}
+
 /**
  * Generate action recommendation based on matches
  * @param {Array} matches - Scored matches
+ * @param {Object} config - Search config ({ thresholds }) (default: getSearchConfig())
  * @returns {Object} Recommendation
  */
-export function generateRecommendation(matches) {
+export function generateRecommendation(matches, config = getSearchConfig()) {
+  const { thresholds } = config;
   console.log(`[generateRecommendation] Evaluating ${matches.length} matches`);
   if (matches.length === 0) {
     console.log('[generateRecommendation] No matches found -> create');
@@ -152,8 +204,9 @@ export function generateRecommendation(matches) {
 
   const bestMatch = matches[0];
   console.log(`[generateRecommendation] Best match: "${bestMatch.name}" (Confidence: ${bestMatch.confidence})`);
+  const action = recommendedAction(bestMatch.confidence, thresholds);
   
-  if (bestMatch.confidence >= 0.80) {
+  if (action === 'assign') {
     return {
       action: 'assign',
       confidence: bestMatch.confidence,
@@ -161,7 +214,7 @@ export function generateRecommendation(matches) {
       suggested_topic_name: bestMatch.name,
       reason: `High confidence match with "${bestMatch.name}"`,
     };
-  } else if (bestMatch.confidence >= 0.50) {
+  } else if (action === 'review') {
     return {
       action: 'review',
       confidence: bestMatch.confidence,
@@ -2,6 +2,8 @@
  * Semantic (Vector) search
  */
 import { client } from '../../weaviate-setup.js';
+import { classNames } from '../config/namespace.js';
+import { TOPIC_VECTORS } from '../config/constants.js';
 
 /**
  * Perform semantic (vector) search on topics
@@ -12,22 +14,27 @@ import { client } from '../../weaviate-setup.js';
 export async function semanticSearchTopics(query, limit = 10) {
   console.log(`[semanticSearch] Query: "${query}", Limit: ${limit}`);
   try {
+    const topicClass = classNames().topic;
     const result = await client.graphql
       .get()
-      .withClassName('Topic')
+      .withClassName(topicClass)
       .withFields(`
         name
         description
         keywords
         users
         messageCount
+        lastMessageAt
+        activityScore
+        artifactKinds
+        updatedAt
         _additional { id distance certainty }
       `)
-      .withNearText({ concepts: [query] })
+      .withNearText({ concepts: [query], targetVectors: [TOPIC_VECTORS.description] })
       .withLimit(limit)
       .do();
 
-    const topics = (result.data?.Get?.Topic || []).map((topic, index) => ({
+    const topics = (result.data?.Get?.[topicClass] || []).map((topic, index) => ({
       ...topic,
       vectorRank: index + 1,
       vectorScore: topic._additional?.certainty || (1 - (topic._additional?.distance || 1)),
@@ -40,3 +47,30 @@ export async function semanticSearchTopics(query, limit = 10) {
     return [];
   }
 }
+
+/**
+ * Vector similarity between a text and one topic
+ * @param {string} query - Text to compare
+ * @param {string} topicId - Topic UUID
+ * @returns {Promise<number|null>} Certainty (0-1), null if the topic wasn't found
+ */
+export async function topicSimilarity(query, topicId) {
+  try {
+    const topicClass = classNames().topic;
+    const result = await client.graphql
+      .get()
+      .withClassName(topicClass)
+      .withFields('_additional { id distance certainty }')
+      .withNearText({ concepts: [query], targetVectors: [TOPIC_VECTORS.description] })
+      .withWhere({ path: ['id'], operator: 'Equal', valueText: topicId })
+      .withLimit(1)
+      .do();
+
+    const topic = result.data?.Get?.[topicClass]?.[0];
+    if (!topic) return null;
+    return topic._additional?.certainty ?? (1 - (topic._additional?.distance ?? 1));
+  } catch (error) {
+    console.error('Topic similarity error:', error.message);
+    return null;
+  }
+}
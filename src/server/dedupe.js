@@ -0,0 +1,46 @@
+/**
+ * Event deduplication for Slack retries
+ */
+
+/**
+ * Create a deduplicator that remembers event IDs for a limited time
+ * @param {Object} options - Options
+ * @param {number} options.ttlMs - How long an event ID is remembered (default: 1 hour)
+ * @returns {Object} Deduplicator with markSeen(), forget() and size()
+ */
+export function createEventDeduper({ ttlMs = 60 * 60 * 1000 } = {}) {
+  const seen = new Map();
+
+  const prune = (now) => {
+    for (const [eventId, expiresAt] of seen) {
+      if (expiresAt > now) break; // Map keeps insertion order
+      seen.delete(eventId);
+    }
+  };
+
+  return {
+    /**
+     * Mark an event as seen
+     * @param {string} eventId - Slack event_id
+     * @returns {boolean} True if the event was already seen
+     */
+    markSeen(eventId, now = Date.now()) {
+      prune(now);
+      if (seen.has(eventId)) return true;
+      seen.set(eventId, now + ttlMs);
+      return false;
+    },
+
+    /**
+     * Forget an event so a retry is processed again
+     * @param {string} eventId - Slack event_id
+     */
+    forget(eventId) {
+      seen.delete(eventId);
+    },
+
+    size() {
+      return seen.size;
+    },
+  };
+}
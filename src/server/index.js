@@ -0,0 +1,17 @@
+/**
+ * Server modules barrel export
+ */
+export { computeSlackSignature, verifySlackSignature } from './signature.js';
+export { createEventDeduper } from './dedupe.js';
+export {
+  EVENTS_PATH,
+  createSlackEventsHandler,
+  createSlackEventsServer,
+} from './slack-events.js';
+export {
+  isProcessableMessage,
+  isMessageEdit,
+  isMessageDeletion,
+  isRelevantMessageEvent,
+  toCategorizerMessage,
+} from './messages.js';
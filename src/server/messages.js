@@ -0,0 +1,73 @@
+/**
+ * Slack message event helpers
+ */
+import { hasMessageContent } from '../preprocess/index.js';
+
+// Message subtypes that carry a regular user message
+const PROCESSABLE_SUBTYPES = new Set([undefined, 'thread_broadcast', 'file_share']);
+
+/**
+ * Check whether an event is a message we should categorize
+ * @param {Object} event - Slack event
+ * @returns {boolean} True if processable
+ */
+export function isProcessableMessage(event) {
+  return event?.type === 'message'
+    && PROCESSABLE_SUBTYPES.has(event.subtype)
+    && !event.bot_id
+    && hasMessageContent(event);
+}
+
+/**
+ * Check whether an event is an edit of a user message
+ * @param {Object} event - Slack event
+ * @returns {boolean} True if it is a message_changed event
+ */
+export function isMessageEdit(event) {
+  return event?.type === 'message'
+    && event.subtype === 'message_changed'
+    && Boolean(event.message?.ts)
+    && !event.message.bot_id;
+}
+
+/**
+ * Check whether an event is a message deletion
+ * @param {Object} event - Slack event
+ * @returns {boolean} True if it is a message_deleted event
+ */
+export function isMessageDeletion(event) {
+  return event?.type === 'message'
+    && event.subtype === 'message_deleted'
+    && Boolean(event.deleted_ts);
+}
+
+/**
+ * Check whether an event should be queued
+ * @param {Object} event - Slack event
+ * @returns {boolean} True for new, edited and deleted messages
+ */
+export function isRelevantMessageEvent(event) {
+  return isProcessableMessage(event) || isMessageEdit(event) || isMessageDeletion(event);
+}
+
+/**
+ * Convert a Slack message event to the categorizer message format
+ * @param {Object} event - Slack message event
+ * @param {Object} userInfo - User info from fetchUserInfo
+ * @returns {Object} Message object
+ */
+export function toCategorizerMessage(event, userInfo = null) {
+  return {
+    type: 'message',
+    user: event.user,
+    text: event.text,
+    ts: event.ts,
+    thread_ts: event.thread_ts,
+    edited: event.edited,
+    files: event.files,
+    attachments: event.attachments,
+    blocks: event.blocks,
+    user_name: userInfo?.display_name || userInfo?.real_name || event.user,
+    user_real_name: userInfo?.real_name || event.user,
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Slack request signature verification
+ * https://api.slack.com/authentication/verifying-requests-from-slack
+ */
+import crypto from 'crypto';
+
+export const SIGNATURE_VERSION = 'v0';
+export const MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+/**
+ * Compute the Slack signature for a request body
+ * @param {string} signingSecret - Slack app signing secret
+ * @param {string|number} timestamp - X-Slack-Request-Timestamp value
+ * @param {string} rawBody - Raw request body
+ * @returns {string} Signature in "v0=<hex>" format
+ */
+export function computeSlackSignature(signingSecret, timestamp, rawBody) {
+  const baseString = `${SIGNATURE_VERSION}:${timestamp}:${rawBody}`;
+  const hmac = crypto.createHmac('sha256', signingSecret).update(baseString).digest('hex');
+  return `${SIGNATURE_VERSION}=${hmac}`;
+}
+
+/**
+ * Verify a Slack request signature
+ * @param {Object} params - Verification parameters
+ * @param {string} params.signingSecret - Slack app signing secret
+ * @param {string} params.timestamp - X-Slack-Request-Timestamp header
+ * @param {string} params.signature - X-Slack-Signature header
+ * @param {string} params.rawBody - Raw request body
+ * @param {number} params.now - Current unix time in seconds (default: now)
+ * @returns {Object} { valid, reason }
+ */
+export function verifySlackSignature({ signingSecret, timestamp, signature, rawBody, now = Math.floor(Date.now() / 1000) }) {
+  if (!signingSecret) {
+    return { valid: false, reason: 'Signing secret not configured' };
+  }
+  if (!timestamp || !signature) {
+    return { valid: false, reason: 'Missing signature headers' };
+  }
+
+  // Reject old requests to prevent replay attacks
+  const age = Math.abs(now - parseInt(timestamp, 10));
+  if (Number.isNaN(age) || age > MAX_REQUEST_AGE_SECONDS) {
+    return { valid: false, reason: 'Request timestamp is too old' };
+  }
+
+  const expected = Buffer.from(computeSlackSignature(signingSecret, timestamp, rawBody));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true, reason: null };
+}
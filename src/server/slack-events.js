@@ -0,0 +1,160 @@
+/**
+ * Slack Events API endpoint
+ * Verifies, deduplicates and acks Slack callbacks, then queues messages for categorization
+ */
+import http from 'http';
+import { createJobHandlers, createQueueWorker, jobOrderingKey, JOB_TYPES } from '../queue/index.js';
+import { verifySlackSignature } from './signature.js';
+import { createEventDeduper } from './dedupe.js';
+import { isRelevantMessageEvent } from './messages.js';
+
+export const EVENTS_PATH = '/slack/events';
+
+/**
+ * Read the raw request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Raw body
+ */
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the request handler for Slack Events API callbacks
+ * @param {Object} options - Options
+ * @param {string} options.signingSecret - Slack app signing secret
+ * @param {Function} options.onEvent - Async, called with ({ event, eventId, teamId }) for new, edited and deleted messages
+ * @param {Object} options.deduper - Event deduplicator (default: createEventDeduper())
+ * @param {Function} options.now - Returns current unix time in seconds
+ * @returns {Function} Async (req, res) handler
+ */
+export function createSlackEventsHandler(options) {
+  const {
+    signingSecret,
+    onEvent,
+    deduper = createEventDeduper(),
+    now = () => Math.floor(Date.now() / 1000),
+  } = options;
+
+  return async function handleSlackEvent(req, res) {
+    const rawBody = await readRawBody(req);
+
+    const { valid, reason } = verifySlackSignature({
+      signingSecret,
+      timestamp: req.headers['x-slack-request-timestamp'],
+      signature: req.headers['x-slack-signature'],
+      rawBody,
+      now: now(),
+    });
+
+    if (!valid) {
+      console.warn(`[slack-events] Rejected request: ${reason}`);
+      return sendJson(res, 401, { error: 'invalid_signature' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      return sendJson(res, 400, { error: 'invalid_json' });
+    }
+
+    if (payload.type === 'url_verification') {
+      return sendJson(res, 200, { challenge: payload.challenge });
+    }
+
+    if (payload.type !== 'event_callback') {
+      return sendJson(res, 200, { ok: true, ignored: payload.type });
+    }
+
+    // Without an event_id the event can't be deduplicated (nor queued under a stable key)
+    if (typeof payload.event_id !== 'string' || payload.event_id === '') {
+      console.warn('[slack-events] Rejected event_callback without event_id');
+      return sendJson(res, 400, { error: 'missing_event_id' });
+    }
+
+    const retryNum = req.headers['x-slack-retry-num'];
+    if (deduper.markSeen(payload.event_id)) {
+      console.log(`[slack-events] Duplicate event ${payload.event_id} (retry: ${retryNum ?? 'none'})`);
+      return sendJson(res, 200, { ok: true, duplicate: true });
+    }
+
+    if (isRelevantMessageEvent(payload.event)) {
+      // Persist before acking so an accepted event is never lost
+      try {
+        await onEvent({ event: payload.event, eventId: payload.event_id, teamId: payload.team_id });
+      } catch (error) {
+        deduper.forget(payload.event_id); // Let Slack's retry through
+        throw error;
+      }
+    }
+
+    // Slack expects a response within 3 seconds - categorization happens in the worker
+    return sendJson(res, 200, { ok: true });
+  };
+}
+
+/**
+ * Create an HTTP server for Slack Events API callbacks
+ * Events are written to the durable job queue before the worker categorizes them
+ * @param {Object} options - Options
+ * @param {Object} options.queue - Job queue from openJobQueue()
+ * @param {string} options.signingSecret - Slack app signing secret
+ * @param {Object} options.handlers - Job handlers (default: createJobHandlers(options))
+ * @param {number} options.concurrency - Jobs processed in parallel (default: QUEUE_CONCURRENCY)
+ * @returns {Object} { server, worker }
+ */
+export function createSlackEventsServer(options) {
+  const {
+    queue,
+    signingSecret = process.env.SLACK_SIGNING_SECRET,
+    deduper,
+    now,
+    handlers = createJobHandlers(options),
+    concurrency,
+  } = options;
+
+  const worker = createQueueWorker(queue, handlers, { concurrency });
+
+  const handler = createSlackEventsHandler({
+    signingSecret,
+    deduper,
+    now,
+    onEvent: ({ event, eventId }) => {
+      const payload = { event, eventId };
+      return queue.enqueue(JOB_TYPES.SLACK_EVENT, payload, { key: jobOrderingKey(JOB_TYPES.SLACK_EVENT, payload) });
+    },
+  });
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/health') {
+      return sendJson(res, 200, { ok: true, jobs: queue.stats() });
+    }
+    if (req.method !== 'POST' || req.url !== EVENTS_PATH) {
+      return sendJson(res, 404, { error: 'not_found' });
+    }
+
+    handler(req, res).catch((error) => {
+      console.error(`[slack-events] Handler error: ${error.message}`);
+      if (!res.headersSent) sendJson(res, 500, { error: 'internal_error' });
+    });
+  });
+
+  return { server, worker };
+}
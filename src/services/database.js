@@ -2,9 +2,104 @@
  * Weaviate database operations
  */
 import { client } from '../../weaviate-setup.js';
-import { TOPIC_FIELDS, MESSAGE_WITH_TOPIC_FIELDS, MAX_TOPICS_LIMIT } from '../config/constants.js';
-import { buildTopicEmbeddingText } from '../utils/embedding.js';
-import { truncate } from '../utils/text.js';
+import { TOPIC_FIELDS, TOPIC_VECTORS, messageWithTopicFields, MAX_TOPICS_LIMIT, MERGE_HISTORY_FILE } from '../config/constants.js';
+import { classNames } from '../config/namespace.js';
+import { buildTopicEmbeddingText, buildMessageEmbeddingText } from '../utils/embedding.js';
+import { truncate, slackTsToIso } from '../utils/text.js';
+import { detectLanguage } from '../utils/language.js';
+import { messageObjectId, idFromBeacon } from '../utils/ids.js';
+import { appendJsonl } from '../utils/jsonl.js';
+import { createKeyedLock } from '../utils/lock.js';
+import { updateCentroid, combineCentroids } from '../utils/clustering.js';
+import { recordActivity, combineActivity } from '../utils/activity.js';
+import { artifactText, artifactKind } from '../preprocess/artifacts.js';
+import { getSearchConfig } from '../config/search.js';
+import { getChannelContext, recordChannelMessage, forgetChannelMessage } from '../context/conversation.js';
+
+// Class names are resolved per call so the namespace can change at runtime
+const topicClass = () => classNames().topic;
+const messageClass = () => classNames().message;
+
+// Topic read-modify-write updates must not interleave when channels are processed concurrently
+const topicLock = createKeyedLock();
+
+/**
+ * Reference properties of a topic that a full update (PUT) must carry over
+ * @param {Object} properties - Stored topic properties
+ * @returns {Object} { branchedFrom } if the topic has branch links
+ */
+const topicReferences = properties => (properties?.branchedFrom?.length ? { branchedFrom: properties.branchedFrom } : {});
+
+/**
+ * Activity properties a full update (PUT) must carry over
+ * @param {Object} properties - Stored topic properties (or the result of recordActivity/combineActivity)
+ * @returns {Object} { lastMessageAt, activityScore } if the topic has had messages
+ */
+const topicActivity = properties => (properties?.lastMessageAt
+  ? { lastMessageAt: properties.lastMessageAt, activityScore: properties.activityScore || 0 }
+  : {});
+
+/**
+ * Artifact labels a full update (PUT) must carry over
+ * @param {Object} properties - Stored topic properties
+ * @returns {Object} { artifactKinds } if the topic has messages with artifacts
+ */
+const topicArtifacts = properties => (properties?.artifactKinds?.length ? { artifactKinds: properties.artifactKinds } : {});
+
+/**
+ * Secondary membership counts a full update (PUT) must carry over
+ * @param {Object} properties - Stored topic properties
+ * @returns {Object} { secondaryMessageCount, secondaryWeight } if messages list the topic as secondary
+ */
+const topicSecondaryStats = properties => (properties?.secondaryMessageCount
+  ? { secondaryMessageCount: properties.secondaryMessageCount, secondaryWeight: properties.secondaryWeight || 0 }
+  : {});
+
+/**
+ * Parse the stored secondary topics of a message
+ * @param {Object} properties - Stored SlackMessage properties
+ * @returns {Object} Secondary topic UUID → weight
+ */
+const secondaryTopicWeights = properties => (properties?.secondaryTopicWeights ? JSON.parse(properties.secondaryTopicWeights) : {});
+
+/**
+ * Named vectors a full update (PUT) must carry over
+ * The description vector is recomputed from combinedSearchText, the centroid has no vectorizer
+ * @param {Array<number>|null} centroid - Centroid vector
+ * @returns {Object} { centroid } if the topic has one
+ */
+const centroidVectors = centroid => (centroid?.length ? { [TOPIC_VECTORS.centroid]: centroid } : {});
+
+/**
+ * Fetch a stored topic object including its named vectors
+ * @param {string} topicId - Topic UUID
+ * @returns {Promise<Object>} Weaviate object ({ id, properties, vectors })
+ */
+const fetchTopicObject = topicId => client.data
+  .getterById()
+  .withClassName(topicClass())
+  .withId(topicId)
+  .withVector()
+  .do();
+
+/**
+ * Fetch the vector of a stored message
+ * @param {string} messageId - SlackMessage UUID
+ * @returns {Promise<Array<number>|null>} Vector, null if unavailable
+ */
+async function fetchMessageVector(messageId) {
+  try {
+    const result = await client.data
+      .getterById()
+      .withClassName(messageClass())
+      .withId(messageId)
+      .withVector()
+      .do();
+    return result?.vector?.length ? result.vector : null;
+  } catch {
+    return null;
+  }
+}
 
 /**
  * Extract topic info from a topic object
@@ -27,13 +122,13 @@ export function extractTopicInfo(topic) {
 export async function fetchMessageTopic(timestamp) {
   const result = await client.graphql
     .get()
-    .withClassName('SlackMessage')
-    .withFields(`topic { ... on Topic { name _additional { id } } }`)
+    .withClassName(messageClass())
+    .withFields(`topic { ... on ${topicClass()} { name _additional { id } } }`)
     .withWhere({ path: ['timestamp'], operator: 'Equal', valueText: timestamp })
     .withLimit(1)
     .do();
 
-  const found = result.data?.Get?.SlackMessage?.[0];
+  const found = result.data?.Get?.[messageClass()]?.[0];
   return extractTopicInfo(found?.topic);
 }
 
@@ -67,8 +162,8 @@ export async function fetchMessageTopics(messages) {
 export async function fetchThreadFromDB(threadTs) {
   const result = await client.graphql
     .get()
-    .withClassName('SlackMessage')
-    .withFields(MESSAGE_WITH_TOPIC_FIELDS)
+    .withClassName(messageClass())
+    .withFields(messageWithTopicFields(topicClass()))
     .withWhere({
       operator: 'Or',
       operands: [
@@ -79,7 +174,7 @@ export async function fetchThreadFromDB(threadTs) {
     .withLimit(20)
     .do();
 
-  return result.data?.Get?.SlackMessage || [];
+  return result.data?.Get?.[messageClass()] || [];
 }
 
 /**
@@ -90,12 +185,36 @@ export async function fetchThreadFromDB(threadTs) {
 export async function fetchAllTopics(limit = MAX_TOPICS_LIMIT) {
   const result = await client.graphql
     .get()
-    .withClassName('Topic')
+    .withClassName(topicClass())
     .withFields(TOPIC_FIELDS)
     .withLimit(limit)
     .do();
 
-  return result.data?.Get?.Topic || [];
+  return result.data?.Get?.[topicClass()] || [];
+}
+
+/**
+ * Fetch all topics including their description vectors
+ * @param {number} limit - Maximum topics to fetch
+ * @returns {Promise<Array>} Topics ({ id, name, description, keywords, users, messageCount, vector })
+ */
+export async function fetchTopicsWithVectors(limit = 1000) {
+  const result = await client.graphql
+    .get()
+    .withClassName(topicClass())
+    .withFields(`name description keywords users messageCount _additional { id vectors { ${TOPIC_VECTORS.description} } }`)
+    .withLimit(limit)
+    .do();
+
+  return (result.data?.Get?.[topicClass()] || []).map(topic => ({
+    id: topic._additional.id,
+    name: topic.name,
+    description: topic.description,
+    keywords: topic.keywords || [],
+    users: topic.users || [],
+    messageCount: topic.messageCount || 0,
+    vector: topic._additional.vectors?.[TOPIC_VECTORS.description] || [],
+  }));
 }
 
 /**
@@ -107,7 +226,7 @@ export async function getTopicById(topicId) {
   try {
     const result = await client.data
       .getterById()
-      .withClassName('Topic')
+      .withClassName(topicClass())
       .withId(topicId)
       .do();
     
@@ -120,6 +239,12 @@ export async function getTopicById(topicId) {
       keywords: result.properties.keywords || [],
       users: result.properties.users || [],
       messageCount: result.properties.messageCount || 0,
+      lastMessageAt: result.properties.lastMessageAt || null,
+      activityScore: result.properties.activityScore || 0,
+      artifactKinds: result.properties.artifactKinds || [],
+      secondaryMessageCount: result.properties.secondaryMessageCount || 0,
+      secondaryWeight: result.properties.secondaryWeight || 0,
+      branchedFrom: (result.properties.branchedFrom || []).map(idFromBeacon),
     };
   } catch (error) {
     return null;
@@ -146,7 +271,7 @@ export async function createTopicInDB(name, description, keywords, options = {})
   
   const result = await client.data
     .creator()
-    .withClassName('Topic')
+    .withClassName(topicClass())
     .withProperties({
       name,
       description,
@@ -154,6 +279,7 @@ export async function createTopicInDB(name, description, keywords, options = {})
       users: users || [],
       combinedSearchText,
       messageCount: 0,
+      centroidCount: 0,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     })
@@ -163,109 +289,395 @@ export async function createTopicInDB(name, description, keywords, options = {})
 }
 
 /**
- * Store a message and link it to a topic
- * @param {Object} message - Message object
- * @param {Object} channelInfo - Channel information
- * @param {string} topicId - Topic ID to link
- * @param {string} topicName - Topic name
- * @param {Object} conversationContext - Conversation context object
- * @returns {Promise<string>} Created message ID
+ * Get a stored message by channel and timestamp
+ * @param {string} channelId - Channel ID
+ * @param {string} timestamp - Message timestamp
+ * @returns {Promise<Object|null>} Stored message ({ id, properties, topicId, secondaryTopics, vector }) or null
  */
-export async function storeMessageWithTopic(message, channelInfo, topicId, topicName, conversationContext) {
-  const userName = message.user_name || message.user_real_name || message.user;
-  
-  // Create message
-  const msgResult = await client.data
-    .creator()
-    .withClassName('SlackMessage')
-    .withProperties({
-      text: message.text,
-      user: message.user,
-      userName: userName,
-      timestamp: message.ts,
-      channelId: channelInfo.id,
-      channelName: channelInfo.name,
-      threadTs: message.thread_ts || null,
-      processedAt: new Date().toISOString(),
-    })
-    .do();
+export async function getStoredMessage(channelId, timestamp) {
+  const id = messageObjectId(channelId, timestamp);
+  try {
+    const result = await client.data
+      .getterById()
+      .withClassName(messageClass())
+      .withId(id)
+      .withVector()
+      .do();
 
-  // Link to topic
-  await client.data
-    .referenceCreator()
-    .withClassName('SlackMessage')
-    .withId(msgResult.id)
-    .withReferenceProperty('topic')
-    .withReference(
-      client.data
-        .referencePayloadBuilder()
-        .withClassName('Topic')
-        .withId(topicId)
-        .payload()
-    )
+    if (!result?.properties) return null;
+
+    return {
+      id,
+      properties: result.properties,
+      topicId: idFromBeacon(result.properties.topic?.[0]),
+      secondaryTopics: secondaryTopicWeights(result.properties),
+      vector: result.vector?.length ? result.vector : null,
+    };
+  } catch {
+    return null; // 404 - not stored yet
+  }
+}
+
+/**
+ * Check whether a message was already stored
+ * @param {string} channelId - Channel ID
+ * @param {string} timestamp - Message timestamp
+ * @returns {Promise<boolean>} True if stored
+ */
+export async function messageExists(channelId, timestamp) {
+  return client.data
+    .checker()
+    .withClassName(messageClass())
+    .withId(messageObjectId(channelId, timestamp))
     .do();
+}
 
-  // Update topic with new message info
-  const currentTopic = await client.data
-    .getterById()
-    .withClassName('Topic')
-    .withId(topicId)
+/**
+ * Count a user's messages in a topic
+ * @param {string} topicId - Topic UUID
+ * @param {string} userName - User name
+ * @returns {Promise<number>} Message count
+ */
+export async function countTopicMessagesByUser(topicId, userName) {
+  const result = await client.graphql
+    .aggregate()
+    .withClassName(messageClass())
+    .withWhere({
+      operator: 'And',
+      operands: [
+        { path: ['topic', topicClass(), 'id'], operator: 'Equal', valueText: topicId },
+        { path: ['userName'], operator: 'Equal', valueText: userName },
+      ],
+    })
+    .withFields('meta { count }')
     .do();
 
-  const existingUsers = currentTopic.properties.users || [];
-  const updatedUsers = existingUsers.includes(userName) 
-    ? existingUsers 
-    : [...existingUsers, userName];
-  
-  const updatedCombinedSearchText = buildTopicEmbeddingText({
-    name: currentTopic.properties.name,
-    description: currentTopic.properties.description,
-    keywords: currentTopic.properties.keywords,
-    users: updatedUsers,
-  });
+  return result.data?.Aggregate?.[messageClass()]?.[0]?.meta?.count || 0;
+}
 
-  await client.data
-    .updater()
-    .withClassName('Topic')
-    .withId(topicId)
-    .withProperties({
+/**
+ * Adjust a topic's message count, user list and centroid
+ * @param {string} topicId - Topic UUID
+ * @param {Object} changes - Changes
+ * @param {number} changes.messageDelta - Amount to add to messageCount
+ * @param {string} changes.addUser - User name to add (if missing)
+ * @param {string} changes.removeUser - User name to remove
+ * @param {Array<Array<number>>} changes.addVectors - Vectors of messages that joined the topic
+ * @param {Array<Array<number>>} changes.removeVectors - Vectors of messages that left the topic
+ * @param {Array<string>} changes.addActivity - Post times (ISO) of messages that joined the topic, counted into its activity
+ * @param {Array<string>} changes.addArtifactKinds - Artifact labels of messages that joined the topic ("Figma", "PDF"...)
+ * @param {number} changes.secondaryDelta - Amount to add to secondaryMessageCount
+ * @param {number} changes.secondaryWeightDelta - Amount to add to secondaryWeight
+ * @returns {Promise<void>}
+ */
+export async function adjustTopicStats(topicId, { messageDelta = 0, addUser = null, removeUser = null, addVectors = [], removeVectors = [], addActivity = [], addArtifactKinds = [], secondaryDelta = 0, secondaryWeightDelta = 0 }) {
+  return topicLock.run(topicId, async () => {
+    const currentTopic = await fetchTopicObject(topicId);
+
+    let updatedUsers = currentTopic.properties.users || [];
+    if (removeUser) {
+      updatedUsers = updatedUsers.filter(user => user !== removeUser);
+    }
+    if (addUser && !updatedUsers.includes(addUser)) {
+      updatedUsers = [...updatedUsers, addUser];
+    }
+  
+    const updatedCombinedSearchText = buildTopicEmbeddingText({
       name: currentTopic.properties.name,
       description: currentTopic.properties.description,
       keywords: currentTopic.properties.keywords,
-      createdAt: currentTopic.properties.createdAt,
       users: updatedUsers,
-      combinedSearchText: updatedCombinedSearchText,
-      messageCount: (currentTopic.properties.messageCount || 0) + 1,
-      updatedAt: new Date().toISOString(),
+    });
+
+    const { centroid, count: centroidCount } = updateCentroid(
+      currentTopic.vectors?.[TOPIC_VECTORS.centroid],
+      currentTopic.properties.centroidCount || 0,
+      { add: addVectors, remove: removeVectors }
+    );
+
+    // Messages leaving a topic don't reduce its activity - it decays away instead
+    const { activityHalfLifeHours } = getSearchConfig();
+    const activity = addActivity.reduce(
+      (current, postedAt) => recordActivity(current, postedAt, activityHalfLifeHours),
+      currentTopic.properties
+    );
+
+    // Like activity, artifact labels are kept when messages leave the topic
+    const artifactKinds = [...new Set([...(currentTopic.properties.artifactKinds || []), ...addArtifactKinds])];
+
+    const secondaryMessageCount = Math.max((currentTopic.properties.secondaryMessageCount || 0) + secondaryDelta, 0);
+    const secondaryWeight = secondaryMessageCount > 0
+      ? Math.max(Math.round(((currentTopic.properties.secondaryWeight || 0) + secondaryWeightDelta) * 1000) / 1000, 0)
+      : 0;
+
+    await client.data
+      .updater()
+      .withClassName(topicClass())
+      .withId(topicId)
+      .withProperties({
+        name: currentTopic.properties.name,
+        description: currentTopic.properties.description,
+        keywords: currentTopic.properties.keywords,
+        createdAt: currentTopic.properties.createdAt,
+        ...topicReferences(currentTopic.properties),
+        ...topicActivity(activity),
+        ...topicArtifacts({ artifactKinds }),
+        ...topicSecondaryStats({ secondaryMessageCount, secondaryWeight }),
+        users: updatedUsers,
+        combinedSearchText: updatedCombinedSearchText,
+        messageCount: Math.max((currentTopic.properties.messageCount || 0) + messageDelta, 0),
+        centroidCount,
+        updatedAt: new Date().toISOString(),
+      })
+      .withVectors(centroidVectors(centroid))
+      .do();
+  });
+}
+
+/**
+ * Remove one message's contribution from a topic
+ * Call after the message no longer references the topic; the user is only
+ * dropped from the topic when they have no other messages left in it
+ * @param {string} topicId - Topic UUID
+ * @param {string} userName - Author of the detached message
+ * @param {Array<number>|null} vector - Vector of the detached message (taken out of the centroid)
+ * @returns {Promise<void>}
+ */
+export async function detachMessageFromTopic(topicId, userName, vector = null) {
+  const remaining = userName ? await countTopicMessagesByUser(topicId, userName) : 1;
+  await adjustTopicStats(topicId, {
+    messageDelta: -1,
+    removeUser: remaining === 0 ? userName : null,
+    removeVectors: vector ? [vector] : [],
+  });
+}
+
+/**
+ * Convert a Slack "edited" marker to an ISO date
+ * @param {Object} message - Message object
+ * @returns {string|null} ISO date of the last edit
+ */
+function getEditedAt(message) {
+  return message.edited?.ts ? slackTsToIso(message.edited.ts) : null;
+}
+
+/**
+ * Build the vectorized text of a message
+ * Short messages borrow the earlier messages of their conversation session
+ * from the channel context, so "same here" is embedded with what it refers to
+ * @param {string} channelId - Channel ID
+ * @param {Object} message - Message object
+ * @param {string|null} sessionId - Session the message belongs to
+ * @returns {Promise<string>} Embedding text
+ */
+async function messageEmbeddingText(channelId, message, sessionId) {
+  const channelContext = await getChannelContext(channelId);
+  const recent = (channelContext?.recentMessages || [])
+    .filter(m => m.sessionId === sessionId && parseFloat(m.timestamp) < parseFloat(message.ts))
+    .reverse();
+
+  return buildMessageEmbeddingText(message, { recent });
+}
+
+/**
+ * Preprocessed text, entities and artifacts of a message as SlackMessage properties
+ * @param {Object} message - Message object (clean_text, entities and artifacts from preprocessMessage)
+ * @returns {Object} { cleanText, mentionedUsers, linkDomains, entities, artifactText, artifactKinds, artifacts } - entities and artifacts are JSON strings
+ */
+function messageEntityProperties(message) {
+  const entities = message.entities || { users: [], channels: [], links: [], broadcasts: [] };
+  const artifacts = message.artifacts || [];
+  return {
+    cleanText: message.clean_text ?? message.text,
+    mentionedUsers: entities.users.map(u => u.id),
+    linkDomains: [...new Set([...entities.links, ...artifacts].map(l => l.domain).filter(Boolean))],
+    entities: JSON.stringify(entities),
+    artifactText: artifactText(artifacts),
+    artifactKinds: [...new Set(artifacts.map(artifactKind))],
+    artifacts: JSON.stringify(artifacts),
+  };
+}
+
+/**
+ * Rewrite the text of a stored message without touching its topic
+ * @param {string} channelId - Channel ID
+ * @param {Object} message - Edited message object
+ * @returns {Promise<string|null>} Message ID, null if not stored
+ */
+export async function updateStoredMessageText(channelId, message) {
+  const existing = await getStoredMessage(channelId, message.ts);
+  if (!existing) return null;
+
+  const language = detectLanguage(message.clean_text ?? message.text);
+  const entityProperties = messageEntityProperties(message);
+  await client.data
+    .merger()
+    .withClassName(messageClass())
+    .withId(existing.id)
+    .withProperties({
+      text: message.text,
+      ...entityProperties,
+      embeddingText: await messageEmbeddingText(channelId, message, existing.properties.sessionId || null),
+      editedAt: getEditedAt(message) || new Date().toISOString(),
+      ...(language ? { language } : {}),
     })
     .do();
 
-  // Update conversation context
-  const channelId = channelInfo.id;
-  if (!conversationContext[channelId]) {
-    conversationContext[channelId] = {
-      recentMessages: [],
-      currentTopicId: null,
-      currentTopicName: null,
-    };
+  // The edit re-vectorized the message - swap it in the topic's centroid (and add unfurls that arrived with it)
+  if (existing.topicId && existing.vector) {
+    const vector = await fetchMessageVector(existing.id);
+    if (vector) {
+      await adjustTopicStats(existing.topicId, {
+        addVectors: [vector],
+        removeVectors: [existing.vector],
+        addArtifactKinds: entityProperties.artifactKinds,
+      });
+    }
+  }
+
+  return existing.id;
+}
+
+/**
+ * Delete a stored message and remove it from its primary and secondary topics
+ * @param {string} channelId - Channel ID
+ * @param {string} timestamp - Message timestamp
+ * @returns {Promise<Object|null>} { messageId, topicId }, null if not stored
+ */
+export async function deleteStoredMessage(channelId, timestamp) {
+  const existing = await getStoredMessage(channelId, timestamp);
+  if (!existing) return null;
+
+  await client.data
+    .deleter()
+    .withClassName(messageClass())
+    .withId(existing.id)
+    .do();
+
+  if (existing.topicId) {
+    await detachMessageFromTopic(existing.topicId, existing.properties.userName, existing.vector);
   }
+  await syncSecondaryStats(existing.secondaryTopics, {});
 
-  conversationContext[channelId].recentMessages.push({
+  await forgetChannelMessage(channelId, timestamp);
+
+  return { messageId: existing.id, topicId: existing.topicId };
+}
+
+/**
+ * Store a message and link it to a topic
+ * Messages get a deterministic ID from channel + timestamp, so storing the
+ * same message again updates it in place instead of creating a duplicate
+ * @param {Object} message - Message object
+ * @param {Object} channelInfo - Channel information
+ * @param {string} topicId - Topic ID to link
+ * @param {string} topicName - Topic name
+ * @param {Object} options - Options
+ * @param {Object} options.session - Conversation session from resolveSession()
+ * @param {Array<Object>} options.secondaryTopics - Other topics the message covers ([{ id, weight }], weight 0-1)
+ * @returns {Promise<string>} Message ID
+ */
+export async function storeMessageWithTopic(message, channelInfo, topicId, topicName, options = {}) {
+  const { session = null, secondaryTopics = [] } = options;
+  const userName = message.user_name || message.user_real_name || message.user;
+  const messageId = messageObjectId(channelInfo.id, message.ts);
+  const existing = await getStoredMessage(channelInfo.id, message.ts);
+
+  const properties = {
     text: message.text,
+    ...messageEntityProperties(message),
+    embeddingText: await messageEmbeddingText(channelInfo.id, message, session?.id || null),
     user: message.user,
+    userName: userName,
     timestamp: message.ts,
-    topicId,
-    topicName,
-  });
+    postedAt: slackTsToIso(message.ts),
+    channelId: channelInfo.id,
+    channelName: channelInfo.name,
+    threadTs: message.thread_ts || null,
+    processedAt: new Date().toISOString(),
+  };
+  const editedAt = getEditedAt(message);
+  if (editedAt) properties.editedAt = editedAt;
+  if (session?.id) properties.sessionId = session.id;
+  const language = detectLanguage(properties.cleanText);
+  if (language) properties.language = language;
 
-  if (conversationContext[channelId].recentMessages.length > 20) {
-    conversationContext[channelId].recentMessages.shift();
+  // Secondary topics: topic UUID → weight (the primary topic is never its own secondary)
+  const secondaryWeights = Object.fromEntries(secondaryTopics.filter(t => t.id !== topicId).map(t => [t.id, t.weight]));
+  const previousSecondary = existing?.secondaryTopics || {};
+  properties.secondaryTopicWeights = JSON.stringify(secondaryWeights);
+
+  if (existing) {
+    // Upsert: keep the object, refresh properties and re-point the topic
+    await client.data
+      .merger()
+      .withClassName(messageClass())
+      .withId(messageId)
+      .withProperties(properties)
+      .do();
+
+    await relinkMessage(messageId, topicId);
+  } else {
+    await client.data
+      .creator()
+      .withClassName(messageClass())
+      .withId(messageId)
+      .withProperties(properties)
+      .do();
+
+    await client.data
+      .referenceCreator()
+      .withClassName(messageClass())
+      .withId(messageId)
+      .withReferenceProperty('topic')
+      .withReference(
+        client.data
+          .referencePayloadBuilder()
+          .withClassName(topicClass())
+          .withId(topicId)
+          .payload()
+      )
+      .do();
   }
 
-  conversationContext[channelId].currentTopicId = topicId;
-  conversationContext[channelId].currentTopicName = topicName;
+  if (Object.keys(secondaryWeights).length > 0 || Object.keys(previousSecondary).length > 0) {
+    await linkSecondaryTopics(messageId, Object.keys(secondaryWeights));
+  }
 
-  return msgResult.id;
+  // Update topic counts - only when the message actually moved
+  const vector = await fetchMessageVector(messageId);
+  if (existing?.topicId !== topicId) {
+    if (existing?.topicId) {
+      await detachMessageFromTopic(existing.topicId, existing.properties.userName, existing.vector);
+    }
+    await adjustTopicStats(topicId, {
+      messageDelta: 1,
+      addUser: userName,
+      addVectors: vector ? [vector] : [],
+      addActivity: [properties.postedAt],
+      addArtifactKinds: properties.artifactKinds,
+    });
+  } else if (existing.vector && vector) {
+    // Re-stored in the same topic: its vector may have changed
+    await adjustTopicStats(topicId, {
+      addVectors: [vector],
+      removeVectors: [existing.vector],
+      addArtifactKinds: properties.artifactKinds,
+    });
+  }
+  await syncSecondaryStats(previousSecondary, secondaryWeights);
+
+  // Update conversation context
+  await recordChannelMessage(channelInfo.id, {
+    text: message.enriched_text ?? properties.cleanText,
+    user: message.user,
+    timestamp: message.ts,
+    topicId,
+    topicName,
+    sessionId: session?.id || null,
+  }, session);
+
+  return messageId;
 }
 
 /**
@@ -276,56 +688,508 @@ export async function storeMessageWithTopic(message, channelInfo, topicId, topic
  * @returns {Promise<Object>} Updated topic
  */
 export async function updateTopic(topicId, updates) {
-  // Get current topic data
-  const currentTopic = await client.data
-    .getterById()
-    .withClassName('Topic')
-    .withId(topicId)
-    .do();
+  return topicLock.run(topicId, async () => {
+    // Get current topic data
+    const currentTopic = await fetchTopicObject(topicId);
 
-  if (!currentTopic || !currentTopic.properties) {
-    throw new Error(`Topic not found: ${topicId}`);
-  }
+    if (!currentTopic || !currentTopic.properties) {
+      throw new Error(`Topic not found: ${topicId}`);
+    }
 
-  // Merge updates with current properties
-  const updatedName = updates.name ?? currentTopic.properties.name;
-  const updatedDescription = updates.description ?? currentTopic.properties.description;
-  const updatedKeywords = updates.keywords ?? currentTopic.properties.keywords;
-  const updatedUsers = updates.users ?? currentTopic.properties.users ?? [];
-
-  // Rebuild combinedSearchText with updated name and description
-  const updatedCombinedSearchText = buildTopicEmbeddingText({
-    name: updatedName,
-    description: updatedDescription,
-    keywords: updatedKeywords,
-    users: updatedUsers,
-  });
+    // Merge updates with current properties
+    const updatedName = updates.name ?? currentTopic.properties.name;
+    const updatedDescription = updates.description ?? currentTopic.properties.description;
+    const updatedKeywords = updates.keywords ?? currentTopic.properties.keywords;
+    const updatedUsers = updates.users ?? currentTopic.properties.users ?? [];
 
-  // Update topic with all properties
-  await client.data
-    .updater()
-    .withClassName('Topic')
-    .withId(topicId)
-    .withProperties({
+    // Rebuild combinedSearchText with updated name and description
+    const updatedCombinedSearchText = buildTopicEmbeddingText({
+      name: updatedName,
+      description: updatedDescription,
+      keywords: updatedKeywords,
+      users: updatedUsers,
+    });
+
+    // Update topic with all properties
+    await client.data
+      .updater()
+      .withClassName(topicClass())
+      .withId(topicId)
+      .withProperties({
+        name: updatedName,
+        description: updatedDescription,
+        keywords: updatedKeywords,
+        users: updatedUsers,
+        combinedSearchText: updatedCombinedSearchText,
+        messageCount: currentTopic.properties.messageCount || 0,
+        centroidCount: currentTopic.properties.centroidCount || 0,
+        createdAt: currentTopic.properties.createdAt,
+        ...topicReferences(currentTopic.properties),
+        ...topicActivity(currentTopic.properties),
+        ...topicArtifacts(currentTopic.properties),
+        ...topicSecondaryStats(currentTopic.properties),
+        updatedAt: new Date().toISOString(),
+      })
+      .withVectors(centroidVectors(currentTopic.vectors?.[TOPIC_VECTORS.centroid]))
+      .do();
+
+    return {
+      id: topicId,
       name: updatedName,
       description: updatedDescription,
       keywords: updatedKeywords,
       users: updatedUsers,
-      combinedSearchText: updatedCombinedSearchText,
       messageCount: currentTopic.properties.messageCount || 0,
-      createdAt: currentTopic.properties.createdAt,
-      updatedAt: new Date().toISOString(),
-    })
+    };
+  });
+}
+
+/**
+ * Record that a topic branched off another one (a thread drifted from the parent's topic)
+ * @param {string} topicId - Branch topic UUID
+ * @param {string} parentTopicId - Topic the thread started in
+ * @returns {Promise<boolean>} True if the link was added, false if it already existed
+ */
+export async function recordTopicBranch(topicId, parentTopicId) {
+  if (topicId === parentTopicId) return false;
+
+  // Under the topic lock, so a concurrent full update can't drop the new link
+  return topicLock.run(topicId, async () => {
+    const topic = await getTopicById(topicId);
+    if (!topic || topic.branchedFrom.includes(parentTopicId)) return false;
+
+    await client.data
+      .referenceCreator()
+      .withClassName(topicClass())
+      .withId(topicId)
+      .withReferenceProperty('branchedFrom')
+      .withReference(topicBeacon(parentTopicId))
+      .do();
+
+    return true;
+  });
+}
+
+/**
+ * Fetch IDs of messages that reference a topic
+ * @param {string} topicId - Topic UUID
+ * @param {number} limit - Maximum messages to fetch
+ * @returns {Promise<Array<string>>} Message IDs
+ */
+export async function fetchTopicMessageIds(topicId, limit = 100) {
+  const result = await client.graphql
+    .get()
+    .withClassName(messageClass())
+    .withFields('_additional { id }')
+    .withWhere({ path: ['topic', topicClass(), 'id'], operator: 'Equal', valueText: topicId })
+    .withLimit(limit)
     .do();
 
-  return {
-    id: topicId,
-    name: updatedName,
-    description: updatedDescription,
-    keywords: updatedKeywords,
-    users: updatedUsers,
-    messageCount: currentTopic.properties.messageCount || 0,
+  return (result.data?.Get?.[messageClass()] || []).map(m => m._additional.id);
+}
+
+/**
+ * Fetch all messages of a topic including their vectors
+ * @param {string} topicId - Topic UUID
+ * @param {number} pageSize - Messages per request
+ * @returns {Promise<Array>} Messages ({ id, text, artifactText, artifactKinds, user, userName, timestamp, threadTs, channelId, vector })
+ */
+export async function fetchTopicMessages(topicId, pageSize = 200) {
+  const messages = [];
+
+  while (true) {
+    const result = await client.graphql
+      .get()
+      .withClassName(messageClass())
+      .withFields('text artifactText artifactKinds user userName timestamp threadTs channelId _additional { id vector }')
+      .withWhere({ path: ['topic', topicClass(), 'id'], operator: 'Equal', valueText: topicId })
+      .withLimit(pageSize)
+      .withOffset(messages.length)
+      .do();
+
+    const page = result.data?.Get?.[messageClass()] || [];
+    messages.push(...page.map(m => ({
+      id: m._additional.id,
+      text: m.text,
+      artifactText: m.artifactText || '',
+      artifactKinds: m.artifactKinds || [],
+      user: m.user,
+      userName: m.userName,
+      timestamp: m.timestamp,
+      threadTs: m.threadTs,
+      channelId: m.channelId,
+      vector: m._additional.vector || [],
+    })));
+
+    if (page.length < pageSize) break;
+  }
+
+  return messages;
+}
+
+/**
+ * Point a message's topic reference at another topic
+ * @param {string} messageId - SlackMessage UUID
+ * @param {string} topicId - Topic UUID
+ * @returns {Promise<void>}
+ */
+export async function relinkMessage(messageId, topicId) {
+  await client.data
+    .referenceReplacer()
+    .withClassName(messageClass())
+    .withId(messageId)
+    .withReferenceProperty('topic')
+    .withReferences([
+      client.data
+        .referencePayloadBuilder()
+        .withClassName(topicClass())
+        .withId(topicId)
+        .payload(),
+    ])
+    .do();
+}
+
+/**
+ * Point a message's secondary topic references at the given topics
+ * @param {string} messageId - SlackMessage UUID
+ * @param {Array<string>} topicIds - Topic UUIDs (empty to clear)
+ * @returns {Promise<void>}
+ */
+async function linkSecondaryTopics(messageId, topicIds) {
+  await client.data
+    .referenceReplacer()
+    .withClassName(messageClass())
+    .withId(messageId)
+    .withReferenceProperty('secondaryTopics')
+    .withReferences(topicIds.map(id => client.data
+      .referencePayloadBuilder()
+      .withClassName(topicClass())
+      .withId(id)
+      .payload()))
+    .do();
+}
+
+/**
+ * Rewrite a message's secondary topics (weights and references)
+ * @param {string} messageId - SlackMessage UUID
+ * @param {Object} weights - Secondary topic UUID → weight
+ * @returns {Promise<void>}
+ */
+async function setSecondaryTopics(messageId, weights) {
+  await client.data
+    .merger()
+    .withClassName(messageClass())
+    .withId(messageId)
+    .withProperties({ secondaryTopicWeights: JSON.stringify(weights) })
+    .do();
+  await linkSecondaryTopics(messageId, Object.keys(weights));
+}
+
+/**
+ * Update secondary membership counts after a message's secondary topics changed
+ * @param {Object} previous - Previous secondary topic UUID → weight
+ * @param {Object} next - New secondary topic UUID → weight
+ * @returns {Promise<void>}
+ */
+async function syncSecondaryStats(previous, next) {
+  for (const topicId of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    const before = previous[topicId];
+    const after = next[topicId];
+    if (before === after) continue;
+
+    await adjustTopicStats(topicId, {
+      secondaryDelta: before === undefined ? 1 : after === undefined ? -1 : 0,
+      secondaryWeightDelta: (after || 0) - (before || 0),
+    });
+  }
+}
+
+/**
+ * Fetch the messages that list a topic as a secondary topic
+ * @param {string} topicId - Topic UUID
+ * @param {number} pageSize - Messages per request
+ * @returns {Promise<Array>} Messages ({ id, topicId, secondaryTopics }) - topicId is the primary topic
+ */
+async function fetchSecondaryMemberships(topicId, pageSize = 200) {
+  const messages = [];
+
+  while (true) {
+    const result = await client.graphql
+      .get()
+      .withClassName(messageClass())
+      .withFields(`secondaryTopicWeights topic { ... on ${topicClass()} { _additional { id } } } _additional { id }`)
+      .withWhere({ path: ['secondaryTopics', topicClass(), 'id'], operator: 'Equal', valueText: topicId })
+      .withLimit(pageSize)
+      .withOffset(messages.length)
+      .do();
+
+    const page = result.data?.Get?.[messageClass()] || [];
+    messages.push(...page.map(m => ({
+      id: m._additional.id,
+      topicId: m.topic?.[0]?._additional?.id || null,
+      secondaryTopics: secondaryTopicWeights(m),
+    })));
+
+    if (page.length < pageSize) break;
+  }
+
+  return messages;
+}
+
+/**
+ * Move every secondary membership in a topic to another topic, or drop them
+ * Used before a topic is deleted by a merge or split. Topic stats are not adjusted:
+ * the caller deletes fromId and recounts toId with countSecondaryMemberships()
+ * @param {string} fromId - Topic UUID being removed
+ * @param {string|null} toId - Topic UUID taking over the memberships (null to drop them)
+ * @returns {Promise<number>} Messages rewritten
+ */
+export async function replaceSecondaryTopic(fromId, toId = null) {
+  const memberships = await fetchSecondaryMemberships(fromId);
+
+  for (const message of memberships) {
+    const { [fromId]: weight, ...weights } = message.secondaryTopics;
+    // A message already in toId keeps it as primary, or as secondary with the larger weight
+    if (toId && toId !== message.topicId) weights[toId] = Math.max(weights[toId] || 0, weight || 0);
+    await setSecondaryTopics(message.id, weights);
+  }
+
+  return memberships.length;
+}
+
+/**
+ * Count a topic's secondary memberships from its messages
+ * Memberships of messages whose primary topic is this topic (e.g. after a merge) are dropped
+ * @param {string} topicId - Topic UUID
+ * @returns {Promise<Object>} { secondaryMessageCount, secondaryWeight }
+ */
+export async function countSecondaryMemberships(topicId) {
+  let secondaryMessageCount = 0;
+  let secondaryWeight = 0;
+
+  for (const message of await fetchSecondaryMemberships(topicId)) {
+    const { [topicId]: weight, ...weights } = message.secondaryTopics;
+    if (message.topicId === topicId) {
+      await setSecondaryTopics(message.id, weights);
+    } else {
+      secondaryMessageCount++;
+      secondaryWeight += weight || 0;
+    }
+  }
+
+  return { secondaryMessageCount, secondaryWeight: Math.round(secondaryWeight * 1000) / 1000 };
+}
+
+/**
+ * Delete a topic object (messages must be re-linked first)
+ * @param {string} topicId - Topic UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteTopic(topicId) {
+  await client.data
+    .deleter()
+    .withClassName(topicClass())
+    .withId(topicId)
+    .do();
+}
+
+/**
+ * Reference payload pointing at a topic
+ * @param {string} topicId - Topic UUID
+ * @returns {Object} Reference payload
+ */
+function topicBeacon(topicId) {
+  return client.data
+    .referencePayloadBuilder()
+    .withClassName(topicClass())
+    .withId(topicId)
+    .payload();
+}
+
+/**
+ * Point the branch links of other topics at a topic that replaces the given ones
+ * Used before topics are deleted by a merge (toId is the target) or a split (the largest sub-topic)
+ * @param {Array<string>} fromIds - Topic UUIDs being removed
+ * @param {string} toId - Topic UUID taking over their branch links
+ * @returns {Promise<number>} Topics rewritten
+ */
+export async function replaceBranchLinks(fromIds, toId) {
+  const topicIds = new Set();
+  for (const fromId of fromIds) {
+    const result = await client.graphql
+      .get()
+      .withClassName(topicClass())
+      .withFields('_additional { id }')
+      .withWhere({ path: ['branchedFrom', topicClass(), 'id'], operator: 'Equal', valueText: fromId })
+      .withLimit(MAX_TOPICS_LIMIT)
+      .do();
+    (result.data?.Get?.[topicClass()] || []).forEach(topic => topicIds.add(topic._additional.id));
+  }
+
+  // The caller handles toId's own links, the removed topics are deleted
+  [toId, ...fromIds].forEach(id => topicIds.delete(id));
+
+  for (const topicId of topicIds) {
+    await topicLock.run(topicId, async () => {
+      const topic = await getTopicById(topicId);
+      if (!topic) return;
+
+      const links = [...new Set(topic.branchedFrom.map(id => (fromIds.includes(id) ? toId : id)))]
+        .filter(id => id !== topicId);
+      await client.data
+        .referenceReplacer()
+        .withClassName(topicClass())
+        .withId(topicId)
+        .withReferenceProperty('branchedFrom')
+        .withReferences(links.map(topicBeacon))
+        .do();
+    });
+  }
+
+  return topicIds.size;
+}
+
+/**
+ * Union string arrays, keeping the first spelling of case-insensitive duplicates
+ * @param {...Array<string>} lists - Arrays to union
+ * @returns {Array<string>} Union
+ */
+function unionCaseInsensitive(...lists) {
+  const seen = new Map();
+  for (const item of lists.flat()) {
+    if (!item) continue;
+    const key = item.toLowerCase().trim();
+    if (!seen.has(key)) seen.set(key, item);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Merge source topics into a target topic
+ * Moves every message reference to the target, unions keywords and users,
+ * sums messageCount, moves secondary memberships and branch links to the target, regenerates
+ * combinedSearchText, deletes the sources and records the merge in the merge history
+ * @param {Array<string>} sourceIds - Topic UUIDs to merge away
+ * @param {string} targetId - Topic UUID that survives
+ * @param {Object} options - Options
+ * @param {string} options.reason - Why the topics were merged (recorded in history)
+ * @returns {Promise<Object>} Merge history entry
+ */
+export async function mergeTopics(sourceIds, targetId, options = {}) {
+  const { reason = null } = options;
+  const uniqueSourceIds = [...new Set(sourceIds)].filter(id => id !== targetId);
+
+  if (uniqueSourceIds.length === 0) {
+    throw new Error('mergeTopics needs at least one source topic different from the target');
+  }
+
+  const target = await getTopicById(targetId);
+  if (!target) throw new Error(`Topic not found: ${targetId}`);
+
+  const sources = await Promise.all(uniqueSourceIds.map(getTopicById));
+  const missing = uniqueSourceIds.filter((id, i) => !sources[i]);
+  if (missing.length > 0) throw new Error(`Topic not found: ${missing.join(', ')}`);
+
+  // Rewire message references batch by batch until no message points at a source
+  let movedMessages = 0;
+  for (const source of sources) {
+    let batch = await fetchTopicMessageIds(source.id);
+    while (batch.length > 0) {
+      for (const messageId of batch) {
+        await relinkMessage(messageId, targetId);
+      }
+      movedMessages += batch.length;
+      batch = await fetchTopicMessageIds(source.id);
+    }
+  }
+
+  // Secondary memberships follow; messages now in the target drop it as a secondary topic
+  let movedMemberships = 0;
+  for (const source of sources) {
+    movedMemberships += await replaceSecondaryTopic(source.id, targetId);
+  }
+  const secondaryStats = await countSecondaryMemberships(targetId);
+
+  // Everything read from the target is re-read under its lock, so messages categorized
+  // into it during the merge aren't overwritten by the full update
+  const sourceObjects = await Promise.all(uniqueSourceIds.map(fetchTopicObject));
+  const mergedCount = await topicLock.run(targetId, async () => {
+    const currentTarget = await fetchTopicObject(targetId);
+    const current = currentTarget.properties;
+
+    const mergedKeywords = unionCaseInsensitive(current.keywords || [], ...sources.map(t => t.keywords));
+    const mergedUsers = unionCaseInsensitive(current.users || [], ...sources.map(t => t.users));
+    const messageCount = (current.messageCount || 0) + sources.reduce((sum, t) => sum + t.messageCount, 0);
+
+    // The target's centroid becomes the message-weighted mean of all merged centroids
+    const { centroid, count: centroidCount } = combineCentroids([currentTarget, ...sourceObjects].map(topic => ({
+      centroid: topic.vectors?.[TOPIC_VECTORS.centroid],
+      count: topic.properties.centroidCount || 0,
+    })));
+
+    // The target is as recent as the most recent merged topic, with their activity combined
+    const activity = combineActivity(
+      [currentTarget, ...sourceObjects].map(topic => topic.properties),
+      getSearchConfig().activityHalfLifeHours
+    );
+
+    // Branch links of the merged topics move to the target, minus links between them
+    const mergedIds = new Set([targetId, ...uniqueSourceIds]);
+    const branchIds = unionCaseInsensitive((current.branchedFrom || []).map(idFromBeacon), ...sources.map(t => t.branchedFrom))
+      .filter(id => !mergedIds.has(id));
+
+    await client.data
+      .updater()
+      .withClassName(topicClass())
+      .withId(targetId)
+      .withProperties({
+        name: current.name,
+        description: current.description,
+        keywords: mergedKeywords,
+        users: mergedUsers,
+        combinedSearchText: buildTopicEmbeddingText({
+          name: current.name,
+          description: current.description,
+          keywords: mergedKeywords,
+          users: mergedUsers,
+        }),
+        messageCount,
+        centroidCount,
+        createdAt: current.createdAt,
+        ...topicReferences({ branchedFrom: branchIds.map(topicBeacon) }),
+        ...topicActivity(activity),
+        ...topicArtifacts({
+          artifactKinds: unionCaseInsensitive(...[currentTarget, ...sourceObjects].map(topic => topic.properties.artifactKinds)),
+        }),
+        ...topicSecondaryStats(secondaryStats),
+        updatedAt: new Date().toISOString(),
+      })
+      .withVectors(centroidVectors(centroid))
+      .do();
+
+    return messageCount;
+  });
+
+  // Topics that branched off a source now branch off the target
+  const movedBranchLinks = await replaceBranchLinks(uniqueSourceIds, targetId);
+
+  for (const source of sources) {
+    await deleteTopic(source.id);
+  }
+
+  const entry = {
+    mergedAt: new Date().toISOString(),
+    target: { id: targetId, name: target.name, messageCount: target.messageCount },
+    sources: sources.map(t => ({ id: t.id, name: t.name, messageCount: t.messageCount, keywords: t.keywords })),
+    movedMessages,
+    movedMemberships,
+    movedBranchLinks,
+    resultMessageCount: mergedCount,
+    reason,
   };
+  await appendJsonl(MERGE_HISTORY_FILE, entry);
+
+  return entry;
 }
 
 /**
@@ -336,11 +1200,11 @@ export async function getAllTopics() {
   try {
     const result = await client.graphql
       .get()
-      .withClassName('Topic')
-      .withFields('name description keywords users combinedSearchText messageCount createdAt updatedAt _additional { id }')
+      .withClassName(topicClass())
+      .withFields('name description keywords users combinedSearchText messageCount secondaryMessageCount secondaryWeight createdAt updatedAt _additional { id }')
       .withLimit(100)
       .do();
-    return result.data.Get.Topic || [];
+    return result.data.Get[topicClass()] || [];
   } catch (error) {
     console.error('Error getting topics:', error);
     return [];
@@ -1,11 +0,0 @@
-/**
- * OpenAI service configuration
- */
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-export const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
@@ -8,6 +8,12 @@ dotenv.config();
 const SLACK_API_KEY = process.env.SLACK_API_KEY;
 const SLACK_API_BASE = 'https://slack.com/api';
 
+/**
+ * Whether Slack API calls can be made (offline runs resolve nothing)
+ * @returns {boolean} True if SLACK_API_KEY is set
+ */
+export const hasSlackApiKey = () => Boolean(SLACK_API_KEY);
+
 /**
  * Make a Slack API call
  * @param {string} endpoint - API endpoint
@@ -80,3 +86,63 @@ export async function fetchThreadMessages(channelId, threadTs) {
     return [];
   }
 }
+
+// Caches for lookups that rarely change during a process lifetime
+const channelCache = new Map();
+const userCache = new Map();
+
+/**
+ * Fetch channel info (with caching)
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object>} Channel info ({ id, name })
+ */
+export async function fetchChannelInfo(channelId) {
+  if (channelCache.has(channelId)) {
+    return channelCache.get(channelId);
+  }
+
+  try {
+    const response = await slackApiCall('conversations.info', { channel: channelId });
+    const channelInfo = { id: response.channel.id, name: response.channel.name };
+    channelCache.set(channelId, channelInfo);
+    return channelInfo;
+  } catch (error) {
+    console.error(`Error fetching channel info: ${error.message}`);
+    return { id: channelId, name: channelId };
+  }
+}
+
+/**
+ * Fetch user info (with caching)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User info ({ id, name, real_name, display_name, is_bot })
+ */
+export async function fetchUserInfo(userId) {
+  if (userCache.has(userId)) {
+    return userCache.get(userId);
+  }
+
+  try {
+    const response = await slackApiCall('users.info', { user: userId });
+    const user = response.user;
+    const userInfo = {
+      id: user.id,
+      name: user.name,
+      real_name: user.real_name || user.name,
+      display_name: user.profile?.display_name || user.real_name || user.name,
+      is_bot: user.is_bot || false,
+    };
+    userCache.set(userId, userInfo);
+    return userInfo;
+  } catch (error) {
+    const fallback = {
+      id: userId,
+      name: userId,
+      real_name: userId,
+      display_name: userId,
+      is_bot: false,
+    };
+    userCache.set(userId, fallback);
+    return fallback;
+  }
+}
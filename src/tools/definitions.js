@@ -1,6 +1,7 @@
 /**
  * OpenAI tool definitions for the categorizer agent
  */
+import { MAX_SECONDARY_TOPICS, MIN_SECONDARY_TOPIC_WEIGHT } from '../config/constants.js';
 
 export const tools = [
   {
@@ -42,6 +43,79 @@ export const tools = [
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'find_similar_messages',
+      description: 'Find past messages similar to the current one and the topics they were categorized into. Useful when find_topics is inconclusive.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Search query (default: the current message text)',
+          },
+          same_channel: {
+            type: 'boolean',
+            description: 'Only search the current channel. Default: false',
+            default: false,
+          },
+          user_only: {
+            type: 'boolean',
+            description: "Only search the current message author's messages. Default: false",
+            default: false,
+          },
+          days: {
+            type: 'integer',
+            description: 'Only messages from the last N days before the current message (default: all)',
+          },
+          limit: {
+            type: 'integer',
+            description: 'Number of messages to return (default: 8, max: 20)',
+            default: 8,
+          },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'propose_glossary_term',
+      description: 'Propose a glossary entry for a team acronym or product name that find_topics reported in unknown_acronyms and that keeps coming up. A reviewer approves proposals before they are used.',
+      parameters: {
+        type: 'object',
+        properties: {
+          term: {
+            type: 'string',
+            description: 'The acronym or name as written (e.g. "CM")',
+          },
+          expansion: {
+            type: 'string',
+            description: 'What it stands for (e.g. "Campaign Monitor")',
+          },
+          aliases: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Other spellings of the term (e.g. "C.M.")',
+          },
+          topic_hint: {
+            type: 'string',
+            description: 'Name of the topic where the term usually comes up, if any',
+          },
+          reason: {
+            type: 'string',
+            description: 'Why you believe the expansion is right (e.g. the messages that use it)',
+          },
+          example: {
+            type: 'string',
+            description: 'A message that uses the term (default: the current message)',
+          },
+        },
+        required: ['term', 'expansion', 'reason'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -80,6 +154,22 @@ export const tools = [
               keywords: { type: 'array', items: { type: 'string' } },
             },
           },
+          secondary_topics: {
+            type: 'array',
+            description: `Optional. Up to ${MAX_SECONDARY_TOPICS} other EXISTING topics the message also substantially covers (e.g. a status update on two projects). Omit for single-subject messages`,
+            items: {
+              type: 'object',
+              properties: {
+                topic_id: { type: 'string', description: 'The UUID of the existing topic' },
+                topic_name: { type: 'string', description: 'The name of the topic (for logging)' },
+                weight: {
+                  type: 'number',
+                  description: `How much of the message is about this topic, ${MIN_SECONDARY_TOPIC_WEIGHT}-1 (the primary topic counts as 1)`,
+                },
+              },
+              required: ['topic_id', 'weight'],
+            },
+          },
           reasoning: {
             type: 'string',
             description: 'Brief explanation of why this categorization was chosen',
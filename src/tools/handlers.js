@@ -3,41 +3,61 @@
  */
 import { fetchMessagesBefore, fetchThreadMessages } from '../services/slack.js';
 import { fetchMessageTopic, fetchMessageTopics, fetchAllTopics } from '../services/database.js';
-import { conversationContext } from '../context/conversation.js';
-import { truncate, getMinutesBetween, extractKeywords } from '../utils/index.js';
+import { getChannelContext } from '../context/conversation.js';
+import { resolveSession, markCurrentSession } from '../context/sessions.js';
+import { getSearchConfig } from '../config/search.js';
+import { matchGlossary, findUnknownAcronyms } from '../config/glossary.js';
+import { proposeGlossaryTerm } from '../maintenance/glossary.js';
+import { describeMessage, summarizeEntities, summarizeArtifacts, extractArtifacts } from '../preprocess/index.js';
+import { MAX_SECONDARY_TOPICS, MIN_SECONDARY_TOPIC_WEIGHT } from '../config/constants.js';
+import { truncate, getMinutesBetween, extractKeywords, messageObjectId, detectLanguage, slackTsToIso } from '../utils/index.js';
 import { 
-  hybridSearchTopics, 
-  semanticSearchTopics, 
-  keywordSearchTopics,
-  reciprocalRankFusion,
+  retrieveTopicCandidates,
+  searchMessages,
   calculateConfidence,
   buildMatchReasons,
   generateRecommendation
 } from '../search/index.js';
 
-// Current message context (set by categorizer)
-let currentMessage = null;
-let currentChannelInfo = null;
-
 /**
- * Set the current message context
- * @param {Object} message - Message object
- * @param {Object} channelInfo - Channel information
+ * Validate the secondary topics of a categorize call
+ * Drops the primary topic, duplicates and weights below MIN_SECONDARY_TOPIC_WEIGHT,
+ * then keeps the MAX_SECONDARY_TOPICS heaviest
+ * @param {Array<Object>} secondaryTopics - [{ topic_id, topic_name, weight }] from the model
+ * @param {string|null} primaryTopicId - Primary topic UUID (null when creating)
+ * @returns {Object} { topics: [{ topic_id, topic_name, weight }] } or { error }
  */
-export function setCurrentContext(message, channelInfo) {
-  currentMessage = message;
-  currentChannelInfo = channelInfo;
+function normalizeSecondaryTopics(secondaryTopics = [], primaryTopicId = null) {
+  if (!Array.isArray(secondaryTopics)) return { error: 'secondary_topics must be an array' };
+
+  const byId = new Map();
+  for (const { topic_id, topic_name, weight } of secondaryTopics) {
+    if (!topic_id) return { error: 'Each secondary topic needs a topic_id' };
+    if (typeof weight !== 'number' || !(weight > 0 && weight <= 1)) {
+      return { error: `Invalid weight for secondary topic ${topic_id}: ${weight}. Must be a number between 0 and 1` };
+    }
+    if (topic_id === primaryTopicId || weight < MIN_SECONDARY_TOPIC_WEIGHT) continue;
+    const seen = byId.get(topic_id);
+    if (!seen || seen.weight < weight) {
+      byId.set(topic_id, { topic_id, topic_name: topic_name || seen?.topic_name || 'Unknown', weight });
+    }
+  }
+
+  const topics = [...byId.values()].sort((a, b) => b.weight - a.weight).slice(0, MAX_SECONDARY_TOPICS);
+  return { topics };
 }
 
 /**
  * Tool handlers object
+ * Each handler receives the model's arguments and the per-call tool context
+ * ({ message, channelInfo, session, llm }) of the message being categorized
  */
 export const toolHandlers = {
   /**
    * TOOL 1: get_context
    * Returns ALL context in a single call
    */
-  async get_context({ message_count = 5 }) {
+  async get_context({ message_count = 5 }, { message: currentMessage, channelInfo: currentChannelInfo, session: currentSession } = {}) {
     const channelId = currentChannelInfo?.id;
     const messageTs = currentMessage?.ts;
     const threadTs = currentMessage?.thread_ts;
@@ -51,20 +71,26 @@ export const toolHandlers = {
     const [recentMessages, threadMessages, channelContext] = await Promise.all([
       fetchMessagesBefore(channelId, messageTs, Math.min(message_count, 10)),
       isThreadReply ? fetchThreadMessages(channelId, threadTs) : Promise.resolve([]),
-      Promise.resolve(conversationContext[channelId] || null),
+      getChannelContext(channelId),
     ]);
 
     // Enrich recent messages with their topics
     const topicsMap = await fetchMessageTopics(recentMessages);
+    const session = currentSession || resolveSession(channelId, channelContext, currentMessage);
+    const inCurrentSession = markCurrentSession(recentMessages, messageTs);
 
-    // Build current message info
+    // Build current message info (mentions resolved, mrkdwn stripped and artifacts described by preprocessMessage)
+    const currentText = currentMessage.enriched_text ?? describeMessage(currentMessage);
     const currentMessageInfo = {
-      text: currentMessage.text,
+      text: currentText,
       user: currentMessage.user,
       user_name: currentMessage.user_name,
       is_thread_reply: isThreadReply,
-      length: currentMessage.text.length,
-      is_short: currentMessage.text.length < 15,
+      language: detectLanguage(currentMessage.clean_text ?? currentText),
+      length: currentText.length,
+      is_short: currentText.length < 15,
+      entities: summarizeEntities(currentMessage.entities),
+      artifacts: summarizeArtifacts(currentMessage.artifacts ?? extractArtifacts(currentMessage)),
     };
 
     // Build thread parent info (if thread reply)
@@ -74,7 +100,7 @@ export const toolHandlers = {
       const parentTopic = await fetchMessageTopic(parent.ts);
       
       threadParent = {
-        text: truncate(parent.text, 200),
+        text: truncate(describeMessage(parent), 200),
         user: parent.user,
         user_name: parent.user_name,
         topic: parentTopic || null,
@@ -83,23 +109,29 @@ export const toolHandlers = {
     }
 
     // Build recent messages with topics
-    const enrichedRecentMessages = recentMessages.map((m) => ({
-      text: truncate(m.text, 150),
+    const enrichedRecentMessages = recentMessages.map((m, i) => ({
+      text: truncate(describeMessage(m), 150),
       user: m.user,
       user_name: m.user_name,
       minutes_ago: getMinutesBetween(messageTs, m.ts),
+      in_current_session: inCurrentSession[i],
       topic_id: topicsMap[m.ts]?.id || null,
       topic_name: topicsMap[m.ts]?.name || null,
     }));
 
+    // The channel's current topic only carries over within the same session
+    const lastTopic = channelContext?.currentTopicId ? {
+      id: channelContext.currentTopicId,
+      name: channelContext.currentTopicName,
+    } : null;
+    const sameSession = !session.isNew && !session.historical;
+
     // Build channel info
     const channel = {
       name: currentChannelInfo.name,
       id: currentChannelInfo.id,
-      current_topic: channelContext?.currentTopicId ? {
-        id: channelContext.currentTopicId,
-        name: channelContext.currentTopicName,
-      } : null,
+      current_topic: sameSession ? lastTopic : null,
+      previous_session_topic: session.isNew ? lastTopic : null,
       last_activity_minutes_ago: enrichedRecentMessages.length > 0 
         ? enrichedRecentMessages[enrichedRecentMessages.length - 1].minutes_ago 
         : null,
@@ -110,10 +142,18 @@ export const toolHandlers = {
       thread_parent: threadParent,
       recent_messages: enrichedRecentMessages,
       channel,
+      session: {
+        id: session.id,
+        is_new: session.isNew,
+        idle_minutes: session.idleMinutes,
+        messages_in_session: session.messageCount,
+      },
       hint: isThreadReply && threadParent?.topic
         ? `Thread reply - use parent's topic: "${threadParent.topic.name}"`
         : currentMessageInfo.is_short && channel.current_topic
         ? `Short message - likely continues current topic: "${channel.current_topic.name}"`
+        : session.isNew && channel.previous_session_topic
+        ? `New conversation after ${session.idleMinutes} idle minutes - do not assume it continues "${channel.previous_session_topic.name}"`
         : 'Analyze message content to find or create appropriate topic',
     };
   },
@@ -121,28 +161,30 @@ export const toolHandlers = {
   /**
    * TOOL 2: find_topics
    * Unified search with RRF fusion and confidence scores
+   * Fuses the descriptive topic vector with the centroid of each topic's messages
    */
-  async find_topics({ query, include_all = false }) {
+  async find_topics({ query, include_all = false }, { channelInfo, message } = {}) {
     console.log(`[find_topics] Starting search for query: "${query}" (include_all: ${include_all})`);
+    const searchConfig = getSearchConfig(channelInfo);
+    // Recency is judged at the message's time, so backfills and replays score like live traffic
+    const postedAt = message?.ts ? new Date(slackTsToIso(message.ts)) : new Date();
     const messageKeywords = extractKeywords(query);
     console.log(`[find_topics] Extracted keywords:`, messageKeywords);
     
-    // Run parallel searches
-    const [hybridResults, vectorResults, bm25Results, allTopics] = await Promise.all([
-      hybridSearchTopics(query, 15),
-      semanticSearchTopics(query, 15),
-      keywordSearchTopics(query, 15),
+    // Run parallel searches and apply RRF fusion
+    const [{ fused: fusedResults, expandedQueries, counts }, allTopics] = await Promise.all([
+      retrieveTopicCandidates(query, { searchConfig }),
       include_all ? fetchAllTopics() : Promise.resolve([]),
     ]);
 
-    console.log(`[find_topics] Search results - Hybrid: ${hybridResults.length}, Vector: ${vectorResults.length}, BM25: ${bm25Results.length}`);
-
-    // Apply RRF fusion
-    const fusedResults = reciprocalRankFusion([hybridResults, vectorResults, bm25Results]);
+    console.log(`[find_topics] Search results - Hybrid: ${counts.hybrid}, Vector: ${counts.vector}, BM25: ${counts.bm25}, Centroid: ${counts.centroid}`);
+    if (expandedQueries.length > 0) {
+      console.log(`[find_topics] Glossary expansions:`, expandedQueries);
+    }
 
     // Calculate confidence scores for top results
     const scoredMatches = fusedResults.slice(0, 10).map(topic => {
-      const { confidence, factors } = calculateConfidence(topic, query, messageKeywords);
+      const { confidence, factors } = calculateConfidence(topic, query, messageKeywords, searchConfig, postedAt);
       
       return {
         id: topic.id,
@@ -150,15 +192,17 @@ export const toolHandlers = {
         description: topic.description,
         keywords: topic.keywords,
         confidence: parseFloat(confidence.toFixed(3)),
-        match_reasons: buildMatchReasons(factors, topic, messageKeywords),
+        match_reasons: buildMatchReasons(factors, topic, messageKeywords, postedAt),
         message_count: topic.messageCount,
+        last_message_at: topic.lastMessageAt,
+        ...(topic.artifactKinds?.length > 0 ? { artifacts: topic.artifactKinds } : {}),
       };
     });
 
     console.log(`[find_topics] Top ${scoredMatches.length} scored matches:`, scoredMatches.map(m => `${m.name} (${m.confidence})`).join(', '));
 
     // Generate recommendation
-    const recommendation = generateRecommendation(scoredMatches);
+    const recommendation = generateRecommendation(scoredMatches, searchConfig);
     console.log(`[find_topics] Final recommendation:`, recommendation);
 
     const result = {
@@ -167,6 +211,17 @@ export const toolHandlers = {
       query_keywords: messageKeywords,
     };
 
+    // Glossary terms recognized in the query, and acronyms it doesn't know yet
+    const glossaryTerms = matchGlossary(query);
+    if (glossaryTerms.length > 0) {
+      result.glossary_terms = glossaryTerms.map(({ term, expansions, topicHints }) => ({ term, expansions, topic_hints: topicHints }));
+      result.expanded_queries = expandedQueries;
+    }
+    const unknownAcronyms = findUnknownAcronyms(query);
+    if (unknownAcronyms.length > 0) {
+      result.unknown_acronyms = unknownAcronyms;
+    }
+
     // Include all topics if requested
     if (include_all && allTopics.length > 0) {
       result.all_topics = allTopics.map(t => ({
@@ -182,10 +237,97 @@ export const toolHandlers = {
   },
 
   /**
-   * TOOL 3: categorize
-   * Final decision - assign or create
+   * TOOL 3: find_similar_messages
+   * Past messages that resemble the current one, grouped by the topic they landed in
    */
-  async categorize({ action, topic_id, topic_name, improved_name, improved_description, new_topic, reasoning }) {
+  async find_similar_messages({ query, same_channel = false, user_only = false, days, limit = 8 }, { message: currentMessage, channelInfo: currentChannelInfo } = {}) {
+    // Stored messages are vectorized from clean text, so search with the preprocessed message too
+    const searchText = query || currentMessage?.enriched_text || currentMessage?.text;
+    if (!searchText) {
+      return { error: 'No query given and no current message available.' };
+    }
+
+    const filters = {};
+    if (same_channel && currentChannelInfo?.id) filters.channelId = currentChannelInfo.id;
+    if (user_only && currentMessage?.user) filters.user = currentMessage.user;
+    if (days > 0 && currentMessage?.ts) {
+      filters.since = String(parseFloat(currentMessage.ts) - days * 24 * 60 * 60);
+    }
+
+    // The current message may already be stored (re-categorization) - don't let it match itself
+    const excludeIds = currentChannelInfo?.id && currentMessage?.ts
+      ? [messageObjectId(currentChannelInfo.id, currentMessage.ts)]
+      : [];
+
+    const similar = await searchMessages(searchText, filters, {
+      limit: Math.min(Math.max(limit, 1), 20),
+      excludeIds,
+    });
+
+    // Topics the similar messages were categorized into, most common first
+    const topicVotes = new Map();
+    for (const m of similar) {
+      if (!m.topicId) continue;
+      const vote = topicVotes.get(m.topicId) || { topic_id: m.topicId, topic_name: m.topicName, message_count: 0, best_rank: m.rank };
+      vote.message_count++;
+      topicVotes.set(m.topicId, vote);
+    }
+
+    return {
+      query: searchText,
+      messages: similar.map(m => ({
+        text: truncate([m.cleanText, m.artifactText].filter(Boolean).join('\n'), 150),
+        user_name: m.userName,
+        channel: m.channelName,
+        minutes_ago: currentMessage?.ts ? getMinutesBetween(currentMessage.ts, m.timestamp) : null,
+        topic_id: m.topicId,
+        topic_name: m.topicName,
+        score: parseFloat(m.score.toFixed(3)),
+      })),
+      topics: [...topicVotes.values()].sort((a, b) => b.message_count - a.message_count || a.best_rank - b.best_rank),
+    };
+  },
+
+  /**
+   * TOOL 4: propose_glossary_term
+   * Suggest a glossary entry for a recurring acronym; a reviewer accepts it with `npm run glossary`
+   */
+  async propose_glossary_term({ term, expansion, aliases, topic_hint, reason, example }, { message: currentMessage, channelInfo: currentChannelInfo } = {}) {
+    if (!term || !expansion) {
+      return { error: 'term and expansion are required' };
+    }
+
+    const result = await proposeGlossaryTerm({
+      term,
+      expansion,
+      aliases: aliases || [],
+      topicHint: topic_hint || null,
+      reason: reason || null,
+      example: example || truncate(currentMessage?.clean_text ?? currentMessage?.text ?? '', 200) || null,
+      channelId: currentChannelInfo?.id || null,
+      messageTs: currentMessage?.ts || null,
+    });
+    console.log(`[propose_glossary_term] "${term}" → "${expansion}": ${result.status}`);
+
+    return {
+      status: result.status,
+      term: result.term,
+      ...(result.expansions ? { expansions: result.expansions } : {}),
+      ...(result.proposals ? { pending_proposals: result.proposals } : {}),
+    };
+  },
+
+  /**
+   * TOOL 5: categorize
+   * Final decision - assign or create, optionally with weighted secondary topics
+   */
+  async categorize({ action, topic_id, topic_name, improved_name, improved_description, new_topic, secondary_topics, reasoning }) {
+    const secondary = normalizeSecondaryTopics(secondary_topics, action === 'assign' ? topic_id : null);
+    if (secondary.error) {
+      return { error: secondary.error };
+    }
+    const secondaryTopics = secondary.topics.length > 0 ? { secondary_topics: secondary.topics } : {};
+
     if (action === 'assign') {
       if (!topic_id) {
         return { error: 'topic_id is required when action is "assign"' };
@@ -194,6 +336,7 @@ export const toolHandlers = {
         action: 'assign',
         topic_id,
         topic_name: topic_name || 'Unknown',
+        ...secondaryTopics,
         reasoning,
       };
       // Include improved name/description if provided
@@ -213,6 +356,7 @@ export const toolHandlers = {
         name: new_topic.name,
         description: new_topic.description || `Messages about ${new_topic.name}`,
         keywords: new_topic.keywords || [],
+        ...secondaryTopics,
         reasoning,
       };
     } else {
@@ -225,14 +369,15 @@ export const toolHandlers = {
  * Execute a tool call by name
  * @param {string} toolName - Tool name
  * @param {Object} args - Tool arguments
+ * @param {Object} context - Tool context ({ message, channelInfo, session, llm }) of the message being categorized
  * @returns {Promise<Object>} Tool result
  */
-export async function executeToolCall(toolName, args) {
+export async function executeToolCall(toolName, args, context = {}) {
   const handler = toolHandlers[toolName];
   
   if (!handler) {
     throw new Error(`Unknown tool: ${toolName}`);
   }
 
-  return handler.call(toolHandlers, args);
+  return handler.call(toolHandlers, args, context);
 }
@@ -2,4 +2,4 @@
  * Tools barrel export
  */
 export { tools } from './definitions.js';
-export { toolHandlers, executeToolCall, setCurrentContext } from './handlers.js';
+export { toolHandlers, executeToolCall } from './handlers.js';
@@ -0,0 +1,93 @@
+/**
+ * Topic activity utilities
+ * A topic's activity is an exponentially decayed message count: every message
+ * adds 1, and the total halves every half-life. It is stored as of the topic's
+ * lastMessageAt and decayed to "now" when read.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Decay multiplier between two points in time
+ * @param {string|Date} from - Earlier time
+ * @param {string|Date} to - Later time (earlier times count as no decay)
+ * @param {number} halfLifeHours - Half-life in hours
+ * @returns {number} Multiplier (0-1)
+ */
+export function decayFactor(from, to, halfLifeHours) {
+  const hours = Math.max(new Date(to).getTime() - new Date(from).getTime(), 0) / HOUR_MS;
+  return Math.pow(0.5, hours / halfLifeHours);
+}
+
+/**
+ * Add one message to a topic's activity
+ * Messages older than lastMessageAt (backfills, replays) add their already-decayed weight
+ * @param {Object} activity - Stored activity ({ lastMessageAt, activityScore }), fields may be missing
+ * @param {string} postedAt - When the message was posted (ISO)
+ * @param {number} halfLifeHours - Half-life in hours
+ * @returns {Object} { lastMessageAt, activityScore }
+ */
+export function recordActivity(activity, postedAt, halfLifeHours) {
+  const { lastMessageAt = null, activityScore = 0 } = activity || {};
+
+  if (!lastMessageAt || new Date(postedAt) >= new Date(lastMessageAt)) {
+    return {
+      lastMessageAt: postedAt,
+      activityScore: (lastMessageAt ? activityScore * decayFactor(lastMessageAt, postedAt, halfLifeHours) : 0) + 1,
+    };
+  }
+  return {
+    lastMessageAt,
+    activityScore: activityScore + decayFactor(postedAt, lastMessageAt, halfLifeHours),
+  };
+}
+
+/**
+ * Combine the activity of several topics (e.g. merged topics)
+ * @param {Array<Object>} parts - [{ lastMessageAt, activityScore }], parts without lastMessageAt are ignored
+ * @param {number} halfLifeHours - Half-life in hours
+ * @returns {Object} { lastMessageAt, activityScore } - lastMessageAt is null when no part had activity
+ */
+export function combineActivity(parts, halfLifeHours) {
+  const active = parts.filter(part => part?.lastMessageAt);
+  if (active.length === 0) return { lastMessageAt: null, activityScore: 0 };
+
+  const lastMessageAt = active
+    .map(part => part.lastMessageAt)
+    .reduce((latest, value) => (new Date(value) > new Date(latest) ? value : latest));
+  const activityScore = active.reduce((sum, part) => (
+    sum + (part.activityScore || 0) * decayFactor(part.lastMessageAt, lastMessageAt, halfLifeHours)
+  ), 0);
+
+  return { lastMessageAt, activityScore };
+}
+
+/**
+ * A topic's activity decayed to a point in time
+ * Topics stored before activity tracking fall back to updatedAt and their lifetime messageCount
+ * @param {Object} topic - Topic ({ lastMessageAt, activityScore, updatedAt, messageCount })
+ * @param {number} halfLifeHours - Half-life in hours
+ * @param {Date} now - Point in time (default: now)
+ * @returns {Object} { lastMessageAt, recency, activity } - recency is 1 at lastMessageAt and halves every half-life, 0 if unknown
+ */
+export function currentActivity(topic, halfLifeHours, now = new Date()) {
+  const lastMessageAt = topic.lastMessageAt || topic.updatedAt || null;
+  if (!lastMessageAt) return { lastMessageAt: null, recency: 0, activity: 0 };
+
+  const recency = decayFactor(lastMessageAt, now, halfLifeHours);
+  const stored = topic.lastMessageAt ? topic.activityScore || 0 : topic.messageCount || 0;
+  return { lastMessageAt, recency, activity: stored * recency };
+}
+
+/**
+ * Short human-readable age (e.g. "5m", "3h", "12d")
+ * @param {string|Date} since - Earlier time
+ * @param {Date} now - Point in time (default: now)
+ * @returns {string} Age
+ */
+export function formatAge(since, now = new Date()) {
+  const minutes = Math.max(Math.round((now.getTime() - new Date(since).getTime()) / 60000), 0);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h`;
+  return `${Math.round(minutes / (24 * 60))}d`;
+}
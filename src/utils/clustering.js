@@ -0,0 +1,142 @@
+/**
+ * Vector clustering utilities
+ */
+import { cosineSimilarity } from './similarity.js';
+
+/**
+ * Average a list of vectors
+ * @param {Array<Array<number>>} vectors - Vectors of equal length
+ * @returns {Array<number>} Mean vector (empty if no vectors)
+ */
+export function meanVector(vectors) {
+  const nonEmpty = vectors.filter(v => v?.length > 0);
+  if (nonEmpty.length === 0) return [];
+
+  const mean = new Array(nonEmpty[0].length).fill(0);
+  for (const vector of nonEmpty) {
+    for (let i = 0; i < mean.length; i++) mean[i] += vector[i];
+  }
+  return mean.map(value => value / nonEmpty.length);
+}
+
+/**
+ * Combine weighted means into one (e.g. the centroids of merged topics)
+ * @param {Array<Object>} parts - [{ centroid, count }], parts without a centroid are ignored
+ * @returns {Object} { centroid, count } - centroid is null when count is 0
+ */
+export function combineCentroids(parts) {
+  const weighted = parts.filter(part => part.centroid?.length > 0 && part.count > 0);
+  const count = weighted.reduce((sum, part) => sum + part.count, 0);
+  if (count === 0) return { centroid: null, count: 0 };
+
+  const sum = new Array(weighted[0].centroid.length).fill(0);
+  for (const { centroid, count: weight } of weighted) {
+    for (let i = 0; i < sum.length; i++) sum[i] += centroid[i] * weight;
+  }
+  return { centroid: sum.map(value => value / count), count };
+}
+
+/**
+ * Update a running-mean centroid with added and removed member vectors
+ * @param {Array<number>|null} centroid - Current centroid
+ * @param {number} count - Vectors averaged into the current centroid
+ * @param {Object} changes - Changes
+ * @param {Array<Array<number>>} changes.add - Vectors to add
+ * @param {Array<Array<number>>} changes.remove - Vectors to remove
+ * @returns {Object} { centroid, count } - centroid is null when no members are left
+ */
+export function updateCentroid(centroid, count, { add = [], remove = [] } = {}) {
+  const added = add.filter(v => v?.length > 0);
+  const removed = remove.filter(v => v?.length > 0);
+  const current = centroid?.length > 0 ? count : 0;
+  const newCount = current + added.length - removed.length;
+  if (newCount <= 0) return { centroid: null, count: 0 };
+
+  const dimensions = (centroid?.length > 0 ? centroid : added[0] || removed[0]).length;
+  const sum = current > 0 ? centroid.map(value => value * current) : new Array(dimensions).fill(0);
+  for (const vector of added) {
+    for (let i = 0; i < dimensions; i++) sum[i] += vector[i];
+  }
+  for (const vector of removed) {
+    for (let i = 0; i < dimensions; i++) sum[i] -= vector[i];
+  }
+  return { centroid: sum.map(value => value / newCount), count: newCount };
+}
+
+/**
+ * Pick initial centroids deterministically (farthest-point seeding)
+ * Starts from the first vector, then repeatedly adds the vector least similar to any chosen centroid
+ * @param {Array<Array<number>>} vectors - Vectors
+ * @param {number} k - Number of centroids
+ * @returns {Array<Array<number>>} Initial centroids
+ */
+function seedCentroids(vectors, k) {
+  const centroids = [vectors[0]];
+  while (centroids.length < k) {
+    let farthest = null;
+    let lowestSimilarity = Infinity;
+    for (const vector of vectors) {
+      const closest = Math.max(...centroids.map(c => cosineSimilarity(vector, c)));
+      if (closest < lowestSimilarity) {
+        lowestSimilarity = closest;
+        farthest = vector;
+      }
+    }
+    centroids.push(farthest);
+  }
+  return centroids;
+}
+
+/**
+ * Cluster vectors with k-means using cosine similarity
+ * @param {Array<Array<number>>} vectors - Vectors to cluster
+ * @param {number} k - Number of clusters
+ * @param {Object} options - Options
+ * @param {number} options.maxIterations - Iteration cap (default: 50)
+ * @returns {Object} { assignments: cluster index per vector, centroids }
+ */
+export function kMeans(vectors, k, options = {}) {
+  const { maxIterations = 50 } = options;
+  const clusterCount = Math.min(k, vectors.length);
+  if (clusterCount === 0) return { assignments: [], centroids: [] };
+
+  let centroids = seedCentroids(vectors, clusterCount);
+  let assignments = new Array(vectors.length).fill(-1);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+
+    assignments = assignments.map((current, i) => {
+      let best = 0;
+      let bestSimilarity = -Infinity;
+      centroids.forEach((centroid, c) => {
+        const similarity = cosineSimilarity(vectors[i], centroid);
+        if (similarity > bestSimilarity) {
+          bestSimilarity = similarity;
+          best = c;
+        }
+      });
+      if (best !== current) changed = true;
+      return best;
+    });
+
+    if (!changed) break;
+
+    centroids = centroids.map((centroid, c) => {
+      const members = vectors.filter((_, i) => assignments[i] === c);
+      return members.length > 0 ? meanVector(members) : centroid;
+    });
+  }
+
+  return { assignments, centroids };
+}
+
+/**
+ * Pick a cluster count for a number of items
+ * @param {number} itemCount - Number of items
+ * @param {number} maxClusters - Upper bound
+ * @returns {number} Cluster count (at least 2)
+ */
+export function suggestClusterCount(itemCount, maxClusters = 8) {
+  return Math.max(2, Math.min(maxClusters, Math.round(Math.sqrt(itemCount / 2))));
+}
@@ -25,15 +25,18 @@ export function buildTopicEmbeddingText(topic) {
 
 /**
  * Build embedding text for messages with context window
- * @param {Object} message - Message object
+ * Stored as the vectorized field of SlackMessage
+ * @param {Object} message - Message object (enriched_text or clean_text from preprocessMessage is used when present)
  * @param {Object} context - Context object with recent messages
+ * @param {Array<Object>} context.recent - Earlier messages of the same conversation, most recent first
  * @returns {string} Combined embedding text
  */
 export function buildMessageEmbeddingText(message, context) {
-  const parts = [`MESSAGE: ${message.text}`];
+  const text = message.enriched_text ?? message.clean_text ?? message.text;
+  const parts = [`MESSAGE: ${text}`];
   
   // Add conversation context for short messages
-  if (message.text.length < 50 && context?.recent?.length > 0) {
+  if (text.length < 50 && context?.recent?.length > 0) {
     parts.push(`CONTEXT:`);
     context.recent.slice(0, 3).forEach(msg => {
       parts.push(`- ${msg.text}`);
@@ -0,0 +1,55 @@
+/**
+ * Deterministic object ID utilities
+ */
+import crypto from 'crypto';
+import { MESSAGE_ID_NAMESPACE } from '../config/constants.js';
+
+/**
+ * Convert a UUID string to bytes
+ * @param {string} uuid - UUID string
+ * @returns {Buffer} 16 bytes
+ */
+function uuidToBytes(uuid) {
+  return Buffer.from(uuid.replace(/-/g, ''), 'hex');
+}
+
+/**
+ * Generate a name-based UUID (version 5, SHA-1) as defined in RFC 4122
+ * @param {string} name - Name to hash
+ * @param {string} namespace - Namespace UUID
+ * @returns {string} UUID string
+ */
+export function uuidv5(name, namespace) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(Buffer.concat([uuidToBytes(namespace), Buffer.from(name, 'utf-8')]))
+    .digest();
+
+  const bytes = hash.subarray(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x50; // Version 5
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Get the deterministic SlackMessage object ID for a message
+ * The same channel + timestamp always maps to the same ID, so replays upsert
+ * @param {string} channelId - Channel ID
+ * @param {string} timestamp - Message timestamp (Slack ts)
+ * @returns {string} UUID
+ */
+export function messageObjectId(channelId, timestamp) {
+  return uuidv5(`${channelId}:${timestamp}`, MESSAGE_ID_NAMESPACE);
+}
+
+/**
+ * Extract the object ID from a Weaviate reference beacon
+ * e.g. "weaviate://localhost/Topic/<uuid>" → "<uuid>"
+ * @param {Object} reference - Reference object with a beacon
+ * @returns {string|null} Object ID
+ */
+export function idFromBeacon(reference) {
+  return reference?.beacon?.split('/').pop() || null;
+}
@@ -5,3 +5,9 @@ export * from './text.js';
 export * from './similarity.js';
 export * from './embedding.js';
 export * from './logger.js';
+export * from './ids.js';
+export * from './jsonl.js';
+export * from './clustering.js';
+export * from './lock.js';
+export * from './activity.js';
+export * from './language.js';
@@ -0,0 +1,36 @@
+/**
+ * JSON Lines file helpers for small local histories
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Append a record to a JSONL file (creates the directory if needed)
+ * @param {string} filePath - File path
+ * @param {Object} record - Record to append
+ * @returns {Promise<void>}
+ */
+export async function appendJsonl(filePath, record) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify(record)}\n`);
+}
+
+/**
+ * Read all records from a JSONL file
+ * @param {string} filePath - File path
+ * @returns {Promise<Array<Object>>} Records (empty if the file does not exist)
+ */
+export async function readJsonl(filePath) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return data
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
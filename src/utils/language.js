@@ -0,0 +1,96 @@
+/**
+ * Script and language utilities for mixed Persian/English text
+ */
+
+// Arabic-script letter variants folded to their Persian forms
+const LETTER_VARIANTS = {
+  'ي': 'ی', 'ى': 'ی',
+  'ك': 'ک',
+  'ة': 'ه', 'ۀ': 'ه',
+  'أ': 'ا', 'إ': 'ا', 'ٱ': 'ا',
+  'ؤ': 'و',
+};
+const LETTER_VARIANT_PATTERN = new RegExp(`[${Object.keys(LETTER_VARIANTS).join('')}]`, 'g');
+
+// Harakat, superscript alef and tatweel carry no meaning for matching
+const ARABIC_MARKS = /[\u064B-\u065F\u0670\u0640]/g;
+
+// ZWNJ joins Persian compounds (می‌خواهم = میخواهم); other invisible format characters go too
+const INVISIBLE = /[\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+// Script → language of its tokens
+const SCRIPT_LANGUAGES = { arabic: 'fa', latin: 'en' };
+
+// Share of a message's letters one script needs for the message to count as that language
+const DOMINANT_SCRIPT_SHARE = 0.8;
+
+/**
+ * Fold script variants so the same word always compares equal
+ * - Persian (۰-۹) and Arabic-Indic (٠-٩) digits → ASCII digits
+ * - Arabic ي/ك/ة/أ... → Persian ی/ک/ه/ا
+ * - Diacritics, tatweel, ZWNJ and bidi marks removed
+ * @param {string} text - Text
+ * @returns {string} Folded text
+ */
+export function normalizeScript(text) {
+  if (!text) return '';
+  return text
+    .normalize('NFKC')
+    .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(LETTER_VARIANT_PATTERN, letter => LETTER_VARIANTS[letter])
+    .replace(ARABIC_MARKS, '')
+    .replace(INVISIBLE, '');
+}
+
+/**
+ * Split text into folded, lowercased word tokens (letters and digits of any script)
+ * @param {string} text - Text
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return normalizeScript(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Script of a token
+ * @param {string} token - Token
+ * @returns {string} 'arabic' | 'latin' | 'other'
+ */
+export function tokenScript(token) {
+  if (/\p{Script=Arabic}/u.test(token)) return 'arabic';
+  if (/\p{Script=Latin}/u.test(token)) return 'latin';
+  return 'other';
+}
+
+/**
+ * Language whose tables apply to a token (by script; digits and symbols count as English)
+ * @param {string} token - Token
+ * @returns {string} Language code
+ */
+export const tokenLanguage = token => SCRIPT_LANGUAGES[tokenScript(token)] || 'en';
+
+/**
+ * Detect the language of a message from the scripts of its letters
+ * @param {string} text - Message text
+ * @returns {string|null} 'fa' | 'en' | 'mixed', null if the text has no letters
+ */
+export function detectLanguage(text) {
+  const letters = normalizeScript(text).match(/\p{L}/gu) || [];
+  if (letters.length === 0) return null;
+
+  const counts = {};
+  for (const letter of letters) {
+    const script = tokenScript(letter);
+    counts[script] = (counts[script] || 0) + 1;
+  }
+
+  const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  if (count / letters.length < DOMINANT_SCRIPT_SHARE) return 'mixed';
+  return SCRIPT_LANGUAGES[script] || null;
+}
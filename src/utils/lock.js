@@ -0,0 +1,33 @@
+/**
+ * Keyed async lock
+ * Serializes work that shares a key (e.g. read-modify-write of one topic)
+ */
+
+/**
+ * Create a keyed lock
+ * @returns {Object} Lock with run(key, fn)
+ */
+export function createKeyedLock() {
+  const tails = new Map();
+
+  return {
+    /**
+     * Run fn after every earlier fn with the same key has settled
+     * @param {string} key - Lock key
+     * @param {Function} fn - Async function
+     * @returns {Promise<*>} fn's result
+     */
+    async run(key, fn) {
+      const previous = tails.get(key) || Promise.resolve();
+      const current = previous.catch(() => {}).then(fn);
+      const tail = current.catch(() => {});
+      tails.set(key, tail);
+
+      try {
+        return await current;
+      } finally {
+        if (tails.get(key) === tail) tails.delete(key);
+      }
+    },
+  };
+}
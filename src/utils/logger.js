@@ -54,6 +54,32 @@ export function logToolResult(toolName, result) {
       }
       break;
 
+    case 'find_similar_messages':
+      if (result.messages?.length > 0) {
+        console.log(`         🪞 Found ${result.messages.length} similar messages:`);
+        result.messages.slice(0, 3).forEach((m, i) => {
+          const topicInfo = m.topic_name ? ` → [${m.topic_name}]` : '';
+          console.log(`            ${i + 1}. "${truncate(m.text, 40)}"${topicInfo}`);
+        });
+      } else {
+        console.log(`         🪞 No similar messages found`);
+      }
+      if (result.topics?.length > 0) {
+        console.log(`         📊 Topics: ${result.topics.slice(0, 3).map(t => `${t.topic_name} (${t.message_count})`).join(', ')}`);
+      }
+      break;
+
+    case 'propose_glossary_term':
+      if (result.status === 'proposed') {
+        console.log(`         📖 Proposed glossary term "${result.term}" (${result.pending_proposals} pending)`);
+      } else if (result.status) {
+        console.log(`         📖 Glossary term "${result.term}" not proposed: ${result.status}`);
+      }
+      if (result.error) {
+        console.log(`         ❌ Error: ${result.error}`);
+      }
+      break;
+
     default:
       if (result.error) {
         console.log(`         ❌ Error: ${result.error}`);
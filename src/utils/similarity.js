@@ -10,8 +10,11 @@ import { normalizeText } from './text.js';
  * @returns {number} Edit distance
  */
 export function levenshteinDistance(str1, str2) {
-  const m = str1.length;
-  const n = str2.length;
+  // Compare code points, not UTF-16 units
+  const a = Array.from(str1);
+  const b = Array.from(str2);
+  const m = a.length;
+  const n = b.length;
   const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
 
   for (let i = 0; i <= m; i++) dp[i][0] = i;
@@ -19,7 +22,7 @@ export function levenshteinDistance(str1, str2) {
 
   for (let i = 1; i <= m; i++) {
     for (let j = 1; j <= n; j++) {
-      if (str1[i - 1] === str2[j - 1]) {
+      if (a[i - 1] === b[j - 1]) {
         dp[i][j] = dp[i - 1][j - 1];
       } else {
         dp[i][j] = 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
@@ -39,10 +42,11 @@ export function fuzzySimilarity(str1, str2) {
   const s1 = normalizeText(str1);
   const s2 = normalizeText(str2);
   
+  // Text with nothing comparable left (e.g. only emoji) is only similar to itself
+  if (!s1 || !s2) return (str1 || '') === (str2 || '') ? 1.0 : 0;
   if (s1 === s2) return 1.0;
-  if (!s1 || !s2) return 0;
   
-  const maxLen = Math.max(s1.length, s2.length);
+  const maxLen = Math.max(Array.from(s1).length, Array.from(s2).length);
   if (maxLen === 0) return 1.0;
   
   const distance = levenshteinDistance(s1, s2);
@@ -74,3 +78,36 @@ export function keywordOverlap(keywords1, keywords2) {
   const unionSize = new Set([...set1, ...set2]).size;
   return matches / unionSize;
 }
+
+/**
+ * Calculate cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity (-1 to 1), 0 if either vector is empty
+ */
+export function cosineSimilarity(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Check whether an edit changes a message enough to re-categorize it
+ * @param {string} previousText - Text before the edit
+ * @param {string} editedText - Text after the edit
+ * @param {number} threshold - Similarity below which the edit is substantive
+ * @returns {boolean} True if the edit is substantive
+ */
+export function isSubstantiveEdit(previousText, editedText, threshold) {
+  return fuzzySimilarity(previousText, editedText) < threshold;
+}
@@ -1,7 +1,10 @@
 /**
  * Text processing utilities
  */
-import { TEXT_PREVIEW_LENGTH, ABBREVIATIONS, STOP_WORDS } from '../config/constants.js';
+import { TEXT_PREVIEW_LENGTH } from '../config/constants.js';
+import { getLanguageTable } from '../config/language.js';
+import { matchGlossary } from '../config/glossary.js';
+import { tokenize, tokenLanguage } from './language.js';
 
 /**
  * Calculate minutes between two timestamps
@@ -12,6 +15,13 @@ import { TEXT_PREVIEW_LENGTH, ABBREVIATIONS, STOP_WORDS } from '../config/consta
 export const getMinutesBetween = (ts1, ts2) => 
   Math.round((parseFloat(ts1) - parseFloat(ts2)) / 60);
 
+/**
+ * Convert a Slack timestamp to an ISO date
+ * @param {string} ts - Slack timestamp ("1700000000.000100")
+ * @returns {string} ISO date
+ */
+export const slackTsToIso = ts => new Date(parseFloat(ts) * 1000).toISOString();
+
 /**
  * Truncate text to a maximum length
  * @param {string} text - Text to truncate
@@ -25,46 +35,51 @@ export const truncate = (text, maxLength = TEXT_PREVIEW_LENGTH) => {
 
 /**
  * Normalize text for comparison
+ * - Folds Persian/Arabic digit and letter variants, drops ZWNJ and diacritics
  * - Converts to lowercase
- * - Expands abbreviations
- * - Removes special characters
+ * - Removes special characters (letters and digits of any script are kept)
+ * - Expands abbreviations from the table of each token's language
  * @param {string} text - Text to normalize
  * @returns {string} Normalized text
  */
 export function normalizeText(text) {
   if (!text) return '';
-  let normalized = text.toLowerCase().trim();
-  
-  for (const [abbr, full] of Object.entries(ABBREVIATIONS)) {
-    const regex = new RegExp(`\\b${abbr}\\b`, 'gi');
-    normalized = normalized.replace(regex, full);
-  }
-  
-  normalized = normalized.replace(/[^a-z0-9\s]/g, ' ');
-  normalized = normalized.replace(/\s+/g, ' ').trim();
-  
-  return normalized;
+
+  return tokenize(text)
+    .map(token => getLanguageTable(tokenLanguage(token)).abbreviations.get(token) || token)
+    .join(' ');
 }
 
 /**
  * Extract keywords from text
+ * Glossary terms found in the text come first, with their expansions
+ * (e.g. "CM" → "cm", "campaign monitor")
  * @param {string} text - Text to extract keywords from
  * @returns {Array<string>} Extracted keywords
  */
 export function extractKeywords(text) {
   if (!text) return [];
+
+  const glossaryKeywords = matchGlossary(text)
+    .flatMap(match => [match.term, ...match.expansions])
+    .map(normalizeText);
   
+  // Stop words and minimum length come from each token's own language
   const words = normalizeText(text)
     .split(/\s+/)
-    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+    .filter((word) => {
+      const table = getLanguageTable(tokenLanguage(word));
+      return word.length >= table.minKeywordLength && !table.stopWords.has(word);
+    });
   
   const freq = {};
   for (const word of words) {
     freq[word] = (freq[word] || 0) + 1;
   }
   
-  return Object.entries(freq)
+  const frequent = Object.entries(freq)
     .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
     .map(([word]) => word);
+
+  return [...new Set([...glossaryKeywords, ...frequent])].slice(0, 10);
 }
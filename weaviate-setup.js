@@ -1,5 +1,7 @@
 import weaviate from 'weaviate-ts-client';
 import dotenv from 'dotenv';
+import { classNames } from './src/config/namespace.js';
+import { TOPIC_VECTORS } from './src/config/constants.js';
 
 dotenv.config();
 
@@ -17,19 +19,20 @@ const client = weaviate.client({
  * Delete all existing data and schema
  */
 async function resetDatabase() {
+  const { topic: topicClassName, message: messageClassName } = classNames();
   console.log('🗑️  Resetting Weaviate database...\n');
 
   try {
     const schema = await client.schema.getter().do();
     const existingClasses = schema.classes.map(c => c.class);
 
-    if (existingClasses.includes('Topic')) {
-      console.log('   Deleting Topic class and all its data...');
-      await client.schema.classDeleter().withClassName('Topic').do();
+    if (existingClasses.includes(topicClassName)) {
+      console.log(`   Deleting ${topicClassName} class and all its data...`);
+      await client.schema.classDeleter().withClassName(topicClassName).do();
     }
-    if (existingClasses.includes('SlackMessage')) {
-      console.log('   Deleting SlackMessage class and all its data...');
-      await client.schema.classDeleter().withClassName('SlackMessage').do();
+    if (existingClasses.includes(messageClassName)) {
+      console.log(`   Deleting ${messageClassName} class and all its data...`);
+      await client.schema.classDeleter().withClassName(messageClassName).do();
     }
 
     console.log('✅ Database reset complete!\n');
@@ -41,33 +44,44 @@ async function resetDatabase() {
 }
 
 async function setupSchema() {
+  const { topic: topicClassName, message: messageClassName } = classNames();
   console.log('🚀 Setting up Weaviate schema (OPTIMIZED)...\n');
 
   try {
     const schema = await client.schema.getter().do();
     const existingClasses = schema.classes.map(c => c.class);
 
-    if (existingClasses.includes('Topic')) {
-      console.log('🗑️  Deleting existing Topic class...');
-      await client.schema.classDeleter().withClassName('Topic').do();
+    if (existingClasses.includes(topicClassName)) {
+      console.log(`🗑️  Deleting existing ${topicClassName} class...`);
+      await client.schema.classDeleter().withClassName(topicClassName).do();
     }
-    if (existingClasses.includes('SlackMessage')) {
-      console.log('🗑️  Deleting existing SlackMessage class...');
-      await client.schema.classDeleter().withClassName('SlackMessage').do();
+    if (existingClasses.includes(messageClassName)) {
+      console.log(`🗑️  Deleting existing ${messageClassName} class...`);
+      await client.schema.classDeleter().withClassName(messageClassName).do();
     }
 
     // =========================================================================
-    // TOPIC CLASS - Optimized for single-field vectorization
+    // TOPIC CLASS - description vector (single field) + message centroid vector
     // =========================================================================
     const topicClass = {
-      class: 'Topic',
+      class: topicClassName,
       description: 'A conversation topic derived from Slack messages',
-      vectorizer: 'text2vec-openai',
-      moduleConfig: {
-        'text2vec-openai': {
-          model: 'text-embedding-3-small',
-          type: 'text',
-          // Removed modelVersion - not needed for embedding-3 models
+      // Two named vectors: what the topic says it is, and what its messages actually say
+      vectorConfig: {
+        [TOPIC_VECTORS.description]: {
+          vectorizer: {
+            'text2vec-openai': {
+              model: 'text-embedding-3-small',
+              type: 'text',
+              properties: ['combinedSearchText'],
+              vectorizeClassName: false,
+            },
+          },
+          vectorIndexType: 'hnsw',
+        },
+        [TOPIC_VECTORS.centroid]: {
+          vectorizer: { none: {} }, // Maintained by the app as messages join and leave
+          vectorIndexType: 'hnsw',
         },
       },
       // Configure inverted index for BM25
@@ -160,6 +174,53 @@ async function setupSchema() {
           indexFilterable: true,
           indexSearchable: false,
         },
+        {
+          name: 'lastMessageAt',
+          dataType: ['date'],
+          description: 'When the most recent message in this topic was posted',
+          indexFilterable: true,
+          indexSearchable: false,
+        },
+        {
+          name: 'activityScore',
+          dataType: ['number'],
+          description: 'Decayed message count as of lastMessageAt (halves every activity half-life)',
+          indexFilterable: false,
+          indexSearchable: false,
+        },
+        {
+          name: 'artifactKinds',
+          dataType: ['text[]'],
+          description: 'Artifact labels of the topic\'s messages (PDF, Figma, Loom, Code...)',
+          indexFilterable: true,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+            },
+          },
+        },
+        {
+          name: 'secondaryMessageCount',
+          dataType: ['int'],
+          description: 'Number of messages that list this topic as a secondary topic',
+          indexFilterable: true,
+          indexSearchable: false,
+        },
+        {
+          name: 'secondaryWeight',
+          dataType: ['number'],
+          description: 'Sum of the weights of those secondary memberships (weighted count = messageCount + secondaryWeight)',
+          indexFilterable: false,
+          indexSearchable: false,
+        },
+        {
+          name: 'centroidCount',
+          dataType: ['int'],
+          description: 'Number of message vectors averaged into the centroid vector',
+          indexFilterable: false,
+          indexSearchable: false,
+        },
         {
           name: 'createdAt',
           dataType: ['date'],
@@ -177,14 +238,25 @@ async function setupSchema() {
       ],
     };
 
-    console.log('✅ Creating Topic class (single-field vectorization)...');
+    console.log(`✅ Creating ${topicClassName} class (description + centroid vectors)...`);
     await client.schema.classCreator().withClass(topicClass).do();
 
+    // Self-reference, so it can only be added once the class exists
+    await client.schema
+      .propertyCreator()
+      .withClassName(topicClassName)
+      .withProperty({
+        name: 'branchedFrom',
+        dataType: [topicClassName],
+        description: 'Topics this one branched off when a thread drifted to a new subject',
+      })
+      .do();
+
     // =========================================================================
     // SLACK MESSAGE CLASS
     // =========================================================================
     const messageClass = {
-      class: 'SlackMessage',
+      class: messageClassName,
       description: 'A Slack message with its metadata',
       vectorizer: 'text2vec-openai',
       moduleConfig: {
@@ -206,10 +278,36 @@ async function setupSchema() {
           dataType: ['text'],
           description: 'The message text content',
           indexFilterable: false,
+          indexSearchable: true,  // BM25 runs on the raw text only
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,  // ✅ DON'T vectorize - included in embeddingText
+              vectorizePropertyName: false,
+            },
+          },
+        },
+        {
+          name: 'cleanText',
+          dataType: ['text'],
+          description: 'Message text with mentions resolved and Slack mrkdwn removed (preprocessMessage)',
+          indexFilterable: false,
           indexSearchable: true,
           moduleConfig: {
             'text2vec-openai': {
-              skip: false,  // ✅ Vectorize message text
+              skip: true,
+              vectorizePropertyName: false,
+            },
+          },
+        },
+        {
+          name: 'embeddingText',
+          dataType: ['text'],
+          description: 'SINGLE vectorized field: message text + conversation context (buildMessageEmbeddingText)',
+          indexFilterable: false,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: false,  // ✅ ONLY this field gets vectorized
               vectorizePropertyName: false,
             },
           },
@@ -274,6 +372,91 @@ async function setupSchema() {
             },
           },
         },
+        {
+          name: 'artifactText',
+          dataType: ['text'],
+          description: 'Description of the shared files, snippets, link unfurls and attachments (artifactText)',
+          indexFilterable: false,
+          indexSearchable: true,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+              vectorizePropertyName: false,
+            },
+          },
+        },
+        {
+          name: 'artifactKinds',
+          dataType: ['text[]'],
+          description: 'Artifact labels: file types, link services, Code (PDF, Figma, Loom...)',
+          indexFilterable: true,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+            },
+          },
+        },
+        {
+          name: 'artifacts',
+          dataType: ['text'],
+          description: 'JSON of the files, snippets, link unfurls, attachments and blocks parsed from the message',
+          indexFilterable: false,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+            },
+          },
+        },
+        {
+          name: 'mentionedUsers',
+          dataType: ['text[]'],
+          description: 'IDs of the users mentioned in the message',
+          indexFilterable: true,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+            },
+          },
+        },
+        {
+          name: 'linkDomains',
+          dataType: ['text[]'],
+          description: 'Domains of the links in the message (loom.com, github.com...)',
+          indexFilterable: true,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+            },
+          },
+        },
+        {
+          name: 'entities',
+          dataType: ['text'],
+          description: 'JSON of the mentions, channels, links and broadcasts parsed from the message',
+          indexFilterable: false,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+            },
+          },
+        },
+        {
+          name: 'language',
+          dataType: ['text'],
+          description: 'Detected language: fa, en or mixed',
+          indexFilterable: true,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+            },
+          },
+        },
         {
           name: 'threadTs',
           dataType: ['text'],
@@ -288,9 +471,33 @@ async function setupSchema() {
         },
         {
           name: 'topic',
-          dataType: ['Topic'],
+          dataType: [topicClassName],
           description: 'The topic this message belongs to',
         },
+        {
+          name: 'secondaryTopics',
+          dataType: [topicClassName],
+          description: 'Other topics the message also covers (multi-label categorization)',
+        },
+        {
+          name: 'secondaryTopicWeights',
+          dataType: ['text'],
+          description: 'JSON object of secondary topic ID to weight (0-1, the primary topic counts as 1)',
+          indexFilterable: false,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+            },
+          },
+        },
+        {
+          name: 'postedAt',
+          dataType: ['date'],
+          description: 'When the message was posted (from the Slack ts), for date filters',
+          indexFilterable: true,
+          indexSearchable: false,
+        },
         {
           name: 'processedAt',
           dataType: ['date'],
@@ -298,19 +505,38 @@ async function setupSchema() {
           indexFilterable: true,
           indexSearchable: false,
         },
+        {
+          name: 'editedAt',
+          dataType: ['date'],
+          description: 'When this message was last edited in Slack',
+          indexFilterable: true,
+          indexSearchable: false,
+        },
+        {
+          name: 'sessionId',
+          dataType: ['text'],
+          description: 'Conversation session (channel traffic split by idle gaps)',
+          indexFilterable: true,
+          indexSearchable: false,
+          moduleConfig: {
+            'text2vec-openai': {
+              skip: true,
+            },
+          },
+        },
       ],
     };
 
-    console.log('✅ Creating SlackMessage class...');
+    console.log(`✅ Creating ${messageClassName} class...`);
     await client.schema.classCreator().withClass(messageClass).do();
 
     console.log('\n✨ Schema setup completed successfully!\n');
     console.log('Vectorization strategy:');
-    console.log('  - Topic: ONLY "combinedSearchText" is vectorized');
-    console.log('  - SlackMessage: ONLY "text" is vectorized');
+    console.log(`  - Topic: named vectors "${TOPIC_VECTORS.description}" (from combinedSearchText) and "${TOPIC_VECTORS.centroid}" (mean of its messages' vectors, kept by the app)`);
+    console.log('  - SlackMessage: ONLY "embeddingText" is vectorized (message text + conversation context)');
     console.log('\nBM25 searchable fields:');
     console.log('  - Topic: name, description, keywords, combinedSearchText');
-    console.log('  - SlackMessage: text, userName, channelName\n');
+    console.log('  - SlackMessage: text, cleanText, artifactText, userName, channelName\n');
 
     return true;
   } catch (error) {
@@ -0,0 +1,56 @@
+/**
+ * Webhook Server
+ * Receives real Slack Events API callbacks and categorizes messages
+ */
+import dotenv from 'dotenv';
+import { createSlackEventsServer, EVENTS_PATH } from './src/server/index.js';
+import { openJobQueue } from './src/queue/index.js';
+import { getContextStore } from './src/context/stores/index.js';
+import { describeSearchConfig } from './src/config/search.js';
+
+dotenv.config();
+
+/**
+ * Main execution
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const port = parseInt(args.find(arg => arg.startsWith('--port='))?.split('=')[1] || process.env.PORT || '3000');
+
+  if (!process.env.SLACK_SIGNING_SECRET) {
+    throw new Error('SLACK_SIGNING_SECRET is not set');
+  }
+
+  const queue = await openJobQueue();
+  const { server, worker } = createSlackEventsServer({ queue });
+
+  await new Promise(resolve => server.listen(port, resolve));
+  worker.start();
+
+  console.log('⚙️  Configuration:');
+  console.log(`   Port: ${port}`);
+  console.log(`   Events URL: http://localhost:${port}${EVENTS_PATH}`);
+  console.log(`   Job queue: ${queue.filePath} (${JSON.stringify(queue.stats())})`);
+  console.log(`   Context store: ${getContextStore().name}`);
+  console.log(`   Search: ${describeSearchConfig()}`);
+  console.log(`\n👂 Listening for Slack events...\n`);
+
+  const shutdown = () => {
+    console.log('\n👋 Shutting down...');
+    server.close(async () => {
+      await worker.stop();
+      await getContextStore().close();
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('\n💥 Fatal error:', error);
+    process.exit(1);
+  });
+}
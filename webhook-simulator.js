@@ -1,10 +1,14 @@
 /**
  * Webhook Simulator
- * Processes Slack messages from a JSON file and categorizes them
+ * Processes Slack messages from one or more JSON exports and categorizes them
  */
 import fs from 'fs/promises';
 import dotenv from 'dotenv';
 import { categorizeMessage, getAllTopics } from './src/index.js';
+import { openJobQueue, createQueueWorker, createJobHandlers, jobOrderingKey, JOB_TYPES, JOB_STATUS } from './src/queue/index.js';
+import { QUEUE_CONCURRENCY } from './src/config/constants.js';
+import { describeSearchConfig } from './src/config/search.js';
+import { rememberUsers, rememberChannel } from './src/preprocess/index.js';
 
 dotenv.config();
 
@@ -18,91 +22,145 @@ function delay(ms) {
 }
 
 /**
- * Process all messages from the Slack export (expects flattened JSON)
+ * Read channel exports from a JSON file
+ * Accepts a single channel ({ channel, messages }) or several ({ channels: [{ channel, messages }] })
+ * @param {string} jsonPath - Export path
+ * @returns {Promise<Array<Object>>} [{ channel, messages, flattened }]
  */
-async function processMessages(jsonPath, options = {}) {
+async function readChannelExports(jsonPath) {
+  const slackData = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+  const exports = Array.isArray(slackData.channels) ? slackData.channels : [slackData];
+  return exports.map(entry => ({
+    channel: entry.channel,
+    messages: entry.messages || [],
+    flattened: (entry.flattened ?? slackData.flattened) === true,
+  }));
+}
+
+/**
+ * Select the messages to process from one channel export
+ * @param {Object} channelExport - { channel, messages, flattened }
+ * @param {Object} options - processMessages options
+ * @returns {Array<Object>} Messages
+ */
+function selectMessages({ channel, messages, flattened }, options) {
+  const { maxMessages, onlyParentMessages } = options;
+
+  // Messages should already be sorted by timestamp in the flattened JSON
+  console.log(`📊 Found ${messages.length} messages in channel "${channel.name}"`);
+  console.log(`📁 Format: ${flattened ? 'Flattened (sorted by time)' : 'Original (nested threads)'}`);
+
+  // Count parent messages vs thread replies
+  const parentCount = messages.filter(msg => !msg.thread_ts || msg.thread_ts === msg.ts).length;
+  const replyCount = messages.length - parentCount;
+  console.log(`   ├─ Parent messages: ${parentCount}`);
+  console.log(`   └─ Thread replies: ${replyCount}`);
+
+  let selected = messages;
+
+  // Filter to only parent messages if requested
+  if (onlyParentMessages) {
+    selected = selected.filter(msg => !msg.thread_ts || msg.thread_ts === msg.ts);
+    console.log(`🔍 Filtered to ${selected.length} parent messages only (skipped ${messages.length - selected.length} thread replies)`);
+  }
+
+  // Limit messages if requested (per channel)
+  if (maxMessages && maxMessages < selected.length) {
+    selected = selected.slice(0, maxMessages);
+    console.log(`⚡ Processing first ${maxMessages} messages only`);
+  }
+
+  return selected;
+}
+
+/**
+ * Process all messages from one or more Slack exports (expects flattened JSON)
+ * Channels are categorized in parallel; messages within a channel stay in order
+ */
+async function processMessages(jsonPaths, options = {}) {
   const {
     delayBetweenMessages = 0, // Delay in ms between processing messages
-    maxMessages = null, // Max number of messages to process (null = all)
-    onlyParentMessages = false, // Only process parent messages (skip thread replies)
+    forceRecategorize = false, // Re-categorize messages that are already stored
+    concurrency = QUEUE_CONCURRENCY, // Messages categorized in parallel (across channels)
   } = options;
 
   try {
     console.log('🚀 Starting webhook simulator...\n');
-    console.log(`📂 Reading messages from: ${jsonPath}`);
-    
-    // Read the JSON file
-    const data = await fs.readFile(jsonPath, 'utf-8');
-    const slackData = JSON.parse(data);
-    
-    const channelInfo = slackData.channel;
-    let messages = slackData.messages || [];
-    
-    // Messages should already be sorted by timestamp in the flattened JSON
-    const isFlattened = slackData.flattened === true;
-    console.log(`📊 Found ${messages.length} messages in channel "${channelInfo.name}"`);
-    console.log(`📁 Format: ${isFlattened ? 'Flattened (sorted by time)' : 'Original (nested threads)'}`);
-    
-    // Count parent messages vs thread replies
-    const parentCount = messages.filter(msg => !msg.thread_ts || msg.thread_ts === msg.ts).length;
-    const replyCount = messages.length - parentCount;
-    console.log(`   ├─ Parent messages: ${parentCount}`);
-    console.log(`   └─ Thread replies: ${replyCount}`);
-    
-    // Filter to only parent messages if requested
-    if (onlyParentMessages) {
-      const originalCount = messages.length;
-      messages = messages.filter(msg => !msg.thread_ts || msg.thread_ts === msg.ts);
-      console.log(`🔍 Filtered to ${messages.length} parent messages only (skipped ${originalCount - messages.length} thread replies)`);
+
+    const channelExports = [];
+    for (const jsonPath of [jsonPaths].flat()) {
+      console.log(`📂 Reading messages from: ${jsonPath}`);
+      channelExports.push(...await readChannelExports(jsonPath));
     }
-    
-    // Limit messages if requested
-    if (maxMessages && maxMessages < messages.length) {
-      messages = messages.slice(0, maxMessages);
-      console.log(`⚡ Processing first ${maxMessages} messages only`);
+
+    const work = channelExports.map(channelExport => ({
+      channelInfo: channelExport.channel,
+      messages: selectMessages(channelExport, options),
+    }));
+    const totalMessages = work.reduce((sum, { messages }) => sum + messages.length, 0);
+
+    // Names from the whole export, so <@U...> mentions resolve before their author first posts
+    for (const channelExport of channelExports) {
+      rememberChannel(channelExport.channel.id, channelExport.channel.name);
+      rememberUsers(channelExport.messages);
     }
-    
+    if (work.length > 1) {
+      console.log(`\n📺 ${work.length} channels, ${totalMessages} messages (concurrency: ${concurrency})`);
+    }
+
     console.log(`\n${'='.repeat(60)}`);
     console.log('🎯 Starting message processing...');
     console.log('='.repeat(60));
     
+    // Every message becomes a durable job so failures are retried instead of lost
+    const queue = await openJobQueue();
+    const jobIds = new Set();
+    for (const { channelInfo, messages } of work) {
+      for (const message of messages) {
+        const payload = { message, channelInfo, options: { forceRecategorize } };
+        const job = await queue.enqueue(JOB_TYPES.CATEGORIZE_MESSAGE, payload, {
+          key: jobOrderingKey(JOB_TYPES.CATEGORIZE_MESSAGE, payload),
+        });
+        jobIds.add(job.id);
+      }
+    }
+    console.log(`📦 Enqueued ${jobIds.size} jobs (${queue.filePath})`);
+
+    const handlers = createJobHandlers({ categorize: categorizeMessage });
+    let started = 0;
+    const categorizeHandler = handlers[JOB_TYPES.CATEGORIZE_MESSAGE];
+    handlers[JOB_TYPES.CATEGORIZE_MESSAGE] = async (payload, job) => {
+      // Add delay if specified
+      if (delayBetweenMessages > 0 && started > 0) {
+        await delay(delayBetweenMessages);
+      }
+      started++;
+      console.log(`\n[${started}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ #${payload.channelInfo.name} (job ${job.id}, attempt ${job.attempts})`);
+      return categorizeHandler(payload, job);
+    };
+
+    const worker = createQueueWorker(queue, handlers, { concurrency });
+    await worker.runUntilEmpty();
+
+    const jobs = queue.list().filter(job => jobIds.has(job.id));
     const results = {
-      total: messages.length,
-      processed: 0,
+      total: totalMessages,
+      processed: jobs.filter(job => job.status === JOB_STATUS.DONE && !job.result?.skipped).length,
       failed: 0,
-      skipped: 0,
+      skipped: jobs.filter(job => job.status === JOB_STATUS.DONE && job.result?.skipped).length,
       errors: [],
     };
-    
-    // Process each message
-    for (let i = 0; i < messages.length; i++) {
-      const message = messages[i];
-      
-      try {
-        console.log(`\n[${i + 1}/${messages.length}] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-        
-        const result = await categorizeMessage(message, channelInfo);
-        
-        if (result) {
-          results.processed++;
-        } else {
-          results.skipped++;
-        }
-        
-        // Add delay if specified
-        if (delayBetweenMessages > 0 && i < messages.length - 1) {
-          await delay(delayBetweenMessages);
-        }
-      } catch (error) {
+
+    jobs
+      .filter(job => job.status === JOB_STATUS.DEAD)
+      .forEach((job) => {
         results.failed++;
         results.errors.push({
-          messageIndex: i,
-          messageTs: message.ts,
-          error: error.message,
+          jobId: job.id,
+          messageTs: job.payload.message.ts,
+          error: job.lastError?.message,
         });
-        console.error(`\n❌ Failed to process message ${i + 1}:`, error.message);
-      }
-    }
+      });
     
     // Print summary
     console.log(`\n${'='.repeat(60)}`);
@@ -112,13 +170,14 @@ async function processMessages(jsonPath, options = {}) {
     console.log(`   Total messages: ${results.total}`);
     console.log(`   ✅ Processed: ${results.processed}`);
     console.log(`   ⏭️  Skipped: ${results.skipped}`);
-    console.log(`   ❌ Failed: ${results.failed}`);
+    console.log(`   ❌ Failed (dead-lettered): ${results.failed}`);
     
     if (results.errors.length > 0) {
       console.log(`\n⚠️  Errors:`);
       results.errors.forEach((err, idx) => {
-        console.log(`   ${idx + 1}. Message ${err.messageIndex + 1} (ts: ${err.messageTs}): ${err.error}`);
+        console.log(`   ${idx + 1}. Job ${err.jobId} (ts: ${err.messageTs}): ${err.error}`);
       });
+      console.log(`\n💡 Inspect with "npm run queue -- dead" and retry with "npm run queue -- replay --all"`);
     }
     
     // Get and display all topics
@@ -137,7 +196,7 @@ async function processMessages(jsonPath, options = {}) {
       topics.forEach((topic, idx) => {
         console.log(`${idx + 1}. 📌 ${topic.name}`);
         console.log(`   Description: ${topic.description}`);
-        console.log(`   Messages: ${topic.messageCount}`);
+        console.log(`   Messages: ${topic.messageCount}${topic.secondaryMessageCount ? ` (+${topic.secondaryMessageCount} as secondary topic)` : ''}`);
         console.log(`   Keywords: ${topic.keywords?.join(', ') || 'N/A'}`);
         console.log(`   Created: ${new Date(topic.createdAt).toLocaleString()}`);
         console.log();
@@ -159,7 +218,9 @@ async function main() {
   
   // Parse command line arguments
   const options = {
-    jsonPath: args.find(arg => arg.endsWith('.json')) || './slack-messages.json',
+    jsonPaths: args.filter(arg => arg.endsWith('.json')).length > 0
+      ? args.filter(arg => arg.endsWith('.json'))
+      : ['./slack-messages.json'],
     maxMessages: args.find(arg => arg.startsWith('--max='))?.split('=')[1] 
       ? parseInt(args.find(arg => arg.startsWith('--max='))?.split('=')[1]) 
       : null,
@@ -167,16 +228,23 @@ async function main() {
       ? parseInt(args.find(arg => arg.startsWith('--delay='))?.split('=')[1])
       : 0,
     onlyParentMessages: args.includes('--parents-only'),
+    forceRecategorize: args.includes('--force-recategorize'),
+    concurrency: args.find(arg => arg.startsWith('--concurrency='))?.split('=')[1]
+      ? parseInt(args.find(arg => arg.startsWith('--concurrency='))?.split('=')[1])
+      : QUEUE_CONCURRENCY,
   };
   
   console.log('⚙️  Configuration:');
-  console.log(`   JSON file: ${options.jsonPath}`);
-  console.log(`   Max messages: ${options.maxMessages || 'all'}`);
+  console.log(`   JSON files: ${options.jsonPaths.join(', ')}`);
+  console.log(`   Max messages: ${options.maxMessages || 'all'} (per channel)`);
   console.log(`   Delay between messages: ${options.delayBetweenMessages}ms`);
   console.log(`   Only parent messages: ${options.onlyParentMessages}`);
+  console.log(`   Force re-categorize: ${options.forceRecategorize}`);
+  console.log(`   Concurrency: ${options.concurrency}`);
+  console.log(`   Search: ${describeSearchConfig()}`);
   console.log();
   
-  await processMessages(options.jsonPath, options);
+  await processMessages(options.jsonPaths, options);
 }
 
 // Run if executed directly